@@ -0,0 +1,172 @@
+// 🧮 보조 구조 패널의 높이 (px)
+const AUX_PANEL_HEIGHT = 160;
+
+// 🧮 보조 구조 패널에서 이름을 표시하는 왼쪽 칸의 너비 (px)
+const AUX_LABEL_WIDTH = 120;
+
+/**
+ * 📌 보조 구조 추적기 생성 함수
+ * - 타임라인의 단계 이벤트를 applyAuxEvent로 적용해서, 재생 위치의 보조 구조 상태를 만든다.
+ * - 재생은 앞으로만 진행하므로 마지막 위치부터 이어서 적용한다.
+ * - 타임라인과 같은 간격(TIMELINE_KEYFRAME_INTERVAL)마다 상태를 저장해 두고,
+ *   뒤로 탐색하거나 멀리 앞으로 탐색하면 가장 가까운 저장 상태부터 다시 적용한다.
+ *
+ * @param {Object} timeline - 단계 타임라인 (createStepTimeline 참고)
+ * @returns {{ at: Function }} - at(position): position개의 단계를 적용한 보조 구조 상태
+ */
+function createAuxTracker(timeline) {
+  const keyframes = [createAuxState()]; // k번째: k × TIMELINE_KEYFRAME_INTERVAL 단계를 적용한 상태
+  let state = createAuxState();
+  let position = 0;
+
+  return {
+    at(target) {
+      // 뒤로 탐색했거나, 앞으로 가더라도 저장 상태가 더 가까우면 저장 상태에서 시작
+      const keyframe = Math.min(
+        keyframes.length - 1,
+        Math.floor(target / TIMELINE_KEYFRAME_INTERVAL)
+      );
+      if (
+        target < position ||
+        keyframe * TIMELINE_KEYFRAME_INTERVAL > position
+      ) {
+        state = copyAuxState(keyframes[keyframe]);
+        position = keyframe * TIMELINE_KEYFRAME_INTERVAL;
+      }
+      while (position < target) {
+        applyAuxEvent(state, timeline.step(position++));
+        if (position === keyframes.length * TIMELINE_KEYFRAME_INTERVAL) {
+          keyframes.push(copyAuxState(state));
+        }
+      }
+      return state;
+    }
+  };
+}
+
+// 보조 구조 상태 복사 (저장 상태는 이후 단계를 적용해도 바뀌지 않아야 한다)
+function copyAuxState(state) {
+  return {
+    ...state,
+    arrays: new Map(
+      [...state.arrays].map(([name, values]) => [name, [...values]])
+    )
+  };
+}
+
+/**
+ * 📌 보조 구조 패널 갱신 함수
+ * - 메인 캔버스 아래의 #aux-panel에 보조 배열(병합 버퍼, 기수 정렬의 count와 output 등)을
+ *   한 줄씩 막대로 그리고, 힙이 있으면 힙을 이진 트리로 그린다.
+ * - 보여줄 보조 구조가 없으면 패널을 숨긴다.
+ *
+ * @param {Object} state - 보조 구조 상태 (createAuxState 참고)
+ * @param {number[]} array - 현재 배열 (힙 노드의 값, 막대 높이의 기준으로 사용)
+ */
+function updateAuxPanel(state, array) {
+  const panel = document.getElementById('aux-panel');
+  if (!panel) return;
+
+  const rows = [...state.arrays].map(([name, values]) => ({ name, values }));
+  if (state.heapSize > 0) rows.push({ name: 'heap', heapSize: state.heapSize });
+
+  panel.hidden = rows.length === 0;
+  if (panel.hidden) return;
+
+  const context = panel.getContext('2d');
+  const width = panel.clientWidth || innerWidth;
+  resizeCanvas(context, width, AUX_PANEL_HEIGHT);
+  context.clearRect(0, 0, width, AUX_PANEL_HEIGHT);
+
+  const rowHeight = AUX_PANEL_HEIGHT / rows.length;
+  rows.forEach((row, k) => {
+    const area = {
+      x: AUX_LABEL_WIDTH,
+      y: k * rowHeight,
+      width: Math.max(1, width - AUX_LABEL_WIDTH),
+      height: rowHeight
+    };
+
+    // 이름과 크기
+    context.fillStyle = CHART_FOREGROUND;
+    context.font = '14px Arial';
+    context.textAlign = 'left';
+    context.textBaseline = 'middle';
+    context.fillText(
+      `${row.name} (${formatCount(row.values?.length ?? row.heapSize)})`,
+      8,
+      area.y + rowHeight / 2
+    );
+
+    if (row.values) drawAuxArray(context, row.values, array.length, area);
+    else drawHeapTree(context, array, row.heapSize, area);
+  });
+}
+
+// 보조 구조 패널 숨기기
+function hideAuxPanel() {
+  const panel = document.getElementById('aux-panel');
+  if (panel) panel.hidden = true;
+}
+
+// 보조 배열을 막대로 그리기 (아직 쓰지 않은 칸은 비워 둔다)
+function drawAuxArray(context, values, n, { x, y, width, height }) {
+  let max = n - 1;
+  for (const value of values) {
+    if (value !== null && value > max) max = value;
+  }
+  const scale = Math.max(1, max);
+  const columns = splitLength(width, Math.max(1, values.length));
+  const padding = 2;
+
+  values.forEach((value, i) => {
+    if (value === null) return;
+    const barHeight = Math.max(1, (value / scale) * (height - padding * 2));
+    context.fillStyle = valueHue(value, n);
+    context.fillRect(
+      x + columns[i].start,
+      y + height - padding - barHeight,
+      Math.max(1, columns[i].length),
+      barHeight
+    );
+  });
+}
+
+// 배열의 앞부분 [0, heapSize)를 이진 트리로 그리기 (깊이마다 한 줄, 노드 색은 값의 색)
+function drawHeapTree(context, array, heapSize, { x, y, width, height }) {
+  const levels = Math.floor(Math.log2(heapSize)) + 1;
+  const levelHeight = height / levels;
+  const radius = Math.max(
+    1,
+    Math.min(6, levelHeight / 3, width / 2 ** (levels - 1) / 2)
+  );
+
+  // 노드 i의 중심 (깊이 d의 노드들은 너비를 2^d칸으로 나눈 칸의 가운데)
+  const center = (i) => {
+    const depth = Math.floor(Math.log2(i + 1));
+    const offset = i + 1 - 2 ** depth;
+    return {
+      cx: x + ((offset + 0.5) / 2 ** depth) * width,
+      cy: y + (depth + 0.5) * levelHeight
+    };
+  };
+
+  context.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+  context.lineWidth = 1;
+  context.beginPath();
+  for (let i = 1; i < heapSize; i++) {
+    const child = center(i);
+    const parent = center(Math.floor((i - 1) / 2));
+    context.moveTo(parent.cx, parent.cy);
+    context.lineTo(child.cx, child.cy);
+  }
+  context.stroke();
+
+  for (let i = 0; i < heapSize; i++) {
+    const { cx, cy } = center(i);
+    context.fillStyle = valueHue(array[i], array.length);
+    context.beginPath();
+    context.arc(cx, cy, radius, 0, 2 * Math.PI);
+    context.fill();
+  }
+}
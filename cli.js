@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+/**
+ * 📌 정렬 알고리즘 헤드리스 실행기 (CLI)
+ * - 화면에 그리지 않고 strategy.js의 제너레이터만 실행하여
+ *   알고리즘 × 크기 × 입력 분포별 비교/교환/쓰기/단계 수와 실행 시간을 출력한다.
+ * - 입력과 난수는 브라우저와 같은 방식(hashSeed(seed, 'input' | 'sort', round))으로 만들므로,
+ *   같은 시드를 주면 브라우저 재생 목록과 같은 결과가 나온다.
+ *
+ * 사용법:
+ *   node cli.js --algorithms mergeSort,quickSort --sizes 64,256 --distributions shuffle,reversed --seed 42 --format csv
+ */
+const { parseArgs } = require('node:util');
+const {
+  setRandomSeed,
+  hashSeed,
+  validateStepEvent,
+  createAuxState,
+  applyAuxEvent,
+  measureSortedness,
+  DEFAULT_MAX_STEPS,
+  MAX_RADIX_BASE,
+  sortAlgorithms,
+  inputDistributions
+} = require('./strategy.js');
+
+const usage = `사용법: node cli.js [옵션]
+
+옵션:
+  --algorithms <id,...>     실행할 정렬 알고리즘 id (기본값: 전체)
+  --sizes <n,...>           배열 크기 (기본값: 16,64,256)
+  --distributions <id,...>  입력 분포 id (기본값: shuffle)
+  --seed <값>               시드 (숫자 또는 문자열, 기본값: 무작위)
+  --rounds <n>              조합마다 반복할 횟수 (기본값: 1)
+  --max-steps <n>           단계 수 제한, 넘으면 중단 (기본값: ${DEFAULT_MAX_STEPS})
+  --cols <n>                셰어 정렬(shearSort)의 격자 열 수 (기본값: 16, 브라우저 재생 목록과 같음)
+  --base <n>                기수 정렬(lsdRadixSort, msdRadixSort)의 진법, 2 ~ ${MAX_RADIX_BASE} (기본값: 10)
+  --validate                모든 단계 이벤트를 validateStepEvent로 검사
+  --format <json|csv>       출력 형식 (기본값: json)
+  --list                    사용 가능한 알고리즘과 입력 분포 id 출력
+  -h, --help                도움말 출력`;
+
+// CSV 출력 열 순서
+const csvColumns = [
+  'algorithm',
+  'distribution',
+  'n',
+  'round',
+  'seed',
+  'comparisons',
+  'swaps',
+  'writes',
+  'peakAuxMemory',
+  'steps',
+  'wallTimeMs',
+  'sorted',
+  'sortedness',
+  'truncated'
+];
+
+// 쉼표로 구분된 목록 옵션을 배열로 변환
+function parseList(value) {
+  return value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// 숫자 옵션을 1 이상의 정수로 변환 (잘못된 값이면 오류)
+function parsePositiveInteger(name, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`--${name} 값은 1 이상의 정수여야 합니다: ${value}`);
+  }
+  return number;
+}
+
+// 브라우저의 readSeed()와 같은 규칙: 숫자면 그대로, 문자열이면 해시, 없으면 무작위
+function parseSeed(value) {
+  if (value === undefined) return Math.floor(Math.random() * 2 ** 32);
+  return /^\d+$/.test(value) ? Number(value) >>> 0 : hashSeed(value);
+}
+
+// id 목록을 목록 항목으로 변환 (존재하지 않는 id가 있으면 오류)
+function findAll(list, ids, label) {
+  return ids.map((id) => {
+    const item = list.find((item) => item.id === id);
+    if (!item) {
+      throw new Error(
+        `알 수 없는 ${label}: ${id} (사용 가능: ${list
+          .map(({ id }) => id)
+          .join(', ')})`
+      );
+    }
+    return item;
+  });
+}
+
+/**
+ * 📌 알고리즘 하나를 화면 없이 실행하는 함수
+ *
+ * @param {Object} params - 함수 매개변수
+ * @param {Object} params.algorithm - 정렬 알고리즘 (sortAlgorithms 항목)
+ * @param {Object} params.distribution - 입력 분포 (inputDistributions 항목)
+ * @param {number} params.n - 배열 크기
+ * @param {number} params.seed - 시드
+ * @param {number} params.round - 반복 회차 (1부터 시작)
+ * @param {number} params.maxSteps - 단계 수 제한
+ * @param {number} [params.cols] - 셰어 정렬의 격자 열 수 (기본값: 16)
+ * @param {number} [params.base] - 기수 정렬의 진법 (기본값: 10)
+ * @param {boolean} params.validate - 단계 이벤트 검사 여부
+ * @returns {Object} - 실행 결과 (csvColumns 참고)
+ */
+function runAlgorithm({
+  algorithm,
+  distribution,
+  n,
+  seed,
+  round,
+  maxSteps,
+  cols = 16,
+  base = 10,
+  validate
+}) {
+  // 입력 배열 만들기 (브라우저의 섞기 단계와 같은 시드 사용)
+  const arr = Array.from({ length: n }, (_, i) => i);
+  setRandomSeed(hashSeed(seed, 'input', round));
+  for (const event of distribution.generator(arr)) {
+    if (validate) validateStepEvent(event, n);
+  }
+
+  // 정렬 실행 (마지막 이벤트의 누적 통계를 결과로 사용)
+  setRandomSeed(hashSeed(seed, 'sort', round));
+  let last = { comparisons: 0, swaps: 0, writes: 0 };
+  const auxState = createAuxState(); // 보조 메모리 사용량 계산용
+  let steps = 0;
+  let truncated = false;
+  let result = arr; // 결과로 보고할 배열 (중단했으면 중단한 시점의 배열)
+
+  const startTime = performance.now();
+  // 브라우저(animateSort)와 같은 옵션을 넘긴다
+  const iterator = algorithm.generator(arr, true, { cols, base });
+  for (let next = iterator.next(); !next.done; next = iterator.next()) {
+    const event = next.value;
+    if (validate) validateStepEvent(event, n);
+    last = event;
+    applyAuxEvent(auxState, event);
+    if (++steps >= maxSteps) {
+      // 예산을 다 쓴 단계가 마침 마지막 단계였으면 중단이 아니다 (createStepRunner와 같은 기준)
+      // 남은 단계가 있는지 확인하느라 바뀐 배열은 결과에 넣지 않는다
+      result = [...arr];
+      truncated = !iterator.next().done;
+      break;
+    }
+  }
+  const wallTimeMs = performance.now() - startTime;
+
+  return {
+    algorithm: algorithm.id,
+    distribution: distribution.id,
+    n,
+    round,
+    seed,
+    comparisons: last.comparisons,
+    swaps: last.swaps,
+    writes: last.writes,
+    peakAuxMemory: auxState.peakMemory, // 가장 많이 사용한 보조 배열 칸 수
+    steps,
+    wallTimeMs: Number(wallTimeMs.toFixed(3)),
+    sorted: result.every((value, i) => i === 0 || result[i - 1] <= value),
+    sortedness: Number(measureSortedness(result).toFixed(4)), // 1이면 정렬됨, 0이면 역순
+    truncated
+  };
+}
+
+// 결과 목록을 CSV 문자열로 변환
+function toCsv(results) {
+  const rows = results.map((result) =>
+    csvColumns.map((column) => result[column]).join(',')
+  );
+  return [csvColumns.join(','), ...rows].join('\n');
+}
+
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      algorithms: { type: 'string' },
+      sizes: { type: 'string', default: '16,64,256' },
+      distributions: { type: 'string', default: 'shuffle' },
+      seed: { type: 'string' },
+      rounds: { type: 'string', default: '1' },
+      'max-steps': { type: 'string', default: String(DEFAULT_MAX_STEPS) },
+      cols: { type: 'string', default: '16' },
+      base: { type: 'string', default: '10' },
+      validate: { type: 'boolean', default: false },
+      format: { type: 'string', default: 'json' },
+      list: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(usage);
+    return;
+  }
+
+  if (values.list) {
+    console.log('알고리즘:', sortAlgorithms.map(({ id }) => id).join(', '));
+    console.log(
+      '입력 분포:',
+      inputDistributions.map(({ id }) => id).join(', ')
+    );
+    return;
+  }
+
+  if (!['json', 'csv'].includes(values.format)) {
+    throw new Error(`--format 값은 json 또는 csv여야 합니다: ${values.format}`);
+  }
+
+  const algorithms = values.algorithms
+    ? findAll(sortAlgorithms, parseList(values.algorithms), '알고리즘')
+    : sortAlgorithms;
+  const distributions = findAll(
+    inputDistributions,
+    parseList(values.distributions),
+    '입력 분포'
+  );
+  const sizes = parseList(values.sizes).map((size) =>
+    parsePositiveInteger('sizes', size)
+  );
+  const rounds = parsePositiveInteger('rounds', values.rounds);
+  const maxSteps = parsePositiveInteger('max-steps', values['max-steps']);
+  const cols = parsePositiveInteger('cols', values.cols);
+  const base = parsePositiveInteger('base', values.base);
+  if (base < 2 || base > MAX_RADIX_BASE) {
+    throw new Error(
+      `--base 값은 2 이상 ${MAX_RADIX_BASE} 이하여야 합니다: ${base}`
+    );
+  }
+  const seed = parseSeed(values.seed);
+
+  const results = [];
+  for (const algorithm of algorithms) {
+    for (const distribution of distributions) {
+      for (const n of sizes) {
+        for (let round = 1; round <= rounds; round++) {
+          results.push(
+            runAlgorithm({
+              algorithm,
+              distribution,
+              n,
+              seed,
+              round,
+              maxSteps,
+              cols,
+              base,
+              validate: values.validate
+            })
+          );
+        }
+      }
+    }
+  }
+
+  console.log(
+    values.format === 'csv' ? toCsv(results) : JSON.stringify(results, null, 2)
+  );
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(usage);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { runAlgorithm };
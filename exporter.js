@@ -0,0 +1,1142 @@
+// 📼 내보내기 형식 목록
+const exportFormats = [
+  { id: 'gif', name: 'GIF 애니메이션', extension: 'gif', type: 'image/gif' },
+  { id: 'apng', name: 'APNG 애니메이션', extension: 'png', type: 'image/apng' },
+  {
+    id: 'pngZip',
+    name: 'PNG 프레임 묶음 (zip)',
+    extension: 'zip',
+    type: 'application/zip'
+  },
+  { id: 'wav', name: 'WAV 사운드', extension: 'wav', type: 'audio/wav' }
+];
+
+// 📼 내보내기 설정 (execute()에서 폼 값을 읽어 둔다)
+let exportSettings = {
+  format: 'gif',
+  fps: 25,
+  width: 480,
+  networkOverlay: true
+};
+
+// 📼 내보내기 진행 상태 (한 번에 하나만 내보낸다)
+const exportState = { busy: false };
+
+// presetForm의 내보내기 설정 읽기
+function readExportSettings() {
+  const format = document.querySelector('#exportFormat').value;
+  const fps = document.querySelector('#exportFps').value * 1;
+  const width = document.querySelector('#exportWidth').value * 1;
+
+  return {
+    format: exportFormats.some(({ id }) => id === format) ? format : 'gif',
+    fps: Number.isFinite(fps) ? Math.min(60, Math.max(1, fps)) : 25,
+    width: Number.isFinite(width) ? Math.min(1920, Math.max(16, width)) : 480,
+    networkOverlay: document.querySelector('#networkOverlay').checked
+  };
+}
+
+/**
+ * 📌 현재 실행 중인 항목을 파일로 내보내는 함수
+ * - 재생 중인 알고리즘, 입력 분포, 시드, 강조 색상 설정으로 같은 실행을 화면 밖(offscreen) 캔버스에서 다시 만든다.
+ * - asleep 기반 재생 대신 고정 프레임 속도(fps)로 animateSort의 프레임을 기록하므로,
+ *   결과 파일의 재생 속도는 화면의 재생 속도(frameDuration, interval)와 같다.
+ * - 섞기 → 1초 대기 → 정렬 → 강조 → 1초 대기 순서로, execute()와 같은 흐름을 기록한다.
+ * - WAV 형식은 프레임 대신 같은 흐름의 사운드를 기록하므로, 같은 fps로 내보낸 영상과 길이가 같다.
+ */
+async function exportCurrentRun() {
+  if (!currentRun || exportState.busy) return;
+
+  const { algorithm, distribution, n, interval, round, seed, frameDuration } =
+    currentRun;
+  const { format, fps, width } = exportSettings;
+  const { extension } = exportFormats.find(({ id }) => id === format);
+
+  // 내보내는 동안에는 화면 재생을 멈춘다 (화면과 내보내기가 동시에 진행되지 않도록)
+  if (!playbackState.paused) togglePlayback();
+  exportState.busy = true;
+  document.getElementById('exportButton').disabled = true;
+
+  try {
+    // 화면 밖 캔버스 (가로 크기는 설정값, 세로는 화면 비율을 유지)
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = Math.max(1, Math.round((width * innerHeight) / innerWidth));
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+
+    const onProgress = (frames) => updateExportStatus(`프레임 ${frames}`);
+    const recorder =
+      format === 'wav'
+        ? createAudioRecorder({ fps, onProgress })
+        : createFrameRecorder({
+            context,
+            encoder: createFrameEncoder(format, {
+              width: canvas.width,
+              height: canvas.height,
+              fps
+            }),
+            fps,
+            onProgress
+          });
+
+    const options = {
+      image: currentRun.image,
+      context,
+      interval,
+      frameDuration,
+      style: currentRun.style,
+      layout: currentRun.layout,
+      cols: currentRun.cols,
+      base: currentRun.base,
+      recorder
+    };
+
+    // 섞기 → 대기 → 정렬 → 강조 → 대기 (execute()와 같은 시드 사용)
+    const shuffledArray = await animateSort({
+      ...options,
+      arr: Array.from({ length: n }, (_, i) => i),
+      generator: distribution.generator,
+      seed: hashSeed(seed, 'input', round)
+    });
+    await recorder.hold(1000);
+
+    const sortedArray = await animateSort({
+      ...options,
+      arr: shuffledArray,
+      yieldCompare: true,
+      generator: algorithm.generator,
+      seed: hashSeed(seed, 'sort', round),
+      frameUnit: currentRun.frameUnit,
+      maxSteps: currentRun.maxSteps,
+      budgetMode: currentRun.budgetMode
+    });
+
+    if (measureSortedness(sortedArray) === 1) {
+      await animateSort({
+        ...options,
+        arr: sortedArray,
+        yieldCompare: true,
+        generator: accentGenerator
+      });
+    }
+    await recorder.hold(1000);
+
+    updateExportStatus('인코딩 중…');
+    const blob = await recorder.finish();
+    downloadBlob(
+      blob,
+      `gengar-${algorithm.id}-${distribution.id}-n${n}-seed${seed}.${extension}`
+    );
+    updateExportStatus('');
+  } catch (error) {
+    console.error('내보내기에 실패했습니다.', error);
+    updateExportStatus(`내보내기 실패: ${error.message}`);
+  } finally {
+    exportState.busy = false;
+    document.getElementById('exportButton').disabled = false;
+  }
+}
+
+// 재생 컨트롤 옆에 내보내기 진행 상황 표시
+function updateExportStatus(text) {
+  const status = document.getElementById('export-status');
+  if (status) status.innerText = text;
+}
+
+// Blob을 파일로 다운로드
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 📌 고정 프레임 속도 녹화기 생성 함수
+ * - animateSort에 recorder로 넘기면, 재생 컨트롤러 대신 record()가 단계 타임라인을 프레임으로 바꾼다.
+ * - 화면 재생에서 frameInterval마다 한 프레임(stepsPerFrame 단계 또는 네트워크 층 하나)이 보이는 것을
+ *   1000 / fps ms 간격의 프레임으로 다시 샘플링한다.
+ *   (내보내기 프레임 사이에 여러 화면 프레임이 지나가면 그 사이의 강조 색상을 모두 합쳐서 그린다)
+ * - 변화가 없는 프레임은 직전 프레임의 표시 시간을 늘려서 처리한다.
+ *
+ * @param {Object} params - 함수 매개변수
+ * @param {CanvasRenderingContext2D} params.context - 프레임을 그릴 캔버스 컨텍스트
+ * @param {Object} params.encoder - 프레임 인코더 (createFrameEncoder 참고)
+ * @param {number} params.fps - 초당 프레임 수
+ * @param {Function} [params.onProgress] - 프레임을 기록할 때마다 호출 (기록한 프레임 수)
+ * @returns {Object} - 녹화기 ({ record, hold, finish })
+ */
+function createFrameRecorder({ context, encoder, fps, onProgress }) {
+  const { width, height } = context.canvas;
+  const frameTime = 1000 / fps;
+  let pending = null; // 표시 시간이 확정되지 않은 마지막 프레임 ({ imageData, duration })
+  let frameCount = 0;
+
+  async function flush() {
+    if (!pending) return;
+    await encoder.addFrame(pending.imageData, pending.duration);
+    pending = null;
+  }
+
+  // 현재 캔버스를 프레임으로 기록
+  async function capture(duration) {
+    await flush();
+    pending = {
+      imageData: context.getImageData(0, 0, width, height),
+      duration
+    };
+
+    // 긴 내보내기 중에도 화면(진행 상황)이 갱신되도록 가끔 이벤트 루프에 양보
+    if (++frameCount % 10 === 0) {
+      onProgress?.(frameCount);
+      await asleep(0);
+    }
+  }
+
+  async function record({
+    timeline,
+    stepsPerFrame,
+    frameUnit,
+    frameInterval,
+    render
+  }) {
+    const length = await timeline.drain(); // 프레임 수를 정하려면 전체 단계 수가 필요
+    const ends = splitFrames(timeline, stepsPerFrame, frameUnit);
+    const count = countRecordedFrames({
+      liveFrameCount: ends.length,
+      frameInterval,
+      frameTime
+    });
+
+    let from = 0;
+    for (let frame = 0; frame < count; frame++) {
+      // 이 프레임 시각까지 화면에 보였을 프레임 수 (마지막 프레임은 항상 끝까지)
+      const shown = Math.floor((frame * frameTime) / frameInterval) + 1;
+      const to =
+        frame === count - 1 ? length : ends[Math.min(shown, ends.length) - 1];
+
+      if (to === from && pending) {
+        pending.duration += frameTime;
+        continue;
+      }
+
+      render(combineSteps(timeline, from, to));
+      await capture(frameTime);
+      from = to;
+    }
+  }
+
+  return {
+    record,
+    // 현재 캔버스를 duration(ms) 동안 보여준다
+    hold: (duration) => capture(duration),
+    finish: async () => {
+      await flush();
+      return encoder.finish();
+    }
+  };
+}
+
+// 화면 재생(frameInterval마다 한 프레임, 모두 liveFrameCount 프레임)과 같은 시간을 frameTime 간격으로 기록할 때의 프레임 수
+function countRecordedFrames({ liveFrameCount, frameInterval, frameTime }) {
+  return Math.max(1, Math.round((liveFrameCount * frameInterval) / frameTime));
+}
+
+/**
+ * 📌 사운드 녹음기 생성 함수 (WAV 내보내기)
+ * - createFrameRecorder와 같은 방식({ record, hold, finish })으로 animateSort에 recorder로 넘긴다.
+ * - 화면 재생과 같이 frameInterval마다 한 프레임(stepsPerFrame 단계 또는 네트워크 층 하나)의 음을 createBeepNotes로 만들고,
+ *   오프라인 신디사이저(createOfflineSynth)로 그 프레임의 시각에 샘플 단위로 맞춰 기록한다.
+ * - 구간의 길이는 같은 fps의 영상 내보내기와 같게 맞추므로, 영상과 나란히 재생할 수 있다.
+ *
+ * @param {Object} params - 함수 매개변수
+ * @param {number} params.fps - 초당 프레임 수 (구간 길이를 영상과 맞추는 데 사용)
+ * @param {number} [params.sampleRate] - 샘플링 주파수 (Hz)
+ * @param {Function} [params.onProgress] - 프레임을 기록할 때마다 호출 (기록한 프레임 수)
+ * @returns {Object} - 녹음기 ({ record, hold, finish })
+ */
+function createAudioRecorder({ fps, sampleRate = 44100, onProgress }) {
+  const synth = createOfflineSynth({ sampleRate });
+  const frameTime = 1000 / fps;
+  let elapsed = 0; // 지금까지 기록한 시간 (ms)
+  let frameCount = 0;
+
+  async function record({ timeline, stepsPerFrame, frameUnit, frameInterval }) {
+    await timeline.drain();
+    const ends = splitFrames(timeline, stepsPerFrame, frameUnit);
+
+    for (let frame = 0; frame < ends.length; frame++) {
+      const { array, soundIndexes, soundKind } = combineSteps(
+        timeline,
+        frame === 0 ? 0 : ends[frame - 1],
+        ends[frame]
+      );
+      const time = elapsed + frame * frameInterval;
+      for (const note of createBeepNotes({
+        duration: frameInterval,
+        n: array.length,
+        indexes: soundIndexes,
+        array,
+        kind: soundKind
+      })) {
+        synth.addNote(time / 1000, note);
+      }
+
+      // 긴 내보내기 중에도 화면(진행 상황)이 갱신되도록 가끔 이벤트 루프에 양보
+      if (++frameCount % 100 === 0) {
+        onProgress?.(frameCount);
+        await asleep(0);
+      }
+    }
+
+    elapsed +=
+      countRecordedFrames({
+        liveFrameCount: ends.length,
+        frameInterval,
+        frameTime
+      }) * frameTime;
+    synth.extend(elapsed / 1000);
+  }
+
+  return {
+    record,
+    // duration(ms) 동안 무음
+    hold: async (duration) => {
+      elapsed += duration;
+      synth.extend(elapsed / 1000);
+    },
+    finish: async () => encodeWav(synth.finish())
+  };
+}
+
+/**
+ * 📌 형식별 프레임 인코더 생성 함수
+ * - 모든 인코더는 addFrame(imageData, duration)으로 프레임을 받고, finish()로 Blob을 만든다.
+ *
+ * @param {string} format - 내보내기 형식 (exportFormats의 id)
+ * @param {Object} options - { width, height, fps }
+ * @returns {Object} - 프레임 인코더 ({ addFrame, finish })
+ */
+function createFrameEncoder(format, options) {
+  const encoders = {
+    gif: createGifEncoder,
+    apng: createApngEncoder,
+    pngZip: createPngZipEncoder
+  };
+  return encoders[format](options);
+}
+
+// ────────────────────────────────────────────────────────────
+// 🧮 공통: CRC-32, Adler-32, 바이트 쓰기 도구
+// ────────────────────────────────────────────────────────────
+
+const crc32Table = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes, crc = 0) {
+  crc = ~crc >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+function adler32(bytes) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    a = (a + bytes[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+// 빅 엔디언 / 리틀 엔디언 정수를 바이트 배열로 변환
+function uint32BE(value) {
+  return [
+    (value >>> 24) & 0xff,
+    (value >>> 16) & 0xff,
+    (value >>> 8) & 0xff,
+    value & 0xff
+  ];
+}
+
+function uint16BE(value) {
+  return [(value >>> 8) & 0xff, value & 0xff];
+}
+
+function uint32LE(value) {
+  return [
+    value & 0xff,
+    (value >>> 8) & 0xff,
+    (value >>> 16) & 0xff,
+    (value >>> 24) & 0xff
+  ];
+}
+
+function uint16LE(value) {
+  return [value & 0xff, (value >>> 8) & 0xff];
+}
+
+// 🗜️ deflate 고정 허프만 부호의 길이 부호(257 ~ 285)와 거리 부호(0 ~ 29)의 기준값과 추가 비트 수
+const DEFLATE_LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67,
+  83, 99, 115, 131, 163, 195, 227, 258
+];
+const DEFLATE_LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5,
+  5, 5, 0
+];
+const DEFLATE_DISTANCE_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769,
+  1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+];
+const DEFLATE_DISTANCE_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11,
+  11, 12, 12, 13, 13
+];
+
+// 🗜️ LZ77 검색 범위 (창 크기, 최대 일치 길이, 해시 체인을 따라갈 최대 후보 수)
+const DEFLATE_WINDOW_SIZE = 32768;
+const DEFLATE_MAX_MATCH = 258;
+const DEFLATE_MAX_CHAIN = 32;
+
+// 부호 값(code)을 bits 비트 길이로 뒤집기 (허프만 부호는 높은 비트부터, 나머지는 낮은 비트부터 쓴다)
+function reverseBits(code, bits) {
+  let reversed = 0;
+  for (let i = 0; i < bits; i++) {
+    reversed = (reversed << 1) | ((code >>> i) & 1);
+  }
+  return reversed;
+}
+
+// 고정 허프만 부호표: 리터럴/길이 부호 0 ~ 287과 거리 부호 0 ~ 29의 { code, bits } (code는 뒤집은 값)
+const deflateFixedCodes = (() => {
+  const literal = Array.from({ length: 288 }, (_, symbol) => {
+    if (symbol < 144) return { code: reverseBits(0x30 + symbol, 8), bits: 8 };
+    if (symbol < 256) {
+      return { code: reverseBits(0x190 + symbol - 144, 9), bits: 9 };
+    }
+    if (symbol < 280) return { code: reverseBits(symbol - 256, 7), bits: 7 };
+    return { code: reverseBits(0xc0 + symbol - 280, 8), bits: 8 };
+  });
+  const distance = Array.from({ length: 30 }, (_, symbol) => ({
+    code: reverseBits(symbol, 5),
+    bits: 5
+  }));
+  return { literal, distance };
+})();
+
+// 기준값 목록(bases)에서 value가 속한 부호 찾기 (value 이하인 마지막 기준값)
+function findDeflateSymbol(bases, value) {
+  let symbol = bases.length - 1;
+  while (bases[symbol] > value) symbol--;
+  return symbol;
+}
+
+/**
+ * 📌 순수 JavaScript deflate 압축 함수 (CompressionStream이 없는 브라우저용)
+ * - 해시 체인으로 앞선 32KB 안의 가장 긴 일치(3 ~ 258바이트)를 찾아 LZ77로 줄이고,
+ *   고정 허프만 부호 블록 하나로 쓴다. (동적 허프만 부호보다 덜 줄지만 부호표를 만들 필요가 없다)
+ *
+ * @param {Uint8Array} bytes - 압축할 데이터
+ * @returns {Uint8Array} - zlib 형식 데이터
+ */
+function deflateFixedHuffman(bytes) {
+  // 고정 허프만 부호는 바이트마다 9비트를 넘지 않으므로 이 크기 안에 들어간다
+  const output = new Uint8Array(2 + Math.ceil((bytes.length * 9) / 8) + 8);
+  output.set([0x78, 0x01]); // zlib 헤더
+  let offset = 2;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  // 낮은 비트부터 value의 bits 비트 쓰기
+  const writeBits = (value, bits) => {
+    bitBuffer |= value << bitCount;
+    bitCount += bits;
+    while (bitCount >= 8) {
+      output[offset++] = bitBuffer & 0xff;
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+  const writeCode = ({ code, bits }) => writeBits(code, bits);
+
+  writeBits(1, 1); // 마지막 블록
+  writeBits(1, 2); // 고정 허프만 부호
+
+  // 세 바이트의 해시 → 그 해시로 시작하는 가장 최근 위치, 위치마다 같은 해시의 이전 위치
+  const head = new Int32Array(1 << 15).fill(-1);
+  const previous = new Int32Array(DEFLATE_WINDOW_SIZE);
+  const hashAt = (i) =>
+    ((bytes[i] << 10) ^ (bytes[i + 1] << 5) ^ bytes[i + 2]) & 0x7fff;
+  const insert = (i) => {
+    const hash = hashAt(i);
+    previous[i % DEFLATE_WINDOW_SIZE] = head[hash];
+    head[hash] = i;
+  };
+
+  let i = 0;
+  while (i < bytes.length) {
+    let matchLength = 0;
+    let matchDistance = 0;
+
+    if (i + 2 < bytes.length) {
+      const maxLength = Math.min(DEFLATE_MAX_MATCH, bytes.length - i);
+      let candidate = head[hashAt(i)];
+      for (
+        let chain = 0;
+        chain < DEFLATE_MAX_CHAIN &&
+        candidate >= 0 &&
+        i - candidate <= DEFLATE_WINDOW_SIZE;
+        chain++
+      ) {
+        let length = 0;
+        while (
+          length < maxLength &&
+          bytes[candidate + length] === bytes[i + length]
+        ) {
+          length++;
+        }
+        if (length > matchLength) {
+          matchLength = length;
+          matchDistance = i - candidate;
+          if (length === maxLength) break;
+        }
+        candidate = previous[candidate % DEFLATE_WINDOW_SIZE];
+      }
+    }
+
+    if (matchLength >= 3) {
+      const lengthSymbol = findDeflateSymbol(DEFLATE_LENGTH_BASE, matchLength);
+      writeCode(deflateFixedCodes.literal[257 + lengthSymbol]);
+      writeBits(
+        matchLength - DEFLATE_LENGTH_BASE[lengthSymbol],
+        DEFLATE_LENGTH_EXTRA[lengthSymbol]
+      );
+      const distanceSymbol = findDeflateSymbol(
+        DEFLATE_DISTANCE_BASE,
+        matchDistance
+      );
+      writeCode(deflateFixedCodes.distance[distanceSymbol]);
+      writeBits(
+        matchDistance - DEFLATE_DISTANCE_BASE[distanceSymbol],
+        DEFLATE_DISTANCE_EXTRA[distanceSymbol]
+      );
+
+      // 일치한 구간의 위치도 해시 체인에 넣는다 (마지막 두 바이트는 세 바이트 해시를 만들 수 없다)
+      for (const end = i + matchLength; i < end; i++) {
+        if (i + 2 < bytes.length) insert(i);
+      }
+    } else {
+      writeCode(deflateFixedCodes.literal[bytes[i]]);
+      if (i + 2 < bytes.length) insert(i);
+      i++;
+    }
+  }
+
+  writeCode(deflateFixedCodes.literal[256]); // 블록 끝
+  if (bitCount > 0) writeBits(0, 8 - bitCount); // 남은 비트를 바이트 경계까지 채운다
+
+  output.set(uint32BE(adler32(bytes)), offset);
+  return output.subarray(0, offset + 4);
+}
+
+/**
+ * 📌 zlib(deflate) 압축 함수
+ * - 브라우저의 CompressionStream이 있으면 사용하고,
+ *   없으면 순수 JavaScript로 압축한다. (deflateFixedHuffman 참고)
+ *
+ * @param {Uint8Array} bytes - 압축할 데이터
+ * @returns {Promise<Uint8Array>} - zlib 형식 데이터
+ */
+async function zlibDeflate(bytes) {
+  if (typeof CompressionStream !== 'undefined') {
+    const stream = new Blob([bytes])
+      .stream()
+      .pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  return deflateFixedHuffman(bytes);
+}
+
+// ────────────────────────────────────────────────────────────
+// 🖼️ PNG / APNG
+// ────────────────────────────────────────────────────────────
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// PNG 청크 만들기 (길이 + 종류 + 데이터 + CRC)
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const typeAndData = chunk.subarray(4, 8 + data.length);
+  chunk.set(uint32BE(data.length));
+  typeAndData.set([...type].map((char) => char.charCodeAt(0)));
+  typeAndData.set(data, 4);
+  chunk.set(uint32BE(crc32(typeAndData)), 8 + data.length);
+  return chunk;
+}
+
+function pngHeader(width, height) {
+  // 8비트 RGBA, 압축/필터/인터레이스 방식 0
+  return pngChunk('IHDR', [
+    ...uint32BE(width),
+    ...uint32BE(height),
+    8,
+    6,
+    0,
+    0,
+    0
+  ]);
+}
+
+/**
+ * 📌 RGBA 픽셀을 PNG 이미지 데이터(IDAT 내용)로 압축하는 함수
+ * - 각 줄에 Sub 필터(왼쪽 픽셀과의 차이)를 적용한 뒤 zlib으로 압축한다.
+ */
+async function compressPngPixels({ data, width, height }) {
+  const stride = width * 4;
+  const filtered = new Uint8Array((stride + 1) * height);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * stride;
+    const out = y * (stride + 1);
+    filtered[out] = 1; // Sub 필터
+    for (let x = 0; x < stride; x++) {
+      const left = x >= 4 ? data[row + x - 4] : 0;
+      filtered[out + 1 + x] = (data[row + x] - left) & 0xff;
+    }
+  }
+
+  return zlibDeflate(filtered);
+}
+
+// 📼 PNG 한 장 인코딩
+async function encodePng(imageData) {
+  const compressed = await compressPngPixels(imageData);
+  return new Blob([
+    new Uint8Array(PNG_SIGNATURE),
+    pngHeader(imageData.width, imageData.height),
+    pngChunk('IDAT', compressed),
+    pngChunk('IEND', [])
+  ]);
+}
+
+/**
+ * 📌 APNG 인코더
+ * - 프레임마다 fcTL(표시 시간) 청크와 이미지 데이터를 기록한다.
+ *   첫 프레임은 IDAT(일반 PNG 뷰어에서도 보이는 이미지), 나머지는 fdAT 청크에 담는다.
+ */
+function createApngEncoder({ width, height }) {
+  const frames = []; // { compressed, duration }
+
+  return {
+    async addFrame(imageData, duration) {
+      frames.push({ compressed: await compressPngPixels(imageData), duration });
+    },
+
+    finish() {
+      const parts = [new Uint8Array(PNG_SIGNATURE), pngHeader(width, height)];
+      parts.push(
+        pngChunk('acTL', [...uint32BE(frames.length), ...uint32BE(0)])
+      ); // 무한 반복
+
+      let sequence = 0;
+      frames.forEach(({ compressed, duration }, index) => {
+        parts.push(
+          pngChunk('fcTL', [
+            ...uint32BE(sequence++),
+            ...uint32BE(width),
+            ...uint32BE(height),
+            ...uint32BE(0), // x 오프셋
+            ...uint32BE(0), // y 오프셋
+            ...uint16BE(Math.min(65535, Math.round(duration))), // 표시 시간 = delay_num / delay_den 초
+            ...uint16BE(1000),
+            0, // dispose_op: 그대로 둠
+            0 // blend_op: 덮어쓰기
+          ])
+        );
+
+        if (index === 0) {
+          parts.push(pngChunk('IDAT', compressed));
+        } else {
+          const data = new Uint8Array(4 + compressed.length);
+          data.set(uint32BE(sequence++));
+          data.set(compressed, 4);
+          parts.push(pngChunk('fdAT', data));
+        }
+      });
+
+      parts.push(pngChunk('IEND', []));
+      return new Blob(parts, { type: 'image/apng' });
+    }
+  };
+}
+
+// 🗜️ zip64 없이 담을 수 있는 최대 항목 수와 최대 크기 (항목 수는 16비트, 위치와 크기는 32비트로 기록한다)
+const ZIP_MAX_ENTRIES = 0xffff;
+const ZIP_MAX_SIZE = 0xffffffff;
+
+/**
+ * 📌 PNG 프레임 묶음(zip) 인코더
+ * - 프레임을 frame-00001.png부터 번호를 붙여 저장한다.
+ * - 고정 프레임 속도를 유지하기 위해, 표시 시간이 긴 프레임은 같은 PNG를 여러 번 저장한다.
+ * - PNG는 이미 압축되어 있으므로 zip 항목은 압축 없이(stored) 저장한다.
+ * - zip에 담을 수 있는 프레임 수(ZIP_MAX_ENTRIES)를 넘으면 인코딩을 더 하지 않고 바로 오류를 낸다.
+ */
+function createPngZipEncoder({ fps }) {
+  const frameTime = 1000 / fps;
+  const entries = []; // { name, data, crc }
+  let elapsed = 0; // 지금까지 기록한 시간 (ms)
+
+  return {
+    async addFrame(imageData, duration) {
+      // 누적 시간 기준으로 반복 횟수를 정해 반올림 오차가 쌓이지 않게 한다
+      const before = Math.round(elapsed / frameTime);
+      elapsed += duration;
+      const copies = Math.max(1, Math.round(elapsed / frameTime) - before);
+      if (entries.length + copies > ZIP_MAX_ENTRIES) {
+        throw new RangeError(
+          `PNG 프레임 묶음은 ${formatCount(
+            ZIP_MAX_ENTRIES
+          )}프레임까지만 담을 수 있습니다 (fps를 낮추거나 GIF/APNG로 내보내세요)`
+        );
+      }
+
+      const data = new Uint8Array(
+        await (await encodePng(imageData)).arrayBuffer()
+      );
+      const crc = crc32(data);
+      for (let i = 0; i < copies; i++) {
+        const number = String(entries.length + 1).padStart(5, '0');
+        entries.push({ name: `frame-${number}.png`, data, crc });
+      }
+    },
+
+    finish() {
+      return createZip(entries);
+    }
+  };
+}
+
+/**
+ * 📌 압축하지 않은(stored) zip 파일 만들기
+ * - zip64 레코드는 쓰지 않으므로, 항목이 ZIP_MAX_ENTRIES개보다 많거나
+ *   파일이 ZIP_MAX_SIZE보다 커지면 깨진 파일을 만드는 대신 RangeError를 던진다.
+ *
+ * @param {Object[]} entries - { name, data: Uint8Array, crc } 목록
+ * @returns {Blob} - zip 파일
+ */
+function createZip(entries) {
+  if (entries.length > ZIP_MAX_ENTRIES) {
+    throw new RangeError(
+      `zip 항목이 너무 많습니다: ${formatCount(entries.length)}개`
+    );
+  }
+
+  const encoder = new TextEncoder();
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const { name, data, crc } of entries) {
+    const fileName = encoder.encode(name);
+    // 버전, 플래그, 압축 방식(0: stored), 수정 시각/날짜(1980-01-01 00:00), CRC, 크기
+    const common = [
+      ...uint16LE(20),
+      ...uint16LE(0),
+      ...uint16LE(0),
+      ...uint16LE(0),
+      ...uint16LE(0x21),
+      ...uint32LE(crc),
+      ...uint32LE(data.length),
+      ...uint32LE(data.length),
+      ...uint16LE(fileName.length),
+      ...uint16LE(0)
+    ];
+
+    const localHeader = new Uint8Array([
+      ...uint32LE(0x04034b50),
+      ...common,
+      ...fileName
+    ]);
+    parts.push(localHeader, data);
+
+    directory.push(
+      new Uint8Array([
+        ...uint32LE(0x02014b50),
+        ...uint16LE(20), // 만든 버전
+        ...common,
+        ...uint16LE(0), // 주석 길이
+        ...uint16LE(0), // 디스크 번호
+        ...uint16LE(0), // 내부 속성
+        ...uint32LE(0), // 외부 속성
+        ...uint32LE(offset),
+        ...fileName
+      ])
+    );
+    offset += localHeader.length + data.length;
+  }
+
+  const directorySize = directory.reduce((size, part) => size + part.length, 0);
+  if (offset + directorySize > ZIP_MAX_SIZE) {
+    throw new RangeError(
+      `zip 파일이 4 GiB를 넘습니다: ${formatCount(
+        offset + directorySize
+      )}바이트`
+    );
+  }
+  const end = new Uint8Array([
+    ...uint32LE(0x06054b50),
+    ...uint16LE(0),
+    ...uint16LE(0),
+    ...uint16LE(entries.length),
+    ...uint16LE(entries.length),
+    ...uint32LE(directorySize),
+    ...uint32LE(offset),
+    ...uint16LE(0)
+  ]);
+
+  return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
+
+// ────────────────────────────────────────────────────────────
+// 🔉 WAV
+// ────────────────────────────────────────────────────────────
+
+/**
+ * 📌 WAV 인코더 (16비트 PCM)
+ *
+ * @param {Object} audio - { sampleRate, channels: Float32Array[] } (-1 ~ 1 범위의 채널별 샘플)
+ * @returns {Blob} - WAV 파일
+ */
+function encodeWav({ sampleRate, channels }) {
+  const channelCount = channels.length;
+  const frameCount = channels[0].length;
+  const blockAlign = channelCount * 2;
+  const dataSize = frameCount * blockAlign;
+  const encoder = new TextEncoder();
+
+  const header = new Uint8Array([
+    ...encoder.encode('RIFF'),
+    ...uint32LE(36 + dataSize),
+    ...encoder.encode('WAVE'),
+    ...encoder.encode('fmt '),
+    ...uint32LE(16), // fmt 청크 크기
+    ...uint16LE(1), // PCM
+    ...uint16LE(channelCount),
+    ...uint32LE(sampleRate),
+    ...uint32LE(sampleRate * blockAlign), // 초당 바이트 수
+    ...uint16LE(blockAlign),
+    ...uint16LE(16), // 샘플당 비트 수
+    ...encoder.encode('data'),
+    ...uint32LE(dataSize)
+  ]);
+
+  // 채널을 번갈아(interleave) 리틀 엔디언 16비트 정수로 저장
+  const data = new DataView(new ArrayBuffer(dataSize));
+  for (let i = 0; i < frameCount; i++) {
+    for (let channel = 0; channel < channelCount; channel++) {
+      const value = Math.max(-1, Math.min(1, channels[channel][i]));
+      data.setInt16(
+        i * blockAlign + channel * 2,
+        Math.round(value < 0 ? value * 0x8000 : value * 0x7fff),
+        true
+      );
+    }
+  }
+
+  return new Blob([header, data], { type: 'audio/wav' });
+}
+
+// ────────────────────────────────────────────────────────────
+// 🎞️ GIF
+// ────────────────────────────────────────────────────────────
+
+/**
+ * 📌 GIF 인코더
+ * - 첫 프레임의 색상으로 256색 팔레트(median cut)를 만들어 모든 프레임에 사용한다.
+ *   (모든 프레임은 같은 이미지 조각의 순서만 바뀌므로 색상 분포가 거의 같다)
+ * - 프레임 표시 시간은 1/100초 단위이므로 누적 시간 기준으로 반올림한다.
+ */
+function createGifEncoder({ width, height }) {
+  const chunks = [];
+  let palette = null;
+  let paletteLookup = null; // 15비트 색상 → 팔레트 인덱스 캐시
+  let elapsed = 0; // 지금까지 기록한 시간 (ms)
+
+  // 가장 가까운 팔레트 색상 찾기 (15비트 색상별로 캐시)
+  function findPaletteIndex(r, g, b) {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    let index = paletteLookup[key];
+    if (index !== -1) return index;
+
+    let bestDistance = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+      const [pr, pg, pb] = palette[i];
+      const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        index = i;
+      }
+    }
+    paletteLookup[key] = index;
+    return index;
+  }
+
+  return {
+    addFrame({ data }, duration) {
+      if (!palette) {
+        palette = buildPalette(data, 256);
+        paletteLookup = new Int16Array(32768).fill(-1);
+
+        const colorTable = new Uint8Array(256 * 3);
+        palette.forEach((color, i) => colorTable.set(color, i * 3));
+
+        chunks.push(
+          new TextEncoder().encode('GIF89a'),
+          new Uint8Array([
+            ...uint16LE(width),
+            ...uint16LE(height),
+            0xf7, // 전역 색상표 사용, 8비트 색상, 256색
+            0, // 배경색 인덱스
+            0 // 픽셀 비율
+          ]),
+          colorTable,
+          // NETSCAPE2.0 확장: 무한 반복
+          new Uint8Array([
+            0x21,
+            0xff,
+            0x0b,
+            ...new TextEncoder().encode('NETSCAPE2.0'),
+            0x03,
+            0x01,
+            0x00,
+            0x00,
+            0x00
+          ])
+        );
+      }
+
+      const before = Math.round(elapsed / 10);
+      elapsed += duration;
+      // (브라우저는 0.02초보다 짧은 표시 시간을 0.1초로 바꾸므로 최소 2로 맞춘다)
+      const delay = Math.max(2, Math.round(elapsed / 10) - before);
+
+      const indexes = new Uint8Array(width * height);
+      for (let i = 0; i < indexes.length; i++) {
+        indexes[i] = findPaletteIndex(
+          data[i * 4],
+          data[i * 4 + 1],
+          data[i * 4 + 2]
+        );
+      }
+
+      chunks.push(
+        // 그래픽 제어 확장: 표시 시간(1/100초)
+        new Uint8Array([
+          0x21,
+          0xf9,
+          0x04,
+          0x00,
+          ...uint16LE(delay),
+          0x00,
+          0x00
+        ]),
+        // 이미지 설명자: 전체 화면, 지역 색상표 없음
+        new Uint8Array([
+          0x2c,
+          0,
+          0,
+          0,
+          0,
+          ...uint16LE(width),
+          ...uint16LE(height),
+          0
+        ]),
+        new Uint8Array([8]), // LZW 최소 코드 크기
+        toGifSubBlocks(lzwEncode(indexes, 8))
+      );
+    },
+
+    finish() {
+      chunks.push(new Uint8Array([0x3b])); // 파일 끝
+      return new Blob(chunks, { type: 'image/gif' });
+    }
+  };
+}
+
+/**
+ * 📌 median cut 팔레트 생성 함수
+ * - 15비트로 줄인 색상 히스토그램을 색상 범위가 가장 넓은 상자부터 중앙값 기준으로 나눈다.
+ *
+ * @param {Uint8ClampedArray} data - RGBA 픽셀 데이터
+ * @param {number} maxColors - 최대 색상 수
+ * @returns {number[][]} - [r, g, b] 색상 목록 (maxColors개가 되도록 검은색으로 채움)
+ */
+function buildPalette(data, maxColors) {
+  const counts = new Map();
+  for (let i = 0; i < data.length; i += 4) {
+    const key =
+      ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+
+  const colors = [...counts].map(([key, count]) => ({
+    rgb: [
+      ((key >> 10) & 31) * 8 + 4,
+      ((key >> 5) & 31) * 8 + 4,
+      (key & 31) * 8 + 4
+    ],
+    count
+  }));
+
+  // 상자에서 범위가 가장 넓은 채널과 그 범위
+  function widestChannel(box) {
+    let best = { channel: 0, range: -1 };
+    for (let channel = 0; channel < 3; channel++) {
+      const values = box.map(({ rgb }) => rgb[channel]);
+      const range = Math.max(...values) - Math.min(...values);
+      if (range > best.range) best = { channel, range };
+    }
+    return best;
+  }
+
+  const boxes = [colors];
+  while (boxes.length < maxColors) {
+    // 나눌 수 있는 상자 중 범위가 가장 넓은 상자 선택
+    let target = -1;
+    let targetRange = 0;
+    let targetChannel = 0;
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      const { channel, range } = widestChannel(box);
+      if (range > targetRange) {
+        target = i;
+        targetRange = range;
+        targetChannel = channel;
+      }
+    });
+    if (target === -1) break;
+
+    // 픽셀 수 기준 중앙값에서 나누기
+    const box = boxes[target].sort(
+      (a, b) => a.rgb[targetChannel] - b.rgb[targetChannel]
+    );
+    const total = box.reduce((sum, { count }) => sum + count, 0);
+    let accumulated = 0;
+    let split = 1;
+    for (; split < box.length - 1; split++) {
+      accumulated += box[split - 1].count;
+      if (accumulated >= total / 2) break;
+    }
+    boxes.splice(target, 1, box.slice(0, split), box.slice(split));
+  }
+
+  const palette = boxes.map((box) => {
+    const total = box.reduce((sum, { count }) => sum + count, 0);
+    return [0, 1, 2].map((channel) =>
+      Math.round(
+        box.reduce((sum, { rgb, count }) => sum + rgb[channel] * count, 0) /
+          total
+      )
+    );
+  });
+  while (palette.length < maxColors) palette.push([0, 0, 0]);
+  return palette;
+}
+
+/**
+ * 📌 GIF LZW 압축 함수
+ * - 코드 크기는 (minCodeSize + 1)비트부터 12비트까지 늘어나고,
+ *   사전이 가득 차면 clear 코드를 넣고 처음부터 다시 시작한다.
+ *
+ * @param {Uint8Array} indexes - 팔레트 인덱스 목록
+ * @param {number} minCodeSize - LZW 최소 코드 크기
+ * @returns {Uint8Array} - 압축된 데이터
+ */
+function lzwEncode(indexes, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let dictionary = new Map();
+
+  function write(code) {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      output.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  }
+
+  write(clearCode);
+  let prefix = indexes[0];
+  for (let i = 1; i < indexes.length; i++) {
+    const key = (prefix << 8) | indexes[i];
+    const code = dictionary.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    write(prefix);
+    if (nextCode === 4096) {
+      write(clearCode);
+      dictionary = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      dictionary.set(key, nextCode++);
+    }
+    prefix = indexes[i];
+  }
+
+  write(prefix);
+  write(endCode);
+  if (bitCount > 0) output.push(bitBuffer & 0xff);
+  return new Uint8Array(output);
+}
+
+// GIF 데이터 하위 블록(최대 255바이트)으로 나누기
+function toGifSubBlocks(bytes) {
+  const blockCount = Math.ceil(bytes.length / 255);
+  const output = new Uint8Array(bytes.length + blockCount + 1);
+  let offset = 0;
+  for (let i = 0; i < bytes.length; i += 255) {
+    const block = bytes.subarray(i, i + 255);
+    output[offset++] = block.length;
+    output.set(block, offset);
+    offset += block.length;
+  }
+  output[offset] = 0; // 블록 끝
+  return output;
+}
+
+// 처음 페이지를 열었을 때 내보내기 형식 선택지 채우기
+(function initExportSettings() {
+  const select = document.getElementById('exportFormat');
+  if (!select) return;
+
+  for (const { id, name } of exportFormats) {
+    select.add(new Option(name, id));
+  }
+})();
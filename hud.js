@@ -0,0 +1,194 @@
+// 📊 HUD에 마지막으로 표시한 통계 (알고리즘이 끝나면 요약 카드에 사용)
+let hudState = {
+  phase: '', // 현재 단계 이름 (섞기, 정렬, 강조)
+  comparisons: 0, // 누적 비교 횟수
+  swaps: 0, // 누적 교환 횟수
+  writes: 0, // 누적 쓰기 횟수
+  position: 0, // 재생된 단계 수
+  length: 0, // 전체 단계 수 (done이 false면 지금까지 만든 단계 수)
+  done: true, // 전체 단계 수가 확정되었는지 (제너레이터가 끝났는지)
+  truncation: null, // 단계 예산에서 중단했으면 { step, sortedness }
+  skipped: 0, // 단계 예산 이후 빨리 감기로 건너뛴 단계 수
+  auxMemory: 0, // 지금 사용 중인 보조 메모리 (보조 배열 칸 수)
+  peakAuxMemory: 0, // 지금까지 가장 많이 사용한 보조 메모리
+  frameTime: null, // 마지막 프레임을 그리는 데 걸린 시간 (ms)
+  frameTimeAverage: null // 프레임을 그리는 데 걸린 시간의 이동 평균 (ms)
+};
+
+// 숫자를 천 단위 구분 기호와 함께 표시
+function formatCount(value) {
+  return value.toLocaleString('en-US');
+}
+
+/**
+ * 📌 실시간 통계 HUD 갱신 함수
+ * - 재생 중인 단계의 누적 비교/교환/쓰기 횟수와 재생 진행률을 #hud에 표시한다.
+ *
+ * @param {Object} params - 함수 매개변수
+ * @param {string} params.phase - 현재 단계 이름
+ * @param {Object|null} params.step - 마지막으로 재생된 단계 (없으면 0으로 표시, stage나 layer가 있으면 함께 표시)
+ * @param {number} params.position - 재생된 단계 수
+ * @param {number} params.length - 전체 단계 수
+ * @param {boolean} [params.done] - 전체 단계 수가 확정되었는지 (false면 진행률 대신 + 표시)
+ * @param {Object|null} [params.truncation] - 단계 예산에서 중단했으면 { step, sortedness } (마지막 단계에서 경고 표시)
+ * @param {number} [params.skipped] - 빨리 감기로 건너뛴 단계 수
+ * @param {number} [params.auxMemory] - 지금 사용 중인 보조 메모리 (보조 배열 칸 수)
+ * @param {number} [params.peakAuxMemory] - 지금까지 가장 많이 사용한 보조 메모리 (0이면 표시하지 않음)
+ * @param {number} [params.frameTime] - 이번 프레임을 그리는 데 걸린 시간 (ms, 없으면 이전 값 유지)
+ */
+function updateHud({
+  phase,
+  step,
+  position,
+  length,
+  done = true,
+  truncation = null,
+  skipped = 0,
+  auxMemory = 0,
+  peakAuxMemory = 0,
+  frameTime
+}) {
+  const average = hudState.frameTimeAverage;
+  hudState = {
+    phase,
+    comparisons: step?.comparisons ?? 0,
+    swaps: step?.swaps ?? 0,
+    writes: step?.writes ?? 0,
+    position,
+    length,
+    done,
+    truncation,
+    skipped,
+    auxMemory,
+    peakAuxMemory,
+    frameTime: frameTime ?? hudState.frameTime,
+    frameTimeAverage:
+      frameTime === undefined
+        ? average
+        : average === null
+        ? frameTime
+        : average * 0.9 + frameTime * 0.1
+  };
+
+  const hud = document.getElementById('hud');
+  if (!hud) return;
+
+  const percent = length === 0 ? 100 : (position / length) * 100;
+  const progress = done
+    ? `${formatCount(length)} (${percent.toFixed(1)}%)`
+    : `${formatCount(length)}+`;
+  hud.hidden = false;
+  // 하이브리드 정렬은 지금 실행 중인 단계(런 탐지, 갤로핑 등), 정렬 네트워크는 병렬 층도 함께 표시
+  const detail =
+    sortStages.find(({ id }) => id === step?.stage)?.name ??
+    (step?.layer === undefined ? null : `층 ${formatCount(step.layer + 1)}`);
+  const lines = [
+    `${detail ? `${phase} (${detail})` : phase} · 단계 ${formatCount(
+      position
+    )} / ${progress}`,
+    `비교 ${formatCount(hudState.comparisons)} · 교환 ${formatCount(
+      hudState.swaps
+    )} · 쓰기 ${formatCount(hudState.writes)}`
+  ];
+
+  // 🧮 보조 배열을 사용하는 알고리즘의 보조 메모리
+  if (peakAuxMemory > 0) {
+    lines.push(
+      `보조 메모리 ${formatCount(auxMemory)} · 최대 ${formatCount(
+        peakAuxMemory
+      )}`
+    );
+  }
+
+  // ✂️ 단계 예산에 걸려 중단했거나 빨리 감은 경우 (마지막 단계에 도달했을 때 표시)
+  if (done && position === length) {
+    lines.push(...formatBudgetNotices(hudState));
+  }
+
+  // ⏱️ 프레임을 그리는 데 걸린 시간 (렌더링 성능 확인용)
+  if (hudState.frameTime !== null) {
+    const { frameTime, frameTimeAverage } = hudState;
+    lines.push(
+      `그리기 ${frameTime.toFixed(1)}ms · 평균 ${frameTimeAverage.toFixed(1)}ms`
+    );
+  }
+
+  hud.innerText = lines.join('\n');
+}
+
+// 단계 예산 안내 문구 (중단한 단계와 정렬도, 빨리 감은 단계 수)
+function formatBudgetNotices({ truncation, skipped }) {
+  const notices = [];
+  if (skipped > 0) {
+    notices.push(`⏩ ${formatCount(skipped)}단계 빨리 감기`);
+  }
+  if (truncation) {
+    notices.push(
+      `⚠️ ${formatCount(truncation.step)}단계에서 중단 · 정렬도 ${(
+        truncation.sortedness * 100
+      ).toFixed(1)}%`
+    );
+  }
+  return notices;
+}
+
+/**
+ * 📌 알고리즘 요약 카드 표시 함수
+ * - 알고리즘 하나가 끝난 뒤, 다음 알고리즘으로 넘어가기 전까지 결과를 보여준다.
+ *
+ * @param {Object} params - 함수 매개변수
+ * @param {string} params.title - 카드 제목 (알고리즘 이름)
+ * @param {string} params.subtitle - 부제목 (n, 입력 분포 등)
+ * @param {Object} params.stats - 정렬 단계의 통계 (hudState 형식)
+ * @param {number} params.elapsed - 정렬 애니메이션 재생 시간 (ms)
+ */
+function showSummaryCard({ title, subtitle, stats, elapsed }) {
+  const card = document.getElementById('summary-card');
+  if (!card) return;
+
+  const rows = [
+    ['비교', formatCount(stats.comparisons)],
+    ['교환', formatCount(stats.swaps)],
+    ['쓰기', formatCount(stats.writes)],
+    ['단계', formatCount(stats.length)],
+    ...(stats.peakAuxMemory > 0
+      ? [['최대 보조 메모리', `${formatCount(stats.peakAuxMemory)}칸`]]
+      : []),
+    ['재생 시간', `${(elapsed / 1000).toFixed(1)}s`]
+  ];
+  if (stats.skipped > 0) {
+    rows.push(['빨리 감기', `${formatCount(stats.skipped)}단계`]);
+  }
+  if (stats.truncation) {
+    rows.push([
+      '중단',
+      `${formatCount(stats.truncation.step)}단계 · 정렬도 ${(
+        stats.truncation.sortedness * 100
+      ).toFixed(1)}%`
+    ]);
+  }
+
+  const heading = document.createElement('div');
+  heading.className = 'summary-title';
+  heading.innerText = title;
+
+  const caption = document.createElement('div');
+  caption.className = 'summary-subtitle';
+  caption.innerText = subtitle;
+
+  const table = document.createElement('table');
+  for (const [label, value] of rows) {
+    const row = table.insertRow();
+    row.insertCell().innerText = label;
+    row.insertCell().innerText = value;
+  }
+
+  card.replaceChildren(heading, caption, table);
+  card.hidden = false;
+}
+
+// 요약 카드 숨기기
+function hideSummaryCard() {
+  const card = document.getElementById('summary-card');
+  if (card) card.hidden = true;
+}
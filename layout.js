@@ -0,0 +1,66 @@
+// 🧩 이미지를 자르는 방식 (배치)
+//    - strips: 세로 조각으로 자르고 배열 순서대로 왼쪽부터 놓는다.
+//    - rowMajor: rows × cols 격자로 자르고 배열 순서대로 왼쪽 위부터 행 단위로 놓는다.
+//    - snake: 격자로 자르고 짝수 행은 왼쪽→오른쪽, 홀수 행은 오른쪽→왼쪽으로 놓는다. (셰어 정렬의 순서)
+const tileLayouts = [
+  { id: 'strips', name: '세로 조각' },
+  { id: 'rowMajor', name: '격자 (행 우선)' },
+  { id: 'snake', name: '격자 (뱀 모양)' }
+];
+
+// 길이 total을 count칸으로 나눌 때 각 칸의 시작 위치와 크기 (나머지는 앞쪽 칸에 1씩 더함)
+function splitLength(total, count) {
+  const size = Math.floor(total / count);
+  const remainder = total % count;
+  const parts = [];
+
+  let start = 0;
+  for (let i = 0; i < count; i++) {
+    const length = i < remainder ? size + 1 : size;
+    parts.push({ start, length });
+    start += length;
+  }
+  return parts;
+}
+
+/**
+ * 📌 배열의 각 위치가 캔버스에서 차지하는 칸(사각형)을 계산하는 함수
+ * - 값 v인 조각은 "정렬된 상태에서 위치 v의 칸"에서 잘라낸 이미지이므로,
+ *   배열이 정렬되면 원래 이미지가 된다.
+ *
+ * @param {number} count - 조각 수 (배열 길이)
+ * @param {number} width - 캔버스 너비
+ * @param {number} height - 캔버스 높이
+ * @param {string} [layout] - 배치 방식 (tileLayouts의 id)
+ * @param {number} [cols] - 격자의 열 수 (격자 배치에서만 사용)
+ * @returns {{ x: number, y: number, width: number, height: number }[]} - 위치별 칸
+ */
+function createLayoutCells(count, width, height, layout = 'strips', cols = 16) {
+  if (layout === 'strips') {
+    return splitLength(width, count).map(({ start, length }) => ({
+      x: start,
+      y: 0,
+      width: length,
+      height
+    }));
+  }
+
+  const columnCount = Math.max(1, Math.min(cols, count));
+  const rowCount = Math.ceil(count / columnCount);
+  const columns = splitLength(width, columnCount);
+  const rows = splitLength(height, rowCount);
+
+  return Array.from({ length: count }, (_, position) => {
+    const row = Math.floor(position / columnCount);
+    const offset = position % columnCount;
+    const column =
+      layout === 'snake' && row % 2 === 1 ? columnCount - 1 - offset : offset;
+
+    return {
+      x: columns[column].start,
+      y: rows[row].start,
+      width: columns[column].length,
+      height: rows[row].length
+    };
+  });
+}
@@ -9,193 +9,192 @@ async function execute() {
   // 캔버스 컨텍스트 가져오기 (2D 그래픽 그리기)
   const context = canvas.getContext('2d');
 
-  // 배경 이미지 로드
-  const backgroundImage = './gengar.jpeg';
-  const image = new Image();
-  image.src = backgroundImage;
-
-  // UI에서 입력된 정렬 속도 및 요소 개수 값 가져오기
+  // 배경 이미지 로드 (선택한 이미지를 맞춤 방식에 따라 캔버스 크기로 맞춤)
+  const image = fitImage(
+    await loadSelectedImage(),
+    canvas.width,
+    canvas.height
+  );
+
+  // UI에서 입력된 프레임 시간과 재생 목록 가져오기
   const frameDuration = document.querySelector('#frameDuration').value * 1;
-  const slowInterval = document.querySelector('#slowInterval').value * 1;
-  const fastInterval = document.querySelector('#fastInterval').value * 1;
-  const slowN = document.querySelector('#slowN').value * 1;
-  const fastN = document.querySelector('#fastN').value * 1;
+  const runs = expandPlaylist(playlist);
+
+  // 시드 결정 (입력하지 않았으면 새로 만들어서 화면에 표시)
+  const seed = readSeed();
+
+  // 내보내기 설정 보관 (폼이 제거된 뒤에도 재생 컨트롤의 내보내기 버튼에서 사용)
+  exportSettings = readExportSettings();
 
   // UI 폼 제거 (사용자 입력이 끝났으므로 불필요한 요소 제거)
   document.getElementById('presetForm').remove();
 
-  // 여러 정렬 알고리즘을 순차적으로 실행
-  for (let [isEfficient, sortGen, sortGenName, sortGenNameJPN] of [
-    [true, mergeSort, '병합 정렬', 'マージソート'],
-    [false, selectionSort, '선택 정렬', '選択ソート'],
-    [false, insertionSort, '삽입 정렬', '挿入ソート'],
-    [false, binaryInsertionSort, '이진 삽입 정렬', '二分挿入ソート'],
-    [true, quickSort, '퀵 정렬', 'クイックソート'],
-    [false, bubbleSort, '버블 정렬', 'バブルソート'],
-    [
-      false,
-      cocktailShakerSort,
-      '칵테일 쉐이커 정렬',
-      'カクテルシェーカーソート'
-    ],
-    [false, gnomeSort, '놈 정렬', 'ノームソート'],
-    [false, combSort, '콤 정렬', 'コムソート'],
-    [false, shellSort, '셸 정렬', 'シェルソート'],
-    [true, heapSort, '힙 정렬', 'ヒープソート'],
-    [false, oddEvenSort, '홀짝 정렬', '奇偶ソート'],
-    [true, bitonicSort, '바이토닉 정렬', 'バイトニックソート'],
-    [false, cycleSort, '사이클 정렬', 'サイクルソート'],
-    [false, lsdRadixSort, 'LSD 기수 정렬', 'LSD基数ソート'],
-    [false, bogoSort, '보고 정렬', 'ボゴソート']
-  ]) {
-    // 정렬 알고리즘별로 처리할 데이터 개수와 애니메이션 속도 결정
-    const n = isEfficient ? slowN : fastN;
-    const interval = isEfficient ? slowInterval : fastInterval;
-
-    // 캔버스 상단에 현재 정렬 알고리즘 이름 출력
-    document.getElementById(
-      'canvas-label'
-    ).innerText = `${sortGenName}(${sortGen.name}, ${sortGenNameJPN})`;
+  // 재생 컨트롤(재생/일시정지, 단계 이동, 타임라인, 내보내기) 표시
+  document.getElementById('playback-controls').hidden = false;
+  document.getElementById('exportButton').disabled = false;
+
+  // 재생 목록의 정렬 알고리즘을 순차적으로 실행
+  for (const {
+    algorithm,
+    distribution,
+    n,
+    interval,
+    style,
+    layout,
+    cols,
+    base,
+    frameUnit,
+    maxSteps,
+    budgetMode,
+    repeat,
+    round
+  } of runs) {
+    const sortGen = algorithm.generator;
+
+    // 현재 실행 중인 항목 기록 (내보내기는 이 항목을 같은 시드로 다시 실행한다)
+    currentRun = {
+      algorithm,
+      distribution,
+      n,
+      interval,
+      style,
+      layout,
+      cols,
+      base,
+      frameUnit,
+      maxSteps,
+      budgetMode,
+      round,
+      seed,
+      frameDuration,
+      image
+    };
+
+    // 정렬 네트워크 그림 내보내기는 정렬 네트워크 알고리즘에서만 사용
+    document.getElementById('networkButton').hidden = !algorithm.isNetwork;
+
+    // 캔버스 상단에 현재 정렬 알고리즘 이름과 입력 분포 출력 (반복 중이면 회차 표시)
+    document.getElementById('canvas-label').innerText = `${algorithm.name}(${
+      sortGen.name
+    }, ${algorithm.nameJPN}) · ${distribution.name}${
+      repeat > 1 ? ` ${round}/${repeat}` : ''
+    } · seed ${seed}`;
 
     // 정렬할 배열 생성 (0부터 n-1까지)
     const arr = Array.from({ length: n }, (_, i) => i);
 
-    // 배열을 섞어서 랜덤한 상태로 만들고 애니메이션 실행
+    // 선택한 분포로 배열을 섞고 애니메이션 실행
     const shuffledArray = await animateSort({
+      phase: '섞기',
       image,
       context,
       arr: [...arr],
-      interval: slowInterval,
+      interval,
       frameDuration,
-      generator: shuffleGenerator
+      style,
+      layout,
+      cols,
+      generator: distribution.generator,
+      seed: hashSeed(seed, 'input', round) // 같은 시드, 같은 회차면 모든 알고리즘이 같은 입력을 받음
     });
 
     await asleep(1000); // 1초 대기
 
     // 정렬 알고리즘 실행 및 애니메이션
+    const sortStartTime = performance.now();
     const sortedArray = await animateSort({
+      phase: '정렬',
       yieldCompare: true,
       image,
       context,
       arr: shuffledArray,
       interval,
       frameDuration,
-      generator: sortGen
+      style,
+      layout,
+      cols,
+      base,
+      frameUnit,
+      generator: sortGen,
+      seed: hashSeed(seed, 'sort', round), // 보고 정렬 등 무작위 알고리즘용 시드
+      maxSteps,
+      budgetMode
     });
 
-    // 정렬 완료 후 강조 효과 적용
-    await animateSort({
-      yieldCompare: true,
-      image,
-      context,
-      arr: sortedArray,
-      interval: fastInterval,
-      frameDuration,
-      generator: accentGenerator
-    });
+    // 정렬 단계의 최종 통계 보관 (요약 카드에 사용)
+    const sortStats = { ...hudState };
+    const sortElapsed = performance.now() - sortStartTime;
+
+    // 정렬 완료 후 강조 효과 적용 (단계 예산에서 중단되어 정렬되지 않았으면 생략)
+    if (measureSortedness(sortedArray) === 1) {
+      await animateSort({
+        phase: '강조',
+        yieldCompare: true,
+        image,
+        context,
+        arr: sortedArray,
+        interval,
+        frameDuration,
+        style,
+        layout,
+        cols,
+        generator: accentGenerator
+      });
+    }
 
+    // 알고리즘 요약 카드를 보여주며 2초 대기
+    showSummaryCard({
+      title: `${algorithm.name}(${sortGen.name})`,
+      subtitle: `n=${n} · ${distribution.name}`,
+      stats: sortStats,
+      elapsed: sortElapsed
+    });
     await asleep(2000); // 2초 대기
+    hideSummaryCard();
   }
 
   console.log('done');
 }
 
-// 📌 이미지 섞기 및 정렬 후 다시 그리는 함수
-function rearrangeImage({
-  order, // 배열의 현재 순서
-  image, // 배경 이미지
-  context,
-  width = context.canvas.width,
-  height = context.canvas.height,
-  colored = [] // 강조할 색상 정보
-}) {
-  const canvas = context.canvas;
-
-  // 캔버스 크기 설정
-  canvas.width = width;
-  canvas.height = height;
-
-  // 캔버스에 배경 이미지 그리기
-  context.drawImage(image, 0, 0, canvas.width, canvas.height);
-
-  const segmentCount = order.length;
-  const segmentWidth = Math.floor(canvas.width / segmentCount);
-  const remainder = canvas.width % segmentCount;
-
-  let segments = [];
-
-  // 이미지를 잘라서 각 세그먼트(Canvas)로 저장
-  let accumulatedWidth = 0;
-  for (let i = 0; i < segmentCount; i++) {
-    const currentSegmentWidth = i < remainder ? segmentWidth + 1 : segmentWidth;
-
-    const segmentCanvas = document.createElement('canvas');
-    segmentCanvas.width = currentSegmentWidth;
-    segmentCanvas.height = canvas.height;
-    const segmentCtx = segmentCanvas.getContext('2d');
-
-    // 원본 이미지에서 특정 영역을 잘라서 복사
-    segmentCtx.drawImage(
-      canvas,
-      accumulatedWidth,
-      0,
-      currentSegmentWidth,
-      canvas.height,
-      0,
-      0,
-      currentSegmentWidth,
-      canvas.height
-    );
-
-    segments.push(segmentCanvas);
-    accumulatedWidth += currentSegmentWidth;
-  }
-
-  // 기존 캔버스를 비우고 재구성
-  context.clearRect(0, 0, canvas.width, canvas.height);
-
-  accumulatedWidth = 0;
-  for (let i = 0; i < segmentCount; i++) {
-    const currentSegmentWidth = i < remainder ? segmentWidth + 1 : segmentWidth;
-    const segmentIndex = order[i];
-    const segment = segments[segmentIndex];
-
-    // 새 배열 순서에 따라 세그먼트를 캔버스에 다시 그림
-    context.drawImage(segment, accumulatedWidth, 0);
-
-    // 🎯 숫자 추가 (각 segment의 원래 위치 표시)
-    context.globalCompositeOperation = 'source-over';
-    context.fillStyle = 'white';
-    context.font = '10px Arial';
-    context.textAlign = 'center';
-    context.textBaseline = 'middle';
-
-    const textX = accumulatedWidth + currentSegmentWidth / 2;
-    const textY = 80;
-
-    context.fillText(segmentIndex, textX, textY);
-
-    accumulatedWidth += currentSegmentWidth;
-  }
-
-  // 강조된 색상 칠하기 (비교 중이거나 교환된 요소)
-  for (const { indexes, color } of colored) {
-    context.globalCompositeOperation = 'source-atop';
-    context.fillStyle = color;
-    indexes.forEach((index) => {
-      const currentSegmentWidth =
-        index < remainder ? segmentWidth + 1 : segmentWidth;
-      const segmentXPosition = index * segmentWidth;
-      context.fillRect(segmentXPosition, 0, currentSegmentWidth, canvas.height);
-      context.globalCompositeOperation = 'source-over';
-    });
+// 📼 현재 실행 중인 재생 목록 항목 (내보내기에 사용)
+let currentRun = null;
+
+// 🎨 단계 이벤트 종류별 강조 색상
+const stepColors = {
+  compare: 'rgba(255, 0, 0, 0.5)', // 비교 중인 요소 (빨강)
+  read: 'rgba(255, 200, 0, 0.5)', // 값을 읽은 요소 (노랑)
+  swap: 'rgba(0, 255, 0, 0.5)', // 교환된 요소 (초록)
+  write: 'rgba(0, 160, 255, 0.5)', // 값이 쓰인 요소 (파랑)
+  pivot: 'rgba(255, 0, 255, 0.5)', // 피벗 (보라)
+  markSorted: 'rgba(0, 255, 0, 0.5)' // 최종 위치가 결정된 요소 (초록)
+};
+
+// 🎨 하이브리드 정렬의 단계(stage)별 강조 색상 (sortStages 참고)
+const stageColors = {
+  run: 'rgba(255, 140, 0, 0.6)', // 런 탐지 (주황)
+  insertion: 'rgba(0, 255, 255, 0.5)', // 삽입 정렬 (청록)
+  merge: 'rgba(0, 160, 255, 0.5)', // 병합 (파랑)
+  gallop: 'rgba(255, 255, 0, 0.6)', // 갤로핑 (노랑)
+  partition: 'rgba(255, 80, 160, 0.5)', // 분할 (분홍)
+  pattern: 'rgba(255, 255, 255, 0.7)', // 패턴 깨기 (흰색)
+  heap: 'rgba(140, 60, 255, 0.6)' // 힙 정렬로 전환 (남보라)
+};
+
+// 단계 이벤트의 강조 색상
+// - 분배 정렬이 요소를 읽으면 들어갈 버킷의 색 (버킷 번호를 색상환에 고르게 배치)
+// - stage가 있으면 단계 색, 피벗은 항상 피벗 색
+function getStepColor({ kind, stage, bucket, buckets }) {
+  if (bucket !== undefined) {
+    return `hsla(${Math.round((bucket / buckets) * 300)}, 90%, 55%, 0.7)`;
   }
+  return (kind !== 'pivot' && stageColors[stage]) || stepColors[kind];
 }
 
 /**
  * 📌 정렬 애니메이션을 실행하는 함수
  * - 제너레이터(generator)를 사용하여 정렬 과정을 단계적으로 수행하며,
  *   배열의 상태를 업데이트하면서 시각적 애니메이션을 적용한다.
+ * - 단계는 재생하면서 필요한 만큼만 만들므로, 긴 정렬도 기다리지 않고 바로 재생을 시작한다.
  * - 정렬 중 비교된 요소와 교환된 요소를 색상으로 표시하고,
  *   비교될 때마다 사운드를 재생하는 기능도 포함한다.
  *
@@ -207,6 +206,16 @@ function rearrangeImage({
  * @param {number} params.frameDuration - 한 프레임의 지속 시간 (ms)
  * @param {GeneratorFunction} params.generator - 정렬 알고리즘을 실행하는 제너레이터 함수
  * @param {boolean} params.yieldCompare - 비교 연산을 시각적으로 강조할지 여부
+ * @param {number} [params.seed] - 제너레이터 실행 전에 지정할 난수 시드 (없으면 이전 난수열을 이어서 사용)
+ * @param {string} [params.style] - 화면 스타일 (visualStyles 참고, 기본값: image)
+ * @param {string} [params.layout] - 이미지 배치 방식 (tileLayouts 참고, 기본값: strips)
+ * @param {number} [params.cols] - 격자의 열 수 (격자 배치와 셰어 정렬에서 사용)
+ * @param {number} [params.base] - 기수 정렬의 진법 (기본값: 10)
+ * @param {string} [params.frameUnit] - 한 프레임에 보여줄 단계를 묶는 단위 (frameUnits 참고, 기본값: steps)
+ * @param {string} [params.phase] - HUD에 표시할 단계 이름 (섞기, 정렬, 강조)
+ * @param {number} [params.maxSteps] - 단계 예산 (기본값: DEFAULT_MAX_STEPS)
+ * @param {string} [params.budgetMode] - 단계 예산을 다 썼을 때의 동작 (stepBudgetModes 참고, 기본값: truncate)
+ * @param {Object} [params.recorder] - 지정하면 화면에 재생하는 대신 고정 프레임 속도로 프레임을 기록한다 (exporter.js 참고)
  * @returns {Promise<number[]>} - 정렬이 완료된 배열 반환
  */
 async function animateSort({
@@ -216,133 +225,200 @@ async function animateSort({
   interval,
   frameDuration,
   generator,
-  yieldCompare
+  yieldCompare,
+  seed,
+  style = 'image',
+  layout = 'strips',
+  cols,
+  base,
+  frameUnit = 'steps',
+  phase = '',
+  maxSteps = DEFAULT_MAX_STEPS,
+  budgetMode = 'truncate',
+  recorder
 }) {
-  let finalArray = [...arr]; // 최종 정렬된 배열
-  let colorAndSoundQueue = []; // 색상 및 사운드를 적용할 큐 (애니메이션 단계 저장)
   const numStepsPerFrame = Math.ceil(frameDuration / interval); // 한 프레임당 실행할 단계 수
-  let i = 0;
-
-  // 🎯 정렬 과정 실행: 제너레이터(generator)를 통해 단계별 정렬 수행
-  for (let result of generator(finalArray, yieldCompare)) {
-    i++;
-    if (i > 80000) break; // 실행 제한 (무한 루프 방지)
-
-    // 제너레이터에서 반환된 정렬 상태 데이터 추출
-    const {
-      array, // 현재 배열 상태
-      swappedIndexes = [], // 교환된 요소 인덱스
-      compareIndexes = [], // 비교된 요소 인덱스
-      comparisons, // 총 비교 횟수 (디버깅용)
-      swaps // 총 교환 횟수 (디버깅용)
-    } = result;
-
-    // 애니메이션을 위한 색상 및 사운드 큐에 추가
-    colorAndSoundQueue.push({
-      array,
-      colored: [
-        { indexes: compareIndexes, color: 'rgba(255, 0, 0, 0.5)' }, // 비교 중인 요소 (빨강)
-        { indexes: swappedIndexes, color: 'rgba(0, 255, 0, 0.5)' } // 교환된 요소 (초록)
-      ],
-      soundIndexes:
-        compareIndexes.length === 0 ? swappedIndexes : compareIndexes // 사운드 재생할 인덱스
-    });
 
-    finalArray = array; // 최종 배열 업데이트
-  }
-
-  // 🎬 애니메이션 실행: 저장된 정렬 과정들을 순차적으로 실행
-  while (colorAndSoundQueue.length > 0) {
-    let combinedArray;
-    let combinedColored = [];
-    let combinedSoundIndexes = new Set();
-
-    // 한 프레임에 여러 단계를 병합하여 실행
-    for (
-      let i = 0;
-      i < numStepsPerFrame && colorAndSoundQueue.length > 0;
-      i++
-    ) {
-      let { array, colored, soundIndexes } = colorAndSoundQueue.shift(); // 큐에서 단계 가져오기
-      combinedArray = array; // 현재 배열 상태 업데이트
-      combinedColored.push(...colored); // 비교/교환된 요소 색상 추가
-
-      if (i === 0) {
-        soundIndexes.forEach((index) => combinedSoundIndexes.add(index)); // 사운드 재생할 인덱스 저장
-      }
+  // 🎯 정렬 과정 타임라인: 제너레이터(generator)를 Web Worker에서 실행하며,
+  //    재생에 필요한 만큼만 단계를 받아 오고 변경 내용(swap, write)만 저장한다
+  //    (같은 시드에서 항상 같은 난수열을 사용하도록 시드 지정, 단계 예산을 넘으면 중단 또는 빨리 감기)
+  const timeline = createStepTimeline({
+    source: createStepSource({
+      generator,
+      array: arr,
+      yieldCompare,
+      options: { cols, base },
+      seed,
+      maxSteps,
+      budgetMode
+    }),
+    initialArray: arr,
+    mapEvent: ({
+      kind,
+      indexes,
+      values,
+      aux,
+      size,
+      stage,
+      bucket,
+      buckets,
+      layer,
+      comparisons,
+      swaps,
+      writes
+    }) => {
+      // 보조 구조 이벤트(auxWrite, auxAlloc, heap)는 메인 캔버스에 강조하지 않음
+      const isMainArray = kind in stepColors;
+
+      return {
+        kind, // 단계 종류 (다음 비교/교환으로 건너뛸 때 사용)
+        indexes,
+        values, // write 단계에서 쓴 값 (배열을 다시 만들 때 사용)
+        aux, // 보조 배열 이름 (보조 구조 패널에서 사용)
+        size, // 보조 배열 또는 힙의 크기 (보조 구조 패널에서 사용)
+        stage, // 하이브리드 정렬의 단계 (HUD 표시용)
+        layer, // 정렬 네트워크의 병렬 층 (층 단위 프레임과 HUD 표시용)
+        colored: isMainArray
+          ? [{ indexes, color: getStepColor({ kind, stage, bucket, buckets }) }]
+          : [],
+        soundIndexes: isMainArray ? indexes : [], // 사운드 재생할 인덱스
+        comparisons, // 누적 비교 횟수 (HUD 표시용)
+        swaps, // 누적 교환 횟수 (HUD 표시용)
+        writes // 누적 쓰기 횟수 (HUD 표시용)
+      };
     }
+  });
 
-    // 현재 배열 상태를 캔버스에 다시 그림
-    rearrangeImage({
-      order: combinedArray,
-      image,
-      context,
-      colored: combinedColored // 색상 정보 포함
-    });
-
-    // 현재 비교된 요소의 위치에 따라 사운드 재생
-    playBeep({
-      duration: Math.max(frameDuration, interval), // 사운드 지속 시간
-      n: arr.length, // 배열 크기
-      indexes: Array.from(combinedSoundIndexes), // 사운드 재생할 인덱스
-      type: 'square' // 사운드 타입 (사각파)
-    });
-
-    // 프레임 간격만큼 대기 (애니메이션 효과)
-    await asleep(Math.max(frameDuration, interval));
+  try {
+    // 📼 내보내기: 재생 컨트롤러 대신 고정 프레임 속도로 모든 프레임을 기록 (사운드, HUD 없음)
+    if (recorder) {
+      await recorder.record({
+        timeline,
+        stepsPerFrame: numStepsPerFrame,
+        frameUnit,
+        frameInterval: Math.max(frameDuration, interval),
+        render: ({ array, colored }) =>
+          renderFrame({
+            style,
+            order: array,
+            image,
+            context,
+            colored,
+            layout,
+            cols
+          })
+      });
+    } else {
+      // 🧮 재생 위치의 보조 구조 (병합 버퍼, 기수 정렬의 버킷, 힙)
+      const auxTracker = createAuxTracker(timeline);
+      hideAuxPanel();
+
+      // 📊 HUD를 이번 단계의 시작 상태로 초기화
+      updateHud({
+        phase,
+        step: null,
+        position: 0,
+        length: timeline.length,
+        done: timeline.done
+      });
+
+      // 🎬 애니메이션 실행: 재생 컨트롤러가 타임라인의 정렬 과정들을 순차적으로 실행
+      //    (일시정지, 한 단계 이동, 타임라인 탐색 시에도 같은 render 함수로 다시 그림)
+      const player = createPlaybackController({
+        timeline,
+        stepsPerFrame: numStepsPerFrame,
+        frameUnit,
+        frameInterval: Math.max(frameDuration, interval),
+        render: ({
+          array,
+          colored,
+          soundIndexes,
+          soundKind,
+          step,
+          position,
+          length,
+          done,
+          truncation,
+          skipped
+        }) => {
+          // 현재 배열 상태를 캔버스에 다시 그림 (그리는 데 걸린 시간을 HUD에 표시)
+          const drawStartTime = performance.now();
+          renderFrame({
+            style, // 화면 스타일 (이미지, 막대 그래프 등)
+            order: array,
+            image,
+            context,
+            colored, // 색상 정보 포함
+            layout,
+            cols
+          });
+          const frameTime = performance.now() - drawStartTime;
+
+          // 보조 메모리 패널은 캔버스 밖이므로 그리는 시간에 넣지 않는다
+          const auxState = auxTracker.at(position);
+          updateAuxPanel(auxState, array);
+
+          // 현재 비교된 요소의 값(또는 위치)에 따라 사운드 재생
+          playBeep({
+            duration: Math.max(frameDuration, interval), // 사운드 지속 시간
+            n: arr.length, // 배열 크기
+            indexes: soundIndexes, // 사운드 재생할 인덱스
+            array, // 값으로 음높이를 정할 때 사용하는 현재 배열
+            kind: soundKind // 단계 종류 (비교, 교환 등은 음색이 다름)
+          });
+
+          // 실시간 통계 HUD 갱신
+          updateHud({
+            phase,
+            step,
+            position,
+            length,
+            done,
+            truncation,
+            skipped,
+            auxMemory: auxState.memory,
+            peakAuxMemory: auxState.peakMemory,
+            frameTime
+          });
+        }
+      });
+
+      await player.finished;
+    }
+  } finally {
+    // 🧵 제너레이터 실행 정리 (워커 종료, 오류로 멈춘 경우 포함)
+    timeline.cancel();
   }
 
   // 🎉 정렬이 끝난 후 최종 배열을 다시 그림
-  rearrangeImage({ order: finalArray, image, context });
+  const finalArray = timeline.array;
+  renderFrame({ style, order: finalArray, image, context, layout, cols });
 
   return finalArray; // 최종 정렬된 배열 반환
 }
 
-// 🕒 일정 시간 대기하는 함수
-function asleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
+// 🎲 UI에 입력된 시드 읽기 (숫자가 아니면 해시하여 사용, 비어 있으면 새로 만들어 표시)
+function readSeed() {
+  const input = document.querySelector('#seed');
+  const text = input.value.trim();
 
-let currentOscillators = [];
-let audioContext;
-
-// 🎵 사운드 재생 함수 (정렬 과정에서 비교되는 요소마다 소리 재생)
-function playBeep({ duration, n, indexes, type = 'sine' }) {
-  audioContext ||= new (window.AudioContext || window.webkitAudioContext)();
-  // 이전에 실행 중인 모든 oscillator를 정지
-  currentOscillators.forEach((oscillator) => oscillator.stop());
-  currentOscillators = []; // 배열 초기화
-  // indexes 배열을 순회하며 각 음을 재생
-  indexes.forEach((i) => {
-    const frequency = calculateFrequency(n, i);
-
-    // OscillatorNode 생성
-    const oscillator = audioContext.createOscillator();
-    oscillator.type = type;
-    oscillator.frequency.setValueAtTime(frequency, audioContext.currentTime);
-
-    // GainNode 생성 (볼륨 조절)
-    const gainNode = audioContext.createGain();
-    gainNode.gain.setValueAtTime(0.2, audioContext.currentTime);
-
-    // 노드 연결: Oscillator -> Gain -> Destination
-    oscillator.connect(gainNode);
-    gainNode.connect(audioContext.destination);
-
-    // 소리 재생 시작 및 정지 예약
-    oscillator.start();
-    oscillator.stop(audioContext.currentTime + duration / 1000);
-
-    // 현재 oscillator를 배열에 추가
-    currentOscillators.push(oscillator);
-  });
+  if (text === '') {
+    const seed = Math.floor(Math.random() * 4294967296);
+    input.value = seed;
+    return seed;
+  }
+
+  return /^\d+$/.test(text) ? Number(text) >>> 0 : hashSeed(text);
 }
 
-function calculateFrequency(n, i) {
-  // 듣기좋은 주파수 범위: 20Hz ~ 20kHz
-  const minFrequency = 20;
-  const maxFrequency = 6000;
+// 🎲 시드 입력란에 새로운 무작위 시드 채우기
+function randomizeSeed() {
+  document.querySelector('#seed').value = Math.floor(
+    Math.random() * 4294967296
+  );
+}
 
-  const frequency = minFrequency + (maxFrequency - minFrequency) * (i / n);
-  return frequency;
+// 🕒 일정 시간 대기하는 함수
+function asleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
 }
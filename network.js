@@ -0,0 +1,232 @@
+// 🕸️ 네트워크 그림의 선 사이 간격, 한 층 안의 비교기 열 간격, 층 사이 간격 (px)
+const NETWORK_WIRE_GAP = 24;
+const NETWORK_COLUMN_GAP = 14;
+const NETWORK_LAYER_GAP = 22;
+
+// 🕸️ 네트워크 그림의 바깥 여백 (px)
+const NETWORK_MARGIN = 36;
+
+// 🕸️ 네트워크 그림으로 그릴 수 있는 최대 선 수 (더 크면 비교기가 너무 많아서 알아볼 수 없다)
+const MAX_NETWORK_WIRES = 128;
+
+/**
+ * 📌 한 층의 비교기를 세로로 겹치지 않는 열에 나누어 놓는 함수
+ * - 같은 층의 비교기는 서로 다른 선을 쓰지만, 세로선이 다른 비교기의 선을 가로지를 수 있으므로
+ *   구간 [i, j]가 겹치는 비교기는 옆 열로 비켜 놓는다.
+ *
+ * @param {Object[]} comparators - 한 층의 비교기 목록 ({ i, j, up })
+ * @returns {{ columns: number, placed: Object[] }} - 열 수와 열 번호(column)를 붙인 비교기 목록
+ */
+function placeNetworkColumns(comparators) {
+  const columnEnds = []; // 열마다 마지막 비교기의 아래쪽 선
+  const placed = comparators.map((comparator) => {
+    let column = columnEnds.findIndex((end) => end < comparator.i);
+    if (column === -1) column = columnEnds.length;
+    columnEnds[column] = comparator.j;
+    return { ...comparator, column };
+  });
+  return { columns: Math.max(1, columnEnds.length), placed };
+}
+
+// SVG 속성과 텍스트에 넣을 문자열 이스케이프
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// SVG 요소 하나를 문자열로 만들기 (text가 있으면 여닫는 태그 사이에 넣는다)
+function svgElement(name, attributes, text) {
+  const attrs = Object.entries(attributes)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  return text === undefined
+    ? `<${name}${attrs}/>`
+    : `<${name}${attrs}>${escapeXml(text)}</${name}>`;
+}
+
+/**
+ * 📌 정렬 네트워크 그림(SVG) 생성 함수
+ * - Knuth 방식으로 배열 요소 하나를 가로선 하나로, 비교기를 두 선을 잇는 세로선으로 그린다.
+ *   (작은 값이 위쪽 선으로 가고, 큰 값이 위쪽으로 가는 비교기는 위쪽 끝에 화살표를 그린다)
+ * - 층(layer)마다 아래에 층 번호를 적고, 다른 파일 없이 열 수 있는 SVG 문서 하나를 만든다.
+ * - overlay에 재생 중인 프레임을 주면, 그 층을 배경색으로 표시하고 프레임에서 강조한 비교기를
+ *   애니메이션과 같은 색으로 칠한다. 남은 층은 흐리게 그리고, 층 오른쪽에 그 시점의 배열 값을 적는다.
+ *
+ * @param {Object} params - 함수 매개변수
+ * @param {number} params.n - 선(배열 요소)의 수
+ * @param {Object[][]} params.layers - 층마다 비교기 목록 (recordSortingNetwork 참고)
+ * @param {string} [params.title] - 그림 위쪽에 적을 제목
+ * @param {Object|null} [params.overlay] - 겹쳐 그릴 프레임 ({ array, colored, step }, combineSteps 참고)
+ * @returns {string} - SVG 문서
+ */
+function renderNetworkSvg({ n, layers, title = '', overlay = null }) {
+  const top = NETWORK_MARGIN + (title ? 24 : 0);
+  const left = NETWORK_MARGIN + 24; // 선 번호를 적을 자리
+  const wireY = (i) => top + i * NETWORK_WIRE_GAP;
+  const bottom = wireY(Math.max(0, n - 1));
+  const current = overlay?.step?.layer;
+
+  // 층마다 시작 위치와 너비
+  let right = left + NETWORK_LAYER_GAP;
+  const placedLayers = layers.map((comparators) => {
+    const { columns, placed } = placeNetworkColumns(comparators);
+    const layer = {
+      x: right,
+      width: (columns - 1) * NETWORK_COLUMN_GAP,
+      placed
+    };
+    right += layer.width + NETWORK_LAYER_GAP;
+    return layer;
+  });
+  const currentLayer = placedLayers[current];
+
+  const width = right + NETWORK_MARGIN + (currentLayer ? 24 : 0);
+  const height = bottom + NETWORK_MARGIN + 20;
+
+  // 프레임에서 강조한 비교기의 색 (같은 쌍이 여러 번 강조되면 마지막 색)
+  const colors = new Map();
+  for (const { indexes, color } of overlay?.colored ?? []) {
+    if (indexes.length === 2) {
+      colors.set(`${Math.min(...indexes)}-${Math.max(...indexes)}`, color);
+    }
+  }
+
+  const elements = [svgElement('rect', { width, height, fill: '#fff' })];
+  if (title) {
+    elements.push(
+      svgElement(
+        'text',
+        { x: NETWORK_MARGIN, y: NETWORK_MARGIN, 'font-size': 16 },
+        title
+      )
+    );
+  }
+
+  // 재생 중인 층의 배경
+  if (currentLayer) {
+    elements.push(
+      svgElement('rect', {
+        x: currentLayer.x - NETWORK_LAYER_GAP / 2,
+        y: top - NETWORK_WIRE_GAP / 2,
+        width: currentLayer.width + NETWORK_LAYER_GAP,
+        height: bottom - top + NETWORK_WIRE_GAP,
+        fill: 'rgba(97, 80, 158, 0.15)'
+      })
+    );
+  }
+
+  // 선과 선 번호
+  for (let i = 0; i < n; i++) {
+    const y = wireY(i);
+    elements.push(
+      svgElement(
+        'text',
+        { x: left - 8, y: y + 4, 'text-anchor': 'end', fill: '#666' },
+        i
+      ),
+      svgElement('line', { x1: left, y1: y, x2: right, y2: y, stroke: '#000' })
+    );
+  }
+
+  placedLayers.forEach(({ x, width: layerWidth, placed }, layer) => {
+    elements.push(
+      svgElement(
+        'text',
+        {
+          x: x + layerWidth / 2,
+          y: bottom + 28,
+          'text-anchor': 'middle',
+          fill: '#666'
+        },
+        layer + 1
+      )
+    );
+
+    // 겹쳐 그릴 때는 남은 층을 흐리게
+    const opacity = currentLayer && layer > current ? 0.3 : 1;
+    for (const { i, j, up, column } of placed) {
+      const cx = x + column * NETWORK_COLUMN_GAP;
+      const color = (layer === current && colors.get(`${i}-${j}`)) || '#000';
+      const paint = { fill: color, stroke: color, opacity };
+      elements.push(
+        svgElement('line', {
+          x1: cx,
+          y1: wireY(i),
+          x2: cx,
+          y2: wireY(j),
+          'stroke-width': 2,
+          ...paint
+        }),
+        up
+          ? svgElement('circle', { cx, cy: wireY(i), r: 3.5, ...paint })
+          : svgElement('path', {
+              d: `M ${cx} ${wireY(i)} l -5 8 h 10 z`,
+              ...paint
+            }),
+        svgElement('circle', { cx, cy: wireY(j), r: 3.5, ...paint })
+      );
+    }
+  });
+
+  // 재생 중인 층을 지난 뒤의 배열 값
+  if (currentLayer) {
+    const x = currentLayer.x + currentLayer.width + NETWORK_LAYER_GAP / 2 + 4;
+    overlay.array.forEach((value, i) => {
+      elements.push(
+        svgElement(
+          'text',
+          { x, y: wireY(i) - 4, 'font-size': 10, fill: '#61509e' },
+          value
+        )
+      );
+    });
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial" font-size="12">`,
+    ...elements,
+    '</svg>'
+  ].join('\n');
+}
+
+/**
+ * 📌 현재 실행 중인 정렬 네트워크를 SVG 그림으로 내보내는 함수
+ * - 현재 항목의 알고리즘을 recordSortingNetwork로 n개의 선에 실행해서 층별 비교기를 모으고,
+ *   renderNetworkSvg로 그린 그림을 파일로 다운로드한다.
+ * - 내보내기 설정에서 겹쳐 그리기를 켜 두었고 정렬 단계를 재생 중이면, 화면에 보이는 프레임을 겹쳐 그린다.
+ *   (일시정지하고 단계를 옮겨 가며 원하는 시점의 그림을 만들 수 있다)
+ */
+function exportNetworkDiagram() {
+  if (!currentRun?.algorithm.isNetwork) return;
+
+  const { algorithm, n, seed } = currentRun;
+  if (n > MAX_NETWORK_WIRES) {
+    updateExportStatus(`네트워크 그림은 n ≤ ${MAX_NETWORK_WIRES}만 그립니다`);
+    return;
+  }
+
+  // 섞기와 강조 단계에는 층이 없으므로, 층이 있는 프레임만 겹쳐 그린다
+  const frame = playbackState.active?.frame;
+  const overlay =
+    exportSettings.networkOverlay && frame?.step?.layer !== undefined
+      ? frame
+      : null;
+
+  const svg = renderNetworkSvg({
+    n,
+    layers: recordSortingNetwork(algorithm.generator, n),
+    title: `${algorithm.name}(${algorithm.generator.name}) · n=${n}${
+      overlay ? ` · 단계 ${formatCount(overlay.position)}` : ''
+    }`,
+    overlay
+  });
+  downloadBlob(
+    new Blob([svg], { type: 'image/svg+xml' }),
+    `gengar-${algorithm.id}-network-n${n}${
+      overlay ? `-seed${seed}-step${overlay.position}` : ''
+    }.svg`
+  );
+}
@@ -0,0 +1,574 @@
+// 🎮 재생 상태 (animateSort 호출이 바뀌어도 일시정지 여부는 유지된다)
+const playbackState = {
+  paused: false, // 일시정지 여부
+  active: null // 현재 화면을 제어 중인 재생 컨트롤러
+};
+
+// 🧮 배열 상태를 저장해 두는 간격 (탐색할 때 가장 가까운 저장 상태부터 단계를 다시 적용한다)
+const TIMELINE_KEYFRAME_INTERVAL = 1000;
+
+// 📦 한 번에 요청할 단계 수와, 재생 위치보다 미리 받아 둘 단계 수
+const STEP_BATCH_SIZE = 2000;
+const STEP_LOOKAHEAD = 8000;
+
+// 🎞️ 한 프레임에 보여줄 단계를 묶는 단위
+// - steps: stepsPerFrame 단계씩 (프레임 간격 ÷ 단계 간격)
+// - layer: 정렬 네트워크의 병렬 층(layer) 하나씩 (층이 없는 단계는 steps와 같다)
+const frameUnits = [
+  { id: 'steps', name: '단계 단위 프레임' },
+  { id: 'layer', name: '네트워크 층 단위 프레임' }
+];
+
+// 🧵 Web Worker를 사용할 수 있는지 (file://로 열었거나 워커를 불러오지 못하면 메인 스레드에서 실행)
+let stepWorkerAvailable =
+  typeof Worker !== 'undefined' && location.protocol !== 'file:';
+
+/**
+ * 📌 단계 공급원 생성 함수
+ * - 제너레이터를 실행하여 단계 이벤트를 묶음으로 보내주는 공급원을 만든다.
+ * - strategy.js의 제너레이터는 Web Worker(worker.js)에서 실행하고,
+ *   워커를 쓸 수 없거나 strategy.js에 없는 제너레이터는 메인 스레드에서 나누어 실행한다.
+ * - 모든 공급원은 같은 형태를 가진다.
+ *   - request(count): 최대 count개의 단계를 실행하고 { events, done, skipped, truncation }으로 resolve
+ *   - cancel(): 실행을 멈추고 자원(워커)을 정리한다.
+ *
+ * @param {Object} params - createStepRunner의 매개변수 (generator, array, yieldCompare, options, seed, maxSteps, budgetMode)
+ * @returns {Object} - 단계 공급원
+ */
+function createStepSource(params) {
+  // 시드가 없으면 지금의 난수 상태에서 이어서 실행 (워커는 메인 스레드와 난수 상태를 공유하지 않으므로)
+  const runnerParams = {
+    ...params,
+    array: [...params.array],
+    seed: params.seed ?? getRandomState()
+  };
+
+  // 워커는 이름으로 제너레이터를 찾으므로 strategy.js의 목록에 있는 제너레이터만 워커에서 실행할 수 있다
+  const isShared = findGenerator(params.generator.name) === params.generator;
+  return stepWorkerAvailable && isShared
+    ? createWorkerStepSource(runnerParams)
+    : createLocalStepSource(runnerParams);
+}
+
+// 취소된 공급원이 대기 중인 요청에 돌려주는 빈 묶음
+const cancelledStepBatch = {
+  events: [],
+  done: true,
+  skipped: 0,
+  truncation: null
+};
+
+// 🧵 메인 스레드 공급원: 묶음마다 이벤트 루프에 양보하여 화면이 멈추지 않게 한다
+function createLocalStepSource(params) {
+  const runner = createStepRunner(params);
+  let cancelled = false;
+
+  return {
+    async request(count) {
+      await asleep(0);
+      return cancelled ? cancelledStepBatch : runner.run(count);
+    },
+    cancel() {
+      cancelled = true;
+      runner.cancel();
+    }
+  };
+}
+
+/**
+ * 📌 Web Worker 공급원 생성 함수
+ * - 메시지 형식 (worker.js 참고)
+ *   - 메인 → 워커: { type: 'start', generator, array, yieldCompare, options, seed, maxSteps, budgetMode }
+ *                  { type: 'pull', count }
+ *   - 워커 → 메인: { type: 'steps', events, done, skipped, truncation }
+ *                  { type: 'error', message }
+ * - 취소하면 워커를 바로 종료한다. (빨리 감기처럼 오래 걸리는 실행도 즉시 멈춘다)
+ * - 워커를 불러오지 못하면(예: 파일 경로 제한) 이후로는 메인 스레드 공급원을 사용한다.
+ *
+ * @param {Object} params - createStepRunner의 매개변수
+ * @returns {Object} - 단계 공급원
+ */
+function createWorkerStepSource(params) {
+  const { generator, ...settings } = params;
+  let worker;
+  let pending = null; // 응답을 기다리는 요청 ({ resolve, reject, count })
+  let fallback = null; // 워커를 불러오지 못했을 때 대신 사용하는 메인 스레드 공급원
+  let received = false; // 워커에게서 응답을 받은 적이 있는지
+
+  // 워커를 쓸 수 없으면 메인 스레드에서 처음부터 다시 실행
+  function useFallback(error) {
+    if (received) {
+      pending?.reject(error);
+      pending = null;
+      return;
+    }
+
+    console.warn(
+      'Web Worker를 사용할 수 없어 메인 스레드에서 실행합니다.',
+      error
+    );
+    stepWorkerAvailable = false;
+    worker?.terminate();
+    fallback = createLocalStepSource(params);
+
+    if (pending) {
+      const { resolve, reject, count } = pending;
+      pending = null;
+      fallback.request(count).then(resolve, reject);
+    }
+  }
+
+  try {
+    worker = new Worker('./worker.js');
+  } catch (error) {
+    useFallback(error);
+    return fallback;
+  }
+
+  worker.addEventListener('message', ({ data }) => {
+    received = true;
+    const request = pending;
+    pending = null;
+    if (data.type === 'error') {
+      request?.reject(new Error(data.message));
+    } else {
+      request?.resolve(data);
+    }
+  });
+  worker.addEventListener('error', (event) => {
+    event.preventDefault();
+    useFallback(new Error(event.message || 'worker.js를 불러올 수 없습니다.'));
+  });
+
+  worker.postMessage({ type: 'start', generator: generator.name, ...settings });
+
+  return {
+    request(count) {
+      if (fallback) return fallback.request(count);
+      return new Promise((resolve, reject) => {
+        pending = { resolve, reject, count };
+        worker.postMessage({ type: 'pull', count });
+      });
+    },
+    cancel() {
+      if (fallback) return fallback.cancel();
+      worker.terminate();
+      pending?.resolve(cancelledStepBatch);
+      pending = null;
+    }
+  };
+}
+
+/**
+ * 📌 단계 타임라인을 만드는 함수
+ * - 단계 공급원(createStepSource)에서 재생에 필요한 만큼만 단계를 받아 온다.
+ *   (재생 위치보다 STEP_LOOKAHEAD 단계 앞까지만 미리 받는다)
+ * - 단계마다 배열 전체를 복사하지 않고 변경 내용(swap, write)만 보관하며,
+ *   TIMELINE_KEYFRAME_INTERVAL 단계마다 배열 상태를 저장해 두고 임의 위치의 배열을 다시 만든다.
+ *
+ * @param {Object} params - 함수 매개변수
+ * @param {Object} params.source - 단계 공급원 (createStepSource 참고)
+ * @param {number[]} params.initialArray - 첫 단계 이전의 배열 상태
+ * @param {Function} params.mapEvent - 단계 이벤트를 저장할 단계로 바꾸는 함수 (kind, indexes, values 포함)
+ * @returns {Object} - 단계 타임라인
+ */
+function createStepTimeline({ source, initialArray, mapEvent }) {
+  const head = [...initialArray]; // 지금까지 받은 모든 단계를 적용한 배열
+  const steps = []; // 지금까지 받은 단계
+  const keyframes = [[...initialArray]]; // keyframes[k]: k × TIMELINE_KEYFRAME_INTERVAL 단계 후의 배열
+  let done = false;
+  let cancelled = false;
+  let skipped = 0; // 빨리 감기로 건너뛴 단계 수
+  let truncation = null; // 제너레이터가 끝나기 전에 멈췄으면 { step, sortedness }
+  let pending = null; // 응답을 기다리는 요청
+  let failure = null; // 공급원에서 발생한 오류
+  let cursor = { position: 0, array: [...initialArray] }; // 마지막으로 다시 만든 배열 (순서대로 재생할 때 재사용)
+
+  function receive(batch) {
+    if (cancelled) return;
+
+    for (const event of batch.events) {
+      steps.push(mapEvent(event));
+      applyStepEvent(head, event);
+      if (steps.length % TIMELINE_KEYFRAME_INTERVAL === 0) {
+        keyframes.push([...head]);
+      }
+    }
+    done = batch.done;
+    skipped = batch.skipped;
+    truncation = batch.truncation;
+  }
+
+  // position보다 STEP_LOOKAHEAD 단계 앞까지 다음 묶음 요청 (요청은 한 번에 하나씩)
+  function prefetch(position) {
+    if (!pending && !done && !failure) {
+      if (steps.length > position + STEP_LOOKAHEAD) return null;
+      pending = source
+        .request(STEP_BATCH_SIZE)
+        .then(receive, (error) => {
+          failure = error;
+        })
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  }
+
+  // 단계가 count개보다 많이 쌓이거나 제너레이터가 끝날 때까지 기다리기
+  // (한 단계를 더 받아 두어, 마지막 단계를 그릴 때 이미 done을 알 수 있게 한다)
+  async function ready(count) {
+    while (!done && !failure && steps.length <= count) {
+      await prefetch(count);
+    }
+    if (failure) throw failure;
+
+    prefetch(count); // 재생하는 동안 다음 묶음을 미리 받아 둔다
+    return steps.length;
+  }
+
+  // position개의 단계를 적용한 배열 (가까운 저장 상태 또는 직전 결과부터 다시 적용)
+  function arrayAt(position) {
+    const target = Math.min(steps.length, position);
+    const keyframe = Math.floor(target / TIMELINE_KEYFRAME_INTERVAL);
+
+    if (
+      cursor.position > target ||
+      cursor.position < keyframe * TIMELINE_KEYFRAME_INTERVAL
+    ) {
+      cursor = {
+        position: keyframe * TIMELINE_KEYFRAME_INTERVAL,
+        array: [...keyframes[keyframe]]
+      };
+    }
+    while (cursor.position < target) {
+      applyStepEvent(cursor.array, steps[cursor.position++]);
+    }
+    return [...cursor.array];
+  }
+
+  // 지금까지 받은 단계 중 from 이후의 첫 kind 단계 위치 (없으면 -1)
+  function findNext(from, kind) {
+    for (let i = from; i < steps.length; i++) {
+      if (steps[i].kind === kind) return i;
+    }
+    return -1;
+  }
+
+  return {
+    ready,
+    arrayAt,
+    findNext,
+    step: (index) => steps[index],
+    // 제너레이터를 끝까지 실행 (내보내기처럼 전체 길이가 필요할 때)
+    drain: () => ready(Infinity),
+    // 실행 중인 제너레이터를 멈춤 (지금까지 받은 단계는 그대로 남는다)
+    cancel() {
+      if (cancelled) return;
+      cancelled = true;
+      done = true;
+      source.cancel();
+    },
+    get length() {
+      return steps.length;
+    },
+    // 제너레이터가 끝났는지 (끝나기 전에는 length가 지금까지 받은 단계 수)
+    get done() {
+      return done;
+    },
+    get skipped() {
+      return skipped;
+    },
+    get truncation() {
+      return truncation;
+    },
+    // 지금까지 받은 모든 단계를 적용한 배열 (done이 된 뒤에는 최종 배열)
+    get array() {
+      return [...head];
+    }
+  };
+}
+
+/**
+ * 📌 재생 컨트롤러를 만드는 함수
+ * - animateSort가 만든 단계 타임라인을 재생한다. (필요한 단계는 재생하면서 받아 온다)
+ * - 재생/일시정지, 한 단계 앞/뒤 이동, 임의 위치 탐색(seek),
+ *   다음 교환/비교 단계로 건너뛰기를 지원한다.
+ * - position은 "지금까지 적용된 단계 수"이며, 화면에는 항상
+ *   position - 1번째 단계의 배열 상태와 강조 색상이 표시된다.
+ *
+ * @param {Object} params - 함수 매개변수
+ * @param {Object} params.timeline - 재생할 단계 타임라인 (createStepTimeline 참고)
+ * @param {number} params.stepsPerFrame - 한 프레임에 병합해서 보여줄 단계 수
+ * @param {string} [params.frameUnit] - 한 프레임에 보여줄 단계를 묶는 단위 (frameUnits 참고, 기본값: steps)
+ * @param {number} params.frameInterval - 프레임 사이의 대기 시간 (ms)
+ * @param {Function} params.render - 프레임을 그리는 함수 ({ array, colored, soundIndexes, soundKind, step, position, length, done, truncation, skipped })
+ * @returns {Object} - 재생 컨트롤러
+ */
+function createPlaybackController({
+  timeline,
+  stepsPerFrame,
+  frameUnit = 'steps',
+  frameInterval,
+  render
+}) {
+  let position = 0; // 지금까지 적용된 단계 수
+  let frame = null; // 마지막으로 그린 프레임 (네트워크 그림에 겹쳐 그릴 때 사용)
+  let wake = null; // 일시정지 중인 재생 루프를 깨우는 함수
+
+  // 화면과 타임라인을 현재 위치에 맞게 갱신
+  function show(from, to) {
+    position = to;
+    frame = combineSteps(timeline, from, to);
+    render(frame);
+    updatePlaybackControls();
+  }
+
+  // 특정 위치로 이동 (해당 위치의 단계 하나만 강조)
+  function seek(target) {
+    const clamped = Math.max(0, Math.min(timeline.length, Math.floor(target)));
+    show(Math.max(0, clamped - 1), clamped);
+  }
+
+  // 한 단계 앞/뒤로 이동 (이동하면 일시정지, 아직 받지 않은 단계는 받을 때까지 기다림)
+  async function step(delta) {
+    pause();
+    const target = position + delta;
+    await timeline.ready(target);
+    seek(target);
+  }
+
+  // 다음 교환(swap) 또는 비교(compare) 단계로 이동 (이동하면 일시정지)
+  async function jump(kind) {
+    pause();
+    let from = position;
+    for (;;) {
+      const index = timeline.findNext(from, kind);
+      if (index !== -1) return seek(index + 1);
+      if (timeline.done) return seek(timeline.length);
+
+      // 받아 둔 단계에 없으면 다음 묶음을 받아서 계속 찾기
+      from = timeline.length;
+      await timeline.ready(from);
+    }
+  }
+
+  function play() {
+    playbackState.paused = false;
+    if (wake) wake();
+    updatePlaybackControls();
+  }
+
+  function pause() {
+    playbackState.paused = true;
+    updatePlaybackControls();
+  }
+
+  // from부터 한 프레임에 보여줄 단계의 끝 (층 단위면 그 층의 단계를 모두 받을 때까지 기다림)
+  async function nextFrameEnd(from) {
+    let length = timeline.length;
+    for (;;) {
+      const to = findFrameEnd(timeline, from, stepsPerFrame, frameUnit);
+      if (to < length || timeline.done) return to;
+
+      length = await timeline.ready(length);
+      if (to === length) return to;
+    }
+  }
+
+  // 🎬 재생 루프: 일시정지 중에는 play()가 호출될 때까지 기다린다
+  async function run() {
+    for (;;) {
+      const length = await timeline.ready(position + stepsPerFrame);
+      if (position >= length) break;
+
+      if (playbackState.paused) {
+        await new Promise((resolve) => (wake = resolve));
+        wake = null;
+        continue;
+      }
+
+      show(position, await nextFrameEnd(position));
+
+      // 프레임 간격만큼 대기 (애니메이션 효과)
+      await asleep(frameInterval);
+    }
+  }
+
+  const controller = {
+    play,
+    pause,
+    step,
+    seek,
+    jump,
+    get position() {
+      return position;
+    },
+    get frame() {
+      return frame;
+    },
+    get length() {
+      return timeline.length;
+    },
+    get done() {
+      return timeline.done;
+    }
+  };
+
+  playbackState.active = controller;
+  updatePlaybackControls();
+
+  controller.finished = run().then(() => {
+    if (playbackState.active === controller) playbackState.active = null;
+    updatePlaybackControls();
+  });
+
+  return controller;
+}
+
+/**
+ * 📌 한 프레임의 끝 위치를 구하는 함수
+ * - from부터 한 프레임에 보여줄 단계의 끝(포함하지 않음)을 지금까지 받은 단계 안에서 구한다.
+ * - 층 단위(layer)면 from과 같은 층인 연속한 단계를 모두 한 프레임으로 묶는다.
+ *
+ * @param {Object} timeline - 단계 타임라인 (createStepTimeline 참고)
+ * @param {number} from - 프레임이 시작하는 단계 (받은 단계 수보다 작아야 한다)
+ * @param {number} stepsPerFrame - 단계 단위일 때 한 프레임의 단계 수
+ * @param {string} [frameUnit] - 프레임 단위 (frameUnits 참고, 기본값: steps)
+ * @returns {number} - 프레임의 끝 위치
+ */
+function findFrameEnd(timeline, from, stepsPerFrame, frameUnit = 'steps') {
+  const { layer } = timeline.step(from);
+  if (frameUnit !== 'layer' || layer === undefined) {
+    return Math.min(from + stepsPerFrame, timeline.length);
+  }
+
+  let to = from + 1;
+  while (to < timeline.length && timeline.step(to).layer === layer) to++;
+  return to;
+}
+
+// 모든 단계를 받은 타임라인을 프레임으로 나눈 각 프레임의 끝 위치 (내보내기에서 사용)
+function splitFrames(timeline, stepsPerFrame, frameUnit) {
+  const ends = [];
+  for (let from = 0; from < timeline.length; ) {
+    from = findFrameEnd(timeline, from, stepsPerFrame, frameUnit);
+    ends.push(from);
+  }
+  return ends;
+}
+
+/**
+ * 📌 from ~ to-1 단계를 하나의 프레임으로 병합하는 함수
+ * - 재생 컨트롤러와 내보내기(exporter.js)가 같은 방식으로 프레임을 만든다.
+ *
+ * @param {Object} timeline - 단계 타임라인 (createStepTimeline 참고)
+ * @param {number} from - 병합을 시작할 단계
+ * @param {number} to - 병합을 끝낼 단계 (이 단계는 포함하지 않음)
+ * @returns {Object} - 프레임 ({ array, colored, soundIndexes, soundKind, step, position, length, done, truncation, skipped })
+ */
+function combineSteps(timeline, from, to) {
+  const array = timeline.arrayAt(to);
+  const { length, done, truncation, skipped } = timeline;
+
+  if (to === 0) {
+    return {
+      array,
+      colored: [],
+      soundIndexes: [],
+      soundKind: null,
+      step: null,
+      position: 0,
+      length,
+      done,
+      truncation,
+      skipped
+    };
+  }
+
+  const colored = [];
+  for (let i = from; i < to; i++) {
+    colored.push(...timeline.step(i).colored);
+  }
+
+  return {
+    array,
+    colored,
+    soundIndexes: timeline.step(from).soundIndexes, // 첫 단계의 사운드만 재생
+    soundKind: timeline.step(from).kind, // 사운드의 음색을 정할 단계 종류
+    step: timeline.step(to - 1), // 마지막 단계 (누적 통계 표시용)
+    position: to,
+    length,
+    done,
+    truncation,
+    skipped
+  };
+}
+
+// 🕹️ 재생/일시정지 전환 (버튼 및 스페이스 키)
+function togglePlayback() {
+  const player = playbackState.active;
+  if (!player) {
+    playbackState.paused = !playbackState.paused;
+    updatePlaybackControls();
+    return;
+  }
+  playbackState.paused ? player.play() : player.pause();
+}
+
+// ⏩ 한 단계 앞/뒤로 이동 (버튼 및 방향키)
+function stepPlayback(delta) {
+  playbackState.active?.step(delta);
+}
+
+// ⏭️ 다음 교환/비교 단계로 이동
+function jumpPlayback(kind) {
+  playbackState.active?.jump(kind);
+}
+
+// 🎚️ 타임라인 바를 움직였을 때 해당 위치로 이동
+function seekPlayback(value) {
+  playbackState.active?.seek(value * 1);
+}
+
+// 🖥️ 재생 컨트롤 UI(버튼, 타임라인)를 현재 상태에 맞게 갱신
+function updatePlaybackControls() {
+  const controls = document.getElementById('playback-controls');
+  if (!controls) return;
+
+  const player = playbackState.active;
+  const timeline = document.getElementById('timeline');
+
+  document.getElementById('playPauseButton').innerText = playbackState.paused
+    ? '▶'
+    : '⏸';
+  timeline.max = player ? player.length : 0;
+  timeline.value = player ? player.position : 0;
+  timeline.disabled = !player;
+  // 제너레이터가 아직 끝나지 않았으면 전체 길이를 알 수 없으므로 + 표시
+  document.getElementById('timeline-label').innerText = player
+    ? `${player.position} / ${player.length}${player.done ? '' : '+'}`
+    : '';
+}
+
+// ⌨️ 키보드 단축키: Space(재생/일시정지), ←/→(한 단계), S(다음 교환), C(다음 비교), M(음소거)
+document.addEventListener('keydown', (event) => {
+  if (document.getElementById('playback-controls').hidden) return;
+  if (event.target instanceof HTMLInputElement && event.target.type !== 'range')
+    return;
+
+  const actions = {
+    ' ': () => togglePlayback(),
+    ArrowLeft: () => stepPlayback(-1),
+    ArrowRight: () => stepPlayback(1),
+    s: () => jumpPlayback('swap'),
+    c: () => jumpPlayback('compare'),
+    m: () => toggleMute()
+  };
+
+  const action = actions[event.key];
+  if (action) {
+    event.preventDefault();
+    action();
+  }
+});
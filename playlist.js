@@ -0,0 +1,347 @@
+// 💾 재생 목록을 저장하는 localStorage 키
+const PLAYLIST_STORAGE_KEY = 'gengar.playlist';
+
+// 🧮 항목마다 정할 수 있는 최대 요소 개수와 최대 단계 예산
+//    (너무 크면 조각과 단계 기록을 만드느라 페이지가 멈춘다. 4096은 4K 화면의 가로 픽셀 수보다 많다)
+const MAX_PLAYLIST_N = 4096;
+const MAX_PLAYLIST_STEPS = 1000000;
+
+/**
+ * 📌 기본 재생 목록 생성 함수
+ * - strategy.js의 모든 정렬 알고리즘을 목록 순서대로 한 번씩 실행한다.
+ * - 효율적인 알고리즘은 n=256, interval=22, 나머지는 n=192, interval=10을 사용한다.
+ *
+ * @returns {{ entries: Object[] }} - 기본 재생 목록
+ */
+function createDefaultPlaylist() {
+  return {
+    entries: sortAlgorithms.map((algorithm) =>
+      createPlaylistEntry(algorithm.id)
+    )
+  };
+}
+
+/**
+ * 📌 재생 목록 항목 생성 함수
+ *
+ * @param {string} algorithmId - 정렬 알고리즘 id (sortAlgorithms 참고)
+ * @returns {Object} - 재생 목록 항목
+ *   - algorithm: 정렬 알고리즘 id
+ *   - n: 정렬할 요소 개수
+ *   - interval: 정렬 애니메이션 프레임 간격 (ms)
+ *   - distribution: 초기 입력 분포 id (inputDistributions 참고)
+ *   - style: 화면 스타일 id (visualStyles 참고)
+ *   - layout: 이미지 배치 방식 id (tileLayouts 참고, 셰어 정렬은 뱀 모양 격자가 기본값)
+ *   - cols: 격자의 열 수 (격자 배치에서만 사용)
+ *   - base: 기수 정렬의 진법 (hasRadixBase인 알고리즘에서만 사용)
+ *   - frameUnit: 한 프레임에 보여줄 단계를 묶는 단위 id (frameUnits 참고, isNetwork인 알고리즘에서만 사용)
+ *   - maxSteps: 정렬 단계 예산 (화면에 보여줄 최대 단계 수)
+ *   - budgetMode: 단계 예산을 다 썼을 때의 동작 id (stepBudgetModes 참고)
+ *   - repeat: 반복 횟수
+ */
+function createPlaylistEntry(algorithmId) {
+  const { isEfficient } = findAlgorithm(algorithmId);
+  return {
+    algorithm: algorithmId,
+    n: isEfficient ? 256 : 192,
+    interval: isEfficient ? 22 : 10,
+    distribution: 'shuffle',
+    style: 'image',
+    layout: algorithmId === 'shearSort' ? 'snake' : 'strips',
+    cols: 16,
+    base: 10,
+    frameUnit: 'steps',
+    maxSteps: DEFAULT_MAX_STEPS,
+    budgetMode: 'truncate',
+    repeat: 1
+  };
+}
+
+// 🔍 id로 정렬 알고리즘 / 입력 분포 찾기
+function findAlgorithm(id) {
+  return sortAlgorithms.find((algorithm) => algorithm.id === id);
+}
+
+function findDistribution(id) {
+  return inputDistributions.find((distribution) => distribution.id === id);
+}
+
+function findStyle(id) {
+  return visualStyles.find((style) => style.id === id);
+}
+
+function findLayout(id) {
+  return tileLayouts.find((layout) => layout.id === id);
+}
+
+function findFrameUnit(id) {
+  return frameUnits.find((unit) => unit.id === id);
+}
+
+function findBudgetMode(id) {
+  return stepBudgetModes.find((mode) => mode.id === id);
+}
+
+/**
+ * 📌 재생 목록 정규화 함수
+ * - 저장된 값이나 사용자 입력을 실행 가능한 형태로 보정한다.
+ * - 존재하지 않는 알고리즘 항목은 제외하고, 숫자 값은 최소 1 이상의 정수로 맞춘다.
+ * - n과 단계 예산은 MAX_PLAYLIST_N, MAX_PLAYLIST_STEPS 이하로, 진법은 2 ~ MAX_RADIX_BASE로 자른다.
+ *
+ * @param {Object} playlist - 정규화할 재생 목록
+ * @returns {{ entries: Object[] }} - 정규화된 재생 목록
+ */
+function normalizePlaylist(playlist) {
+  const toPositiveInteger = (value, fallback) =>
+    Number.isFinite(value * 1) && value >= 1 ? Math.floor(value) : fallback;
+
+  const entries = (playlist?.entries ?? [])
+    .filter((entry) => findAlgorithm(entry?.algorithm))
+    .map((entry) => {
+      const defaults = createPlaylistEntry(entry.algorithm);
+      return {
+        algorithm: entry.algorithm,
+        n: Math.min(MAX_PLAYLIST_N, toPositiveInteger(entry.n, defaults.n)),
+        interval: toPositiveInteger(entry.interval, defaults.interval),
+        distribution: findDistribution(entry.distribution)
+          ? entry.distribution
+          : defaults.distribution,
+        style: findStyle(entry.style) ? entry.style : defaults.style,
+        layout: findLayout(entry.layout) ? entry.layout : defaults.layout,
+        cols: toPositiveInteger(entry.cols, defaults.cols),
+        base: Math.min(
+          MAX_RADIX_BASE,
+          Math.max(2, toPositiveInteger(entry.base, defaults.base))
+        ),
+        frameUnit: findFrameUnit(entry.frameUnit)
+          ? entry.frameUnit
+          : defaults.frameUnit,
+        maxSteps: Math.min(
+          MAX_PLAYLIST_STEPS,
+          toPositiveInteger(entry.maxSteps, defaults.maxSteps)
+        ),
+        budgetMode: findBudgetMode(entry.budgetMode)
+          ? entry.budgetMode
+          : defaults.budgetMode,
+        repeat: toPositiveInteger(entry.repeat, defaults.repeat)
+      };
+    });
+
+  return { entries };
+}
+
+// 💾 재생 목록 불러오기 (저장된 값이 없거나 손상되었으면 기본 재생 목록 사용)
+function loadPlaylist() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PLAYLIST_STORAGE_KEY));
+    if (saved) return normalizePlaylist(saved);
+  } catch (error) {
+    console.warn('저장된 재생 목록을 읽을 수 없습니다.', error);
+  }
+  return createDefaultPlaylist();
+}
+
+// 💾 재생 목록 저장하기
+function savePlaylist(playlist) {
+  localStorage.setItem(PLAYLIST_STORAGE_KEY, JSON.stringify(playlist));
+}
+
+/**
+ * 📌 재생 목록을 실행 순서대로 펼치는 함수
+ * - repeat 값만큼 항목을 반복하고, 알고리즘/분포 정보를 함께 담아 반환한다.
+ *
+ * @param {{ entries: Object[] }} playlist - 재생 목록
+ * @returns {Object[]} - 실행할 항목 목록 ({ ...entry, algorithm, distribution, round })
+ */
+function expandPlaylist(playlist) {
+  return playlist.entries.flatMap((entry) =>
+    Array.from({ length: entry.repeat }, (_, round) => ({
+      ...entry,
+      algorithm: findAlgorithm(entry.algorithm),
+      distribution: findDistribution(entry.distribution),
+      round: round + 1 // 몇 번째 반복인지 (1부터 시작)
+    }))
+  );
+}
+
+// 📝 현재 편집 중인 재생 목록
+let playlist = loadPlaylist();
+
+// 재생 목록을 수정한 뒤 저장하고 편집기를 다시 그린다
+function updatePlaylist(entries) {
+  playlist = { ...playlist, entries };
+  savePlaylist(playlist);
+  renderPlaylistEditor();
+}
+
+// ✏️ 항목 값 변경
+function updatePlaylistEntry(index, changes) {
+  updatePlaylist(
+    playlist.entries.map((entry, i) =>
+      i === index
+        ? normalizePlaylist({ entries: [{ ...entry, ...changes }] }).entries[0]
+        : entry
+    )
+  );
+}
+
+// ↕️ 항목 순서 변경 (offset: -1 위로, 1 아래로)
+function movePlaylistEntry(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= playlist.entries.length) return;
+
+  const entries = [...playlist.entries];
+  [entries[index], entries[target]] = [entries[target], entries[index]];
+  updatePlaylist(entries);
+}
+
+// ➕ 항목 추가 / ✖️ 항목 삭제 / 🔄 기본값으로 되돌리기
+function addPlaylistEntry() {
+  const algorithmId = document.getElementById('playlistAlgorithm').value;
+  updatePlaylist([...playlist.entries, createPlaylistEntry(algorithmId)]);
+}
+
+function removePlaylistEntry(index) {
+  updatePlaylist(playlist.entries.filter((_, i) => i !== index));
+}
+
+function resetPlaylist() {
+  updatePlaylist(createDefaultPlaylist().entries);
+}
+
+// 🧩 <select> 요소 생성 (options: { id, name } 목록)
+function createSelect(options, value, onChange) {
+  const select = document.createElement('select');
+  for (const { id, name } of options) {
+    select.add(new Option(name, id, false, id === value));
+  }
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+// 🧩 라벨이 붙은 숫자 입력 요소 생성 (max가 있으면 입력 범위의 최댓값으로 표시)
+function createNumberInput(label, value, onChange, max) {
+  const wrapper = document.createElement('label');
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = 1;
+  if (max !== undefined) input.max = max;
+  input.value = value;
+  input.addEventListener('change', () => onChange(input.value * 1));
+  wrapper.append(`${label} `, input);
+  return wrapper;
+}
+
+// 🧩 단계 예산 입력 요소 생성 (다섯 자리 이상의 숫자가 들어가도록 넓게)
+function createBudgetInput(value, onChange) {
+  const wrapper = createNumberInput(
+    '단계',
+    value,
+    onChange,
+    MAX_PLAYLIST_STEPS
+  );
+  wrapper.className = 'playlist-budget';
+  wrapper.title = '단계 예산 (화면에 보여줄 최대 단계 수)';
+  return wrapper;
+}
+
+// 🧩 버튼 요소 생성
+function createButton(text, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.innerText = text;
+  button.title = title;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// 🖥️ presetForm 안의 재생 목록 편집기를 현재 재생 목록에 맞게 다시 그림
+function renderPlaylistEditor() {
+  const container = document.getElementById('playlist');
+  if (!container) return;
+
+  const rows = playlist.entries.map((entry, index) => {
+    const row = document.createElement('div');
+    row.className = 'playlist-entry';
+    row.append(
+      `${index + 1}.`,
+      createSelect(sortAlgorithms, entry.algorithm, (algorithm) =>
+        updatePlaylistEntry(index, { algorithm })
+      ),
+      createNumberInput(
+        'n',
+        entry.n,
+        (n) => updatePlaylistEntry(index, { n }),
+        MAX_PLAYLIST_N
+      ),
+      createNumberInput('ms', entry.interval, (interval) =>
+        updatePlaylistEntry(index, { interval })
+      ),
+      createSelect(inputDistributions, entry.distribution, (distribution) =>
+        updatePlaylistEntry(index, { distribution })
+      ),
+      createSelect(visualStyles, entry.style, (style) =>
+        updatePlaylistEntry(index, { style })
+      ),
+      // 배치 방식과 열 수는 이미지 조각 스타일에서만 사용
+      ...(entry.style === 'image'
+        ? [
+            createSelect(tileLayouts, entry.layout, (layout) =>
+              updatePlaylistEntry(index, { layout })
+            )
+          ]
+        : []),
+      ...(entry.style === 'image' && entry.layout !== 'strips'
+        ? [
+            createNumberInput('cols', entry.cols, (cols) =>
+              updatePlaylistEntry(index, { cols })
+            )
+          ]
+        : []),
+      // 진법은 기수 정렬에서만 사용
+      ...(findAlgorithm(entry.algorithm).hasRadixBase
+        ? [
+            createNumberInput('base', entry.base, (base) =>
+              updatePlaylistEntry(index, { base })
+            )
+          ]
+        : []),
+      // 층 단위 프레임은 정렬 네트워크에서만 사용
+      ...(findAlgorithm(entry.algorithm).isNetwork
+        ? [
+            createSelect(frameUnits, entry.frameUnit, (frameUnit) =>
+              updatePlaylistEntry(index, { frameUnit })
+            )
+          ]
+        : []),
+      createBudgetInput(entry.maxSteps, (maxSteps) =>
+        updatePlaylistEntry(index, { maxSteps })
+      ),
+      createSelect(stepBudgetModes, entry.budgetMode, (budgetMode) =>
+        updatePlaylistEntry(index, { budgetMode })
+      ),
+      createNumberInput('×', entry.repeat, (repeat) =>
+        updatePlaylistEntry(index, { repeat })
+      ),
+      createButton('↑', '위로 이동', () => movePlaylistEntry(index, -1)),
+      createButton('↓', '아래로 이동', () => movePlaylistEntry(index, 1)),
+      createButton('✕', '삭제', () => removePlaylistEntry(index))
+    );
+    return row;
+  });
+
+  container.replaceChildren(...rows);
+  document.getElementById('excuteButton').disabled =
+    playlist.entries.length === 0;
+}
+
+// 처음 페이지를 열었을 때 추가할 알고리즘 목록과 재생 목록 편집기를 그림
+(function initPlaylistEditor() {
+  const select = document.getElementById('playlistAlgorithm');
+  if (!select) return;
+
+  for (const { id, name } of sortAlgorithms) {
+    select.add(new Option(name, id));
+  }
+  renderPlaylistEditor();
+})();
@@ -0,0 +1,348 @@
+// ⏱️ 동일 시간 모드에서 이벤트 종류별 비용
+//    (교환은 쓰기 두 번으로 계산하고, 화면 표시용 이벤트인 markSorted, pivot과
+//     보조 배열을 만들거나 힙 크기를 알리는 auxAlloc, heap은 비용이 없다)
+const raceStepCosts = {
+  compare: 1,
+  read: 1,
+  swap: 2,
+  write: 1,
+  auxWrite: 1,
+  auxAlloc: 0,
+  heap: 0,
+  markSorted: 0,
+  pivot: 0
+};
+
+// 🏁 레이스 모드 선택지
+const raceModes = [
+  { id: 'operation', name: '동일 연산 (틱마다 같은 이벤트 수)' },
+  { id: 'time', name: '동일 시간 (이벤트 비용 기준)' }
+];
+
+// 🔊 각 패널의 사운드 상태 (mix: 모든 패널 재생, 패널을 solo로 지정하면 해당 패널만 재생)
+const raceAudio = { muted: new Set(), solo: null };
+
+/**
+ * 📌 레이스 모드 실행 함수
+ * - 여러 정렬 알고리즘을 같은 입력(같은 시드, 같은 분포)으로 동시에 실행한다.
+ * - 화면을 N개의 패널로 나누고, 각 패널은 자신의 캔버스에 선택한 화면 스타일로 그린다. (renderFrame 참고)
+ * - 매 틱마다 모든 제너레이터를 같은 만큼 진행시키며(lockstep),
+ *   패널마다 누적 통계와 완료 순위를 표시한다.
+ * - 패널마다 단계 실행기(createStepRunner)가 난수 상태를 따로 가지므로, 무작위 알고리즘도
+ *   함께 달리는 패널과 관계없이 일반 모드의 첫 회차와 같은 단계를 실행한다.
+ */
+async function executeRace() {
+  const algorithms = [
+    ...document.querySelectorAll('#raceAlgorithms input:checked')
+  ].map((input) => findAlgorithm(input.value));
+  if (algorithms.length === 0) return;
+
+  // UI에서 입력된 레이스 설정 가져오기
+  const frameDuration = document.querySelector('#frameDuration').value * 1;
+  const n = Math.max(1, document.querySelector('#raceN').value * 1);
+  const interval = Math.max(
+    1,
+    document.querySelector('#raceInterval').value * 1
+  );
+  const distribution = findDistribution(
+    document.querySelector('#raceDistribution').value
+  );
+  const mode = document.querySelector('#raceMode').value;
+  const style = document.querySelector('#raceStyle').value;
+  const layout = document.querySelector('#raceLayout').value;
+  const cols = Math.max(1, document.querySelector('#raceCols').value * 1);
+  const seed = readSeed();
+
+  // 배경 이미지 로드 (패널마다 패널 크기에 맞춰 사용)
+  const image = await loadSelectedImage();
+
+  // UI 폼 제거 및 레이스 화면 표시
+  document.getElementById('presetForm').remove();
+  document.getElementById('canvas').hidden = true;
+  document.getElementById('playback-controls').hidden = false;
+  document.getElementById('canvas-label').innerText = `레이스 · n=${n} · ${
+    distribution.name
+  } · ${raceModes.find(({ id }) => id === mode).name} · seed ${seed}`;
+
+  // 🎲 모든 패널이 같은 입력을 받도록 입력 분포를 한 번만 만든다 (일반 모드의 첫 회차와 같은 입력)
+  const input = Array.from({ length: n }, (_, i) => i);
+  setRandomSeed(hashSeed(seed, 'input', 1));
+  for (const event of distribution.generator(input)) {
+    validateStepEvent(event, n);
+  }
+
+  // 일반 모드처럼 격자의 열 수를 셰어 정렬에도 넘긴다
+  const panes = createRacePanes(
+    algorithms,
+    input,
+    image,
+    hashSeed(seed, 'sort', 1),
+    { cols }
+  );
+
+  // 패널의 현재 배열 상태를 선택한 스타일로 그림
+  const drawRacePane = (pane, colored) =>
+    renderFrame({
+      style,
+      order: pane.arr,
+      image: pane.image,
+      context: pane.context,
+      colored,
+      layout,
+      cols
+    });
+
+  for (const pane of panes) {
+    drawRacePane(pane);
+    updateRacePane(pane);
+  }
+
+  await asleep(1000); // 1초 대기
+
+  const stepsPerTick = Math.ceil(frameDuration / interval); // 한 틱당 진행할 이벤트 수 (또는 비용)
+  const tickInterval = Math.max(frameDuration, interval);
+  let finishedCount = 0;
+
+  // 🏎️ 모든 패널이 끝날 때까지 틱 단위로 진행
+  while (finishedCount < panes.length) {
+    if (playbackState.paused) {
+      await asleep(100);
+      continue;
+    }
+
+    for (const pane of panes) {
+      if (pane.place) continue;
+
+      const colored = advanceRacePane(pane, mode, stepsPerTick);
+      pane.ticks++;
+
+      if (pane.done) {
+        pane.place = ++finishedCount;
+      }
+
+      drawRacePane(pane, colored);
+      updateRacePane(pane);
+
+      // 들리는 패널마다 그 패널의 배열 값과 단계 종류로 사운드 재생
+      if (isRacePaneAudible(pane.index)) {
+        playBeep({
+          duration: tickInterval,
+          n,
+          indexes: pane.soundIndexes,
+          array: pane.arr,
+          kind: pane.soundKind
+        });
+      }
+    }
+
+    await asleep(tickInterval);
+  }
+}
+
+/**
+ * 📌 레이스 패널 생성 함수
+ * - 창을 격자로 나누고, 패널마다 캔버스, 이름, 통계, 사운드 버튼을 만든다.
+ *
+ * @param {Object[]} algorithms - 레이스에 참가할 정렬 알고리즘 목록 (sortAlgorithms 항목)
+ * @param {number[]} input - 모든 패널이 공유하는 입력 배열
+ * @param {HTMLImageElement} image - 배경 이미지 (패널 크기에 맞춰 사용)
+ * @param {number} seed - 정렬 단계의 난수 시드 (모든 패널이 같은 시드에서 따로 시작한다)
+ * @param {Object} [options] - 제너레이터 옵션 (예: shearSort의 cols)
+ * @returns {Object[]} - 패널 상태 목록
+ */
+function createRacePanes(algorithms, input, image, seed, options = {}) {
+  const container = document.getElementById('race');
+  const columns = Math.ceil(Math.sqrt(algorithms.length));
+  const rows = Math.ceil(algorithms.length / columns);
+
+  container.hidden = false;
+  container.style.gridTemplateColumns = `repeat(${columns}, 1fr)`;
+  container.style.gridTemplateRows = `repeat(${rows}, 1fr)`;
+
+  return algorithms.map((algorithm, index) => {
+    const element = document.createElement('div');
+    element.className = 'race-pane';
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.floor(innerWidth / columns);
+    canvas.height = Math.floor(innerHeight / rows);
+
+    const label = document.createElement('div');
+    label.className = 'race-label';
+
+    const muteButton = createButton('🔇', '음소거', () =>
+      toggleRaceAudio('mute', index)
+    );
+    const soloButton = createButton('S', '이 패널만 듣기 (solo)', () =>
+      toggleRaceAudio('solo', index)
+    );
+    const audioControls = document.createElement('div');
+    audioControls.className = 'race-audio';
+    audioControls.append(muteButton, soloButton);
+
+    element.append(canvas, label, audioControls);
+    container.append(element);
+
+    return {
+      index,
+      algorithm,
+      arr: [...input], // 화면에 그리는 배열 (실행기의 단계를 적용해서 만든다)
+      runner: createStepRunner({
+        generator: algorithm.generator,
+        array: [...input],
+        options,
+        seed,
+        maxSteps: DEFAULT_MAX_STEPS
+      }),
+      context: canvas.getContext('2d'),
+      image: fitImage(image, canvas.width, canvas.height),
+      label,
+      muteButton,
+      soloButton,
+      budget: 0, // 동일 시간 모드에서 이월된 비용
+      steps: 0, // 진행한 이벤트 수
+      ticks: 0, // 진행한 틱 수
+      stats: { comparisons: 0, swaps: 0, writes: 0 },
+      soundIndexes: [], // 이번 틱에 소리를 낼 인덱스
+      soundKind: null, // 그 인덱스의 단계 종류 (음색 선택용)
+      done: false,
+      place: 0 // 완료 순위 (0이면 아직 진행 중)
+    };
+  });
+}
+
+/**
+ * 📌 레이스 패널을 한 틱만큼 진행하는 함수
+ * - operation 모드: 이벤트 stepsPerTick개를 진행한다.
+ * - time 모드: 이벤트 비용(raceStepCosts)의 합이 stepsPerTick이 될 때까지 진행한다.
+ *
+ * @param {Object} pane - 패널 상태
+ * @param {string} mode - 레이스 모드 (operation, time)
+ * @param {number} stepsPerTick - 한 틱에 진행할 이벤트 수 또는 비용
+ * @returns {Object[]} - 이번 틱에 강조할 색상 정보
+ */
+function advanceRacePane(pane, mode, stepsPerTick) {
+  const colored = [];
+  pane.soundIndexes = [];
+  pane.budget += stepsPerTick;
+
+  while (pane.budget > 0) {
+    // 실행기가 단계 예산(DEFAULT_MAX_STEPS)에서 중단하면 truncation을 알린다
+    const { events, done, truncation } = pane.runner.run(1);
+    pane.done = done;
+    pane.truncated = truncation !== null;
+    if (events.length === 0) break;
+
+    const [event] = events;
+    const {
+      kind,
+      indexes,
+      stage,
+      bucket,
+      buckets,
+      comparisons,
+      swaps,
+      writes
+    } = event;
+    applyStepEvent(pane.arr, event);
+
+    pane.steps++;
+    pane.budget -= mode === 'time' ? raceStepCosts[kind] : 1;
+    pane.stats = { comparisons, swaps, writes };
+
+    // 강조 색상이 없는 보조 구조 이벤트(auxWrite, auxAlloc, heap)는 패널에 강조하지 않음
+    if (kind in stepColors) {
+      colored.push({
+        indexes,
+        color: getStepColor({ kind, stage, bucket, buckets })
+      });
+      if (pane.soundIndexes.length === 0) {
+        pane.soundIndexes = indexes;
+        pane.soundKind = kind;
+      }
+    }
+
+    if (done) break;
+  }
+
+  if (pane.done) pane.budget = 0;
+  return colored;
+}
+
+// 🖥️ 패널의 이름, 통계, 완료 순위 표시 갱신
+function updateRacePane(pane) {
+  const medals = ['🥇', '🥈', '🥉'];
+  const place = pane.place
+    ? `${medals[pane.place - 1] ?? ''} ${pane.place}위${
+        pane.truncated ? ' (중단)' : ''
+      } · ${formatCount(pane.ticks)}틱`
+    : '';
+
+  pane.label.innerText = [
+    `${pane.algorithm.name}(${pane.algorithm.generator.name}) ${place}`,
+    `비교 ${formatCount(pane.stats.comparisons)} · 교환 ${formatCount(
+      pane.stats.swaps
+    )} · 쓰기 ${formatCount(pane.stats.writes)} · 단계 ${formatCount(
+      pane.steps
+    )}`
+  ].join('\n');
+}
+
+// 🔊 패널 사운드 재생 여부 (solo 패널이 있으면 그 패널만, 없으면 음소거하지 않은 모든 패널)
+function isRacePaneAudible(index) {
+  if (raceAudio.solo !== null) return raceAudio.solo === index;
+  return !raceAudio.muted.has(index);
+}
+
+// 🔊 패널 음소거/solo 전환
+function toggleRaceAudio(action, index) {
+  if (action === 'solo') {
+    raceAudio.solo = raceAudio.solo === index ? null : index;
+  } else if (raceAudio.muted.has(index)) {
+    raceAudio.muted.delete(index);
+  } else {
+    raceAudio.muted.add(index);
+  }
+
+  document.querySelectorAll('.race-pane').forEach((element, i) => {
+    element.classList.toggle('muted', !isRacePaneAudible(i));
+    element.classList.toggle('solo', raceAudio.solo === i);
+  });
+}
+
+// 처음 페이지를 열었을 때 레이스 설정 UI 채우기
+(function initRaceSettings() {
+  const container = document.getElementById('raceAlgorithms');
+  if (!container) return;
+
+  const defaultIds = ['mergeSort', 'quickSort', 'heapSort'];
+  for (const { id, name } of sortAlgorithms) {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = id;
+    checkbox.checked = defaultIds.includes(id);
+    label.append(checkbox, name);
+    container.append(label);
+  }
+
+  const distributionSelect = document.getElementById('raceDistribution');
+  for (const { id, name } of inputDistributions) {
+    distributionSelect.add(new Option(name, id));
+  }
+
+  const modeSelect = document.getElementById('raceMode');
+  for (const { id, name } of raceModes) {
+    modeSelect.add(new Option(name, id));
+  }
+
+  const styleSelect = document.getElementById('raceStyle');
+  for (const { id, name } of visualStyles) {
+    styleSelect.add(new Option(name, id));
+  }
+
+  const layoutSelect = document.getElementById('raceLayout');
+  for (const { id, name } of tileLayouts) {
+    layoutSelect.add(new Option(name, id));
+  }
+})();
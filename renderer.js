@@ -0,0 +1,371 @@
+// 🖼️ 화면 스타일 (배열을 그리는 방식)
+//    - image: 이미지를 배치 방식(tileLayouts)대로 잘라 값의 순서대로 놓는다.
+//    - bars: 값에 비례하는 높이의 막대 그래프
+//    - dots: 위치(가로)와 값(세로)의 산점도
+//    - spectrum: 값을 색상환(HSL)의 색으로 칠한 세로 띠
+//    - wedges: 이미지를 중심에서 부채꼴로 잘라 값의 순서대로 돌려 놓는다.
+//    - disparity: 각 요소가 정렬된 위치에 가까울수록 높은 막대 (정렬되면 평평해진다)
+const visualStyles = [
+  { id: 'image', name: '이미지 조각' },
+  { id: 'bars', name: '막대 그래프' },
+  { id: 'dots', name: '점 그래프' },
+  { id: 'spectrum', name: '색상 스펙트럼' },
+  { id: 'wedges', name: '이미지 부채꼴' },
+  { id: 'disparity', name: '제자리 거리' }
+];
+
+// 🖼️ 스타일별 그리기 함수
+//    모든 함수는 같은 매개변수({ order, image, context, width, height, colored, layout, cols })를 받는다.
+//    새 스타일은 visualStyles와 이 목록에 함께 추가한다.
+const frameRenderers = {
+  image: (params) => rearrangeImage(params),
+  bars: (params) => drawChart(params, barChart),
+  dots: (params) => drawChart(params, dotChart),
+  spectrum: (params) => drawChart(params, spectrumChart),
+  wedges: (params) => drawWedges(params),
+  disparity: (params) => drawChart(params, disparityChart)
+};
+
+// 🎨 차트 스타일의 배경색과 요소 색
+const CHART_BACKGROUND = '#111';
+const CHART_FOREGROUND = '#ddd';
+
+/**
+ * 📌 한 프레임을 선택한 스타일로 그리는 함수
+ * - 재생, 내보내기가 모두 이 함수로 그린다.
+ *
+ * @param {Object} params - 그리기 매개변수
+ * @param {string} [params.style] - 화면 스타일 (visualStyles의 id, 기본값: image)
+ * @param {number[]} params.order - 배열의 현재 순서
+ * @param {HTMLImageElement} params.image - 배경 이미지 (image, wedges 스타일에서 사용)
+ * @param {CanvasRenderingContext2D} params.context - 캔버스 컨텍스트
+ * @param {Object[]} [params.colored] - 강조할 색상 정보 ({ indexes, color } 목록)
+ * @param {string} [params.layout] - 이미지 배치 방식 (image 스타일에서 사용)
+ * @param {number} [params.cols] - 격자의 열 수 (image 스타일에서 사용)
+ */
+function renderFrame({ style = 'image', ...params }) {
+  (frameRenderers[style] ?? frameRenderers.image)(params);
+}
+
+// 캔버스 크기 설정 (크기가 바뀔 때만 설정해 캔버스를 다시 만들지 않음)
+function resizeCanvas(context, width, height) {
+  const canvas = context.canvas;
+  if (canvas.width !== width) canvas.width = width;
+  if (canvas.height !== height) canvas.height = height;
+}
+
+// 🗂️ 조각 스프라이트 캐시 (이미지마다 마지막으로 만든 스프라이트를 보관)
+const segmentSpriteCache = new WeakMap();
+
+/**
+ * 📌 조각 스프라이트를 만들거나 캐시에서 가져오는 함수
+ * - 배경 이미지를 캔버스 크기로 한 번만 그린 캔버스(스프라이트)와 위치별 칸을 만든다.
+ *   값 v인 조각은 스프라이트의 v번째 칸이므로, 매 프레임 새 캔버스를 만들 필요 없이
+ *   스프라이트에서 잘라 그리기만 하면 된다.
+ * - 조각 번호도 스프라이트에 미리 그려 두어, 조각과 함께 움직인다.
+ * - 이미지, 조각 수, 캔버스 크기, 배치가 같으면 캐시된 스프라이트를 그대로 사용한다.
+ *
+ * @returns {{ key: string, sprite: HTMLCanvasElement|OffscreenCanvas, cells: Object[] }}
+ */
+function getSegmentSprite({ image, count, width, height, layout, cols }) {
+  const key = [count, width, height, layout, cols].join(':');
+  const cached = segmentSpriteCache.get(image);
+  if (cached?.key === key) return cached;
+
+  const sprite =
+    typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(width, height)
+      : Object.assign(document.createElement('canvas'), { width, height });
+  const spriteContext = sprite.getContext('2d');
+
+  // 배경 이미지 그리기
+  spriteContext.drawImage(image, 0, 0, width, height);
+
+  // 배열의 각 위치가 차지하는 칸 (세로 조각 또는 격자의 타일)
+  const cells = createLayoutCells(count, width, height, layout, cols);
+
+  // 🎯 숫자 추가 (각 조각의 원래 위치 표시)
+  spriteContext.fillStyle = 'white';
+  spriteContext.font = '10px Arial';
+  spriteContext.textAlign = 'center';
+  spriteContext.textBaseline = 'middle';
+  cells.forEach((cell, value) => {
+    const textX = cell.x + cell.width / 2;
+    const textY = layout === 'strips' ? 80 : cell.y + cell.height / 2;
+    spriteContext.fillText(value, textX, textY);
+  });
+
+  const entry = { key, sprite, cells };
+  segmentSpriteCache.set(image, entry);
+  return entry;
+}
+
+// 📌 이미지 섞기 및 정렬 후 다시 그리는 함수 (image 스타일)
+function rearrangeImage({
+  order, // 배열의 현재 순서
+  image, // 배경 이미지
+  context,
+  width = context.canvas.width,
+  height = context.canvas.height,
+  colored = [], // 강조할 색상 정보
+  layout = 'strips', // 배치 방식 (tileLayouts 참고)
+  cols // 격자의 열 수 (격자 배치에서만 사용)
+}) {
+  resizeCanvas(context, width, height);
+
+  // 이미지를 자른 조각 (이미지, n, 캔버스 크기가 같으면 한 번만 만듦)
+  const { sprite, cells } = getSegmentSprite({
+    image,
+    count: order.length,
+    width,
+    height,
+    layout,
+    cols
+  });
+
+  // 기존 캔버스를 비우고 재구성
+  context.globalCompositeOperation = 'source-over';
+  context.clearRect(0, 0, width, height);
+
+  // 새 배열 순서에 따라 조각을 스프라이트에서 잘라 캔버스에 그림
+  // (격자에서는 칸 크기가 조금씩 다를 수 있으므로 칸 크기에 맞춰 그림)
+  for (let i = 0; i < cells.length; i++) {
+    const source = cells[order[i]];
+    const target = cells[i];
+    context.drawImage(
+      sprite,
+      source.x,
+      source.y,
+      source.width,
+      source.height,
+      target.x,
+      target.y,
+      target.width,
+      target.height
+    );
+  }
+
+  // 강조된 색상 칠하기 (비교 중이거나 교환된 요소의 칸)
+  for (const { indexes, color } of colored) {
+    context.globalCompositeOperation = 'source-atop';
+    context.fillStyle = color;
+    indexes.forEach((index) => {
+      const cell = cells[index];
+      context.fillRect(cell.x, cell.y, cell.width, cell.height);
+      context.globalCompositeOperation = 'source-over';
+    });
+  }
+  context.globalCompositeOperation = 'source-over';
+}
+
+// ────────────────────────────────────────────────────────────
+// 📊 차트 스타일 (막대, 점, 스펙트럼, 제자리 거리)
+// ────────────────────────────────────────────────────────────
+
+/**
+ * 📌 차트 스타일 공통 그리기 함수
+ * - 배경을 칠하고 위치 i의 요소를 chart.draw로 그린 뒤,
+ *   강조된 요소는 같은 모양을 강조 색상으로 한 번 더 그린다.
+ *
+ * @param {Object} params - 그리기 매개변수 (renderFrame 참고)
+ * @param {Object} chart - 차트 ({ prepare(order, width, height) → 공통 값, color(value, n, i, shared), draw(context, i, value, shared) })
+ */
+function drawChart(
+  {
+    order,
+    context,
+    width = context.canvas.width,
+    height = context.canvas.height,
+    colored = []
+  },
+  chart
+) {
+  resizeCanvas(context, width, height);
+
+  const shared = chart.prepare(order, width, height);
+  context.globalCompositeOperation = 'source-over';
+  context.fillStyle = CHART_BACKGROUND;
+  context.fillRect(0, 0, width, height);
+
+  for (let i = 0; i < order.length; i++) {
+    context.fillStyle = chart.color(order[i], order.length, i, shared);
+    chart.draw(context, i, order[i], shared);
+  }
+
+  for (const { indexes, color } of colored) {
+    context.fillStyle = color;
+    indexes.forEach((index) =>
+      chart.draw(context, index, order[index], shared)
+    );
+  }
+}
+
+// 값을 색상환의 색으로 (0: 빨강 → n-1: 보라)
+function valueHue(value, n) {
+  return `hsl(${Math.round((value / Math.max(1, n)) * 300)}, 90%, 55%)`;
+}
+
+// 막대 그래프: 값 v인 요소는 높이가 (v + 1) / n인 막대
+const barChart = {
+  prepare: (order, width, height) => ({
+    columns: splitLength(width, Math.max(1, order.length)),
+    height,
+    n: order.length
+  }),
+  color: () => CHART_FOREGROUND,
+  draw(context, i, value, { columns, height, n }) {
+    const barHeight = ((value + 1) / n) * height;
+    context.fillRect(
+      columns[i].start,
+      height - barHeight,
+      columns[i].length,
+      barHeight
+    );
+  }
+};
+
+// 점 그래프: 가로는 위치, 세로는 값 (정렬되면 대각선이 된다)
+const dotChart = {
+  prepare: (order, width, height) => {
+    const n = Math.max(1, order.length);
+    return {
+      n,
+      width,
+      height,
+      radius: Math.max(1.5, Math.min(width / n, height / n) / 2)
+    };
+  },
+  color: () => CHART_FOREGROUND,
+  draw(context, i, value, { n, width, height, radius }) {
+    context.beginPath();
+    context.arc(
+      ((i + 0.5) / n) * width,
+      height - ((value + 0.5) / n) * height,
+      radius,
+      0,
+      2 * Math.PI
+    );
+    context.fill();
+  }
+};
+
+// 색상 스펙트럼: 캔버스 높이의 세로 띠를 값의 색으로 칠한다 (정렬되면 무지개가 된다)
+const spectrumChart = {
+  prepare: (order, width, height) => ({
+    columns: splitLength(width, Math.max(1, order.length)),
+    height
+  }),
+  color: valueHue,
+  draw(context, i, value, { columns, height }) {
+    context.fillRect(columns[i].start, 0, columns[i].length, height);
+  }
+};
+
+// 제자리 거리: 요소가 정렬된 위치(같은 값이 여럿이면 그 값들이 차지할 구간)에서 떨어진 거리가
+// 0이면 최대 높이, n-1이면 높이 0인 막대 (색은 값의 색)
+const disparityChart = {
+  prepare: (order, width, height) => ({
+    ...barChart.prepare(order, width, height),
+    ranges: createSortedRanges(order)
+  }),
+  color: valueHue,
+  draw(context, i, value, { columns, height, n, ranges }) {
+    const { start, end } = ranges.get(value);
+    const distance = i < start ? start - i : i > end ? i - end : 0;
+    const barHeight = n > 1 ? (1 - distance / (n - 1)) * height : height;
+    context.fillRect(
+      columns[i].start,
+      height - barHeight,
+      columns[i].length,
+      barHeight
+    );
+  }
+};
+
+// 값마다 정렬된 배열에서 차지하는 위치 구간 ({ start, end }, end 포함)
+function createSortedRanges(order) {
+  const ranges = new Map();
+  [...order]
+    .sort((a, b) => a - b)
+    .forEach((value, position) => {
+      const range = ranges.get(value);
+      if (range) range.end = position;
+      else ranges.set(value, { start: position, end: position });
+    });
+  return ranges;
+}
+
+// ────────────────────────────────────────────────────────────
+// 🥧 부채꼴 스타일
+// ────────────────────────────────────────────────────────────
+
+// 🗂️ 부채꼴 스타일용 이미지 캐시 (캔버스 크기로 한 번만 그려 둔다)
+const wedgeImageCache = new WeakMap();
+
+function getWedgeImage(image, width, height) {
+  const key = `${width}:${height}`;
+  const cached = wedgeImageCache.get(image);
+  if (cached?.key === key) return cached.canvas;
+
+  const canvas =
+    typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(width, height)
+      : Object.assign(document.createElement('canvas'), { width, height });
+  canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+  wedgeImageCache.set(image, { key, canvas });
+  return canvas;
+}
+
+/**
+ * 📌 이미지를 부채꼴로 잘라 다시 그리는 함수 (wedges 스타일)
+ * - 캔버스 중심에서 이미지를 n개의 부채꼴로 자르고(값 v인 조각은 v번째 부채꼴),
+ *   위치 i의 칸에 값 order[i]의 부채꼴을 돌려서 놓는다. 정렬되면 원래 이미지가 된다.
+ *
+ * @param {Object} params - 그리기 매개변수 (renderFrame 참고)
+ */
+function drawWedges({
+  order,
+  image,
+  context,
+  width = context.canvas.width,
+  height = context.canvas.height,
+  colored = []
+}) {
+  resizeCanvas(context, width, height);
+
+  const source = getWedgeImage(image, width, height);
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const radius = Math.hypot(centerX, centerY) + 1; // 모서리까지 덮는 반지름
+  const angle = (2 * Math.PI) / Math.max(1, order.length);
+
+  // 위치 i의 부채꼴 경로 (12시 방향부터 시계 방향)
+  const wedgePath = (i) => {
+    const start = i * angle - Math.PI / 2;
+    context.beginPath();
+    context.moveTo(centerX, centerY);
+    context.arc(centerX, centerY, radius, start, start + angle);
+    context.closePath();
+  };
+
+  context.globalCompositeOperation = 'source-over';
+  context.clearRect(0, 0, width, height);
+
+  for (let i = 0; i < order.length; i++) {
+    context.save();
+    wedgePath(i);
+    context.clip();
+    context.translate(centerX, centerY);
+    context.rotate((i - order[i]) * angle);
+    context.drawImage(source, -centerX, -centerY);
+    context.restore();
+  }
+
+  for (const { indexes, color } of colored) {
+    context.fillStyle = color;
+    indexes.forEach((index) => {
+      wedgePath(index);
+      context.fill();
+    });
+  }
+}
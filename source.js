@@ -0,0 +1,328 @@
+// 🖼️ 기본 이미지 (다른 이미지를 고르지 않았을 때 사용)
+const DEFAULT_IMAGE = { name: 'gengar.jpeg', url: './gengar.jpeg' };
+
+// 💾 최근 사용한 이미지를 보관하는 IndexedDB 이름과 최대 보관 개수
+const IMAGE_DATABASE_NAME = 'gengar.images';
+const IMAGE_STORE_NAME = 'images';
+const GALLERY_LIMIT = 12;
+
+// 🖼️ 이미지를 캔버스에 맞추는 방식
+const imageFitModes = [
+  { id: 'cover', name: '채우기 (잘라내기)' },
+  { id: 'contain', name: '맞추기 (여백)' },
+  { id: 'stretch', name: '늘리기' }
+];
+
+// 🖼️ 현재 선택한 이미지와 맞춤 방식
+const imageSource = {
+  name: DEFAULT_IMAGE.name, // 화면에 표시할 이름
+  url: DEFAULT_IMAGE.url, // 이미지 주소 (경로 또는 blob: URL)
+  fit: 'cover' // 맞춤 방식 (imageFitModes의 id)
+};
+
+/**
+ * 📌 선택한 이미지를 불러오는 함수
+ *
+ * @returns {Promise<HTMLImageElement>} - 디코딩이 끝난 이미지
+ */
+async function loadSelectedImage() {
+  const image = new Image();
+  image.src = imageSource.url;
+  await image.decode();
+  return image;
+}
+
+/**
+ * 📌 이미지를 캔버스 크기에 맞추는 함수
+ * - rearrangeImage가 이미지를 자르기 전에, 맞춤 방식에 따라 이미지를 캔버스 크기로 다시 그린다.
+ *   - cover: 비율을 유지한 채 캔버스를 가득 채우고 넘치는 부분을 잘라낸다.
+ *   - contain: 비율을 유지한 채 이미지 전체가 보이도록 줄이고 남는 부분은 검은색으로 채운다.
+ *   - stretch: 비율을 무시하고 캔버스 크기로 늘린다.
+ *
+ * @param {HTMLImageElement} image - 원본 이미지
+ * @param {number} width - 캔버스 너비
+ * @param {number} height - 캔버스 높이
+ * @param {string} [fit] - 맞춤 방식 (기본값: 현재 선택한 맞춤 방식)
+ * @returns {HTMLCanvasElement} - width × height 크기로 맞춘 이미지
+ */
+function fitImage(image, width, height, fit = imageSource.fit) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+
+  const imageWidth = image.naturalWidth || image.width;
+  const imageHeight = image.naturalHeight || image.height;
+
+  if (fit === 'stretch') {
+    context.drawImage(image, 0, 0, width, height);
+    return canvas;
+  }
+
+  const scale =
+    fit === 'contain'
+      ? Math.min(width / imageWidth, height / imageHeight)
+      : Math.max(width / imageWidth, height / imageHeight);
+  const drawWidth = imageWidth * scale;
+  const drawHeight = imageHeight * scale;
+
+  context.fillStyle = 'black';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(
+    image,
+    (width - drawWidth) / 2,
+    (height - drawHeight) / 2,
+    drawWidth,
+    drawHeight
+  );
+  return canvas;
+}
+
+// 🖼️ 이미지 선택 (미리보기 갱신)
+function selectImage(name, url) {
+  imageSource.name = name;
+  imageSource.url = url;
+  renderImagePreview();
+}
+
+/**
+ * 📌 사용자가 고른 이미지 파일을 선택하고 갤러리에 저장하는 함수
+ * - 파일 업로드, 드래그 앤 드롭, 웹캠 촬영이 모두 이 함수를 사용한다.
+ *
+ * @param {Blob} blob - 이미지 파일
+ * @param {string} name - 이미지 이름
+ */
+async function useImageFile(blob, name) {
+  if (!blob.type.startsWith('image/')) {
+    console.warn('이미지 파일이 아닙니다.', name);
+    return;
+  }
+
+  selectImage(name, URL.createObjectURL(blob));
+
+  try {
+    await saveGalleryImage(name, blob);
+    await renderImageGallery();
+  } catch (error) {
+    console.warn('이미지를 갤러리에 저장할 수 없습니다.', error);
+  }
+}
+
+// 📂 파일 선택 입력에서 이미지 고르기
+function uploadImage(input) {
+  const [file] = input.files;
+  if (file) useImageFile(file, file.name);
+  input.value = '';
+}
+
+/**
+ * 📌 웹캠으로 사진을 한 장 찍어 이미지로 사용하는 함수
+ * - 카메라 스트림에서 첫 프레임을 PNG로 저장한 뒤 바로 카메라를 끈다.
+ */
+async function captureWebcamImage() {
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ video: true });
+
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = stream;
+    await video.play();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+
+    const blob = await new Promise((resolve) =>
+      canvas.toBlob(resolve, 'image/png')
+    );
+    await useImageFile(blob, `webcam-${new Date().toISOString()}.png`);
+  } catch (error) {
+    console.warn('웹캠을 사용할 수 없습니다.', error);
+  } finally {
+    stream?.getTracks().forEach((track) => track.stop());
+  }
+}
+
+// ────────────────────────────────────────────────────────────
+// 💾 IndexedDB 갤러리
+// ────────────────────────────────────────────────────────────
+
+// IDBRequest를 Promise로 바꾸기
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// 갤러리 데이터베이스 열기 (처음이면 저장소 생성)
+function openImageDatabase() {
+  const request = indexedDB.open(IMAGE_DATABASE_NAME, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(IMAGE_STORE_NAME, {
+      keyPath: 'id',
+      autoIncrement: true
+    });
+  };
+  return requestToPromise(request);
+}
+
+// 갤러리 저장소에서 작업 실행 (mode: readonly, readwrite)
+async function withImageStore(mode, callback) {
+  const database = await openImageDatabase();
+  try {
+    const store = database
+      .transaction(IMAGE_STORE_NAME, mode)
+      .objectStore(IMAGE_STORE_NAME);
+    return await callback(store);
+  } finally {
+    database.close();
+  }
+}
+
+// 갤러리 이미지 목록 (최근에 추가한 순서)
+async function loadGalleryImages() {
+  const images = await withImageStore('readonly', (store) =>
+    requestToPromise(store.getAll())
+  );
+  return images.sort((a, b) => b.addedAt - a.addedAt || b.id - a.id);
+}
+
+// 갤러리에 이미지 추가 (GALLERY_LIMIT개를 넘으면 오래된 이미지부터 삭제)
+async function saveGalleryImage(name, blob) {
+  await withImageStore('readwrite', (store) =>
+    requestToPromise(store.add({ name, blob, addedAt: Date.now() }))
+  );
+
+  const images = await loadGalleryImages();
+  for (const { id } of images.slice(GALLERY_LIMIT)) {
+    await deleteGalleryImage(id);
+  }
+}
+
+async function deleteGalleryImage(id) {
+  await withImageStore('readwrite', (store) =>
+    requestToPromise(store.delete(id))
+  );
+}
+
+// ────────────────────────────────────────────────────────────
+// 🖥️ 이미지 선택 UI
+// ────────────────────────────────────────────────────────────
+
+// 선택한 이미지 미리보기와 이름 표시
+function renderImagePreview() {
+  const preview = document.getElementById('image-preview');
+  if (!preview) return;
+
+  preview.src = imageSource.url;
+  document.getElementById('image-name').innerText = imageSource.name;
+}
+
+// presetForm 안의 갤러리(최근 사용한 이미지 목록)를 다시 그림
+async function renderImageGallery() {
+  const container = document.getElementById('image-gallery');
+  if (!container) return;
+
+  let images = [];
+  try {
+    images = await loadGalleryImages();
+  } catch (error) {
+    console.warn('이미지 갤러리를 불러올 수 없습니다.', error);
+  }
+
+  const items = [
+    createGalleryItem(DEFAULT_IMAGE.name, DEFAULT_IMAGE.url),
+    ...images.map(({ id, name, blob }) =>
+      createGalleryItem(name, URL.createObjectURL(blob), async () => {
+        await deleteGalleryImage(id);
+        await renderImageGallery();
+      })
+    )
+  ];
+  container.replaceChildren(...items);
+}
+
+// 갤러리 항목 (썸네일을 누르면 선택, ✕를 누르면 삭제)
+function createGalleryItem(name, url, onDelete) {
+  const item = document.createElement('div');
+  item.className = 'gallery-item';
+
+  const thumbnail = document.createElement('img');
+  thumbnail.src = url;
+  thumbnail.alt = name;
+  thumbnail.title = name;
+  thumbnail.addEventListener('click', () => selectImage(name, url));
+  item.append(thumbnail);
+
+  if (onDelete) {
+    item.append(createButton('✕', '갤러리에서 삭제', onDelete));
+  }
+  return item;
+}
+
+/**
+ * 📌 ?image= 매개변수를 페이지와 같은 출처의 이미지 주소로 바꾸는 함수
+ * - 매개변수를 현재 페이지 주소(location) 기준으로 해석하고, 출처(origin)와 프로토콜이 다르면 거부한다.
+ *   (다른 출처의 이미지를 그리면 캔버스가 오염되어 getImageData를 쓰는 내보내기가 모두 실패한다)
+ *
+ * @param {string} param - ?image= 매개변수 값 (예: ./photos/team.png)
+ * @returns {URL|null} - 같은 출처의 이미지 주소 (해석할 수 없거나 다른 출처면 null)
+ */
+function resolveImageParam(param) {
+  let url;
+  try {
+    url = new URL(param, location.href);
+  } catch (error) {
+    console.warn('이미지 주소를 해석할 수 없습니다.', error);
+    return null;
+  }
+
+  if (url.origin !== location.origin || url.protocol !== location.protocol) {
+    console.warn(`같은 출처의 이미지만 쓸 수 있습니다: ${param}`);
+    return null;
+  }
+  return url;
+}
+
+// 처음 페이지를 열었을 때 이미지 선택 UI 초기화
+(function initImageSource() {
+  const fitSelect = document.getElementById('imageFit');
+  if (!fitSelect) return;
+
+  // ?image=경로 로 같은 출처의 이미지를 지정할 수 있다 (예: index.html?image=./photos/team.png)
+  const imageParam = new URLSearchParams(location.search).get('image');
+  const imageUrl = imageParam && resolveImageParam(imageParam);
+  if (imageUrl) {
+    imageSource.name = imageParam.split('/').pop();
+    imageSource.url = imageUrl.href;
+  }
+
+  for (const { id, name } of imageFitModes) {
+    fitSelect.add(new Option(name, id, false, id === imageSource.fit));
+  }
+  fitSelect.addEventListener('change', () => {
+    imageSource.fit = fitSelect.value;
+  });
+
+  // 이미지 파일을 화면(캔버스)에 끌어다 놓으면 선택 (설정 화면이 열려 있는 동안만)
+  document.addEventListener('dragover', (event) => {
+    if (!document.getElementById('presetForm')) return;
+    event.preventDefault();
+  });
+  document.addEventListener('drop', (event) => {
+    if (!document.getElementById('presetForm')) return;
+    event.preventDefault();
+
+    const file = [...event.dataTransfer.files].find(({ type }) =>
+      type.startsWith('image/')
+    );
+    if (file) useImageFile(file, file.name);
+  });
+
+  renderImagePreview();
+  renderImageGallery();
+})();
@@ -1,46 +1,691 @@
+/**
+ * 📌 시드 기반 난수 생성기 (mulberry32)
+ * - Math.random() 대신 사용하여, 같은 시드로 항상 같은 난수열을 만든다.
+ * - 섞기, 보고 정렬 등 무작위성이 필요한 모든 제너레이터가 이 난수 생성기를 공유한다.
+ * - setRandomSeed(seed)로 시드를 지정한 뒤 random()을 호출하면 [0, 1) 범위의 값을 반환한다.
+ */
+let randomState = Date.now() >>> 0;
+
+function setRandomSeed(seed) {
+  randomState = seed >>> 0;
+}
+
+// 현재 난수 상태 (setRandomSeed에 다시 넘기면 같은 위치부터 난수열을 이어서 만든다)
+function getRandomState() {
+  return randomState;
+}
+
+function random() {
+  randomState = (randomState + 0x6d2b79f5) >>> 0;
+  let t = randomState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * 📌 여러 값을 하나의 32비트 시드로 바꾸는 함수 (FNV-1a 해시)
+ * - 사용자가 입력한 문자열 시드나, 시드에서 파생된 시드(예: 시드 + 단계 이름)를 만들 때 사용한다.
+ *
+ * @param {...(string|number)} parts - 시드를 만들 값들
+ * @returns {number} - 32비트 부호 없는 정수 시드
+ */
+function hashSeed(...parts) {
+  let hash = 0x811c9dc5;
+  for (const char of parts.join(':')) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 📌 단계 이벤트(step event) 종류
+ * - 모든 제너레이터는 한 번 yield할 때마다 아래 종류 중 하나의 이벤트를 반환한다.
+ *   - compare: 두 요소(또는 한 요소와 따로 보관 중인 값)를 비교 (indexes: 1~2개)
+ *   - read: 요소의 값을 읽음 (indexes: 1개 이상)
+ *   - swap: 두 요소의 위치를 교환 (indexes: 2개)
+ *   - write: 요소에 값을 씀 (indexes와 같은 길이의 values 필요)
+ *   - auxWrite: 보조 배열(aux)에 값을 씀 (indexes는 보조 배열의 인덱스, values 필요)
+ *   - auxAlloc: 보조 배열(aux)을 size 크기로 새로 만듦 (size가 0이면 해제, indexes: 0개)
+ *   - heap: 배열의 앞부분 [0, size)가 이진 힙임을 표시 (size가 0이면 힙 없음, indexes: 0개)
+ *   - markSorted: 요소가 최종 위치에 놓였음을 표시 (indexes: 1개 이상)
+ *   - pivot: 피벗으로 선택된 요소 (indexes: 1개)
+ * - compare, read 이벤트는 yieldCompare가 true일 때만 반환하고,
+ *   배열을 바꾸거나 표시하는 나머지 이벤트는 항상 반환한다.
+ * - 이벤트에는 배열 전체를 담지 않는다. 배열을 바꾸는 swap, write 이벤트를
+ *   처음 배열에 순서대로 적용하면(applyStepEvent) 어느 단계의 배열이든 다시 만들 수 있다.
+ * - 보조 배열과 힙 이벤트(auxWrite, auxAlloc, heap)는 배열을 바꾸지 않으며,
+ *   순서대로 적용하면(applyAuxEvent) 보조 구조와 사용 중인 보조 메모리를 다시 만들 수 있다.
+ */
+const stepEventKinds = [
+  'compare',
+  'read',
+  'swap',
+  'write',
+  'auxWrite',
+  'auxAlloc',
+  'heap',
+  'markSorted',
+  'pivot'
+];
+
+/**
+ * 📌 정렬 단계(stage) 목록
+ * - 여러 방법을 섞어 쓰는 하이브리드 정렬(팀 정렬, 인트로 정렬, 패턴 파괴 퀵 정렬)은
+ *   단계 이벤트의 stage 필드로 지금 어느 단계를 실행 중인지 알린다.
+ * - 화면에서는 단계마다 다른 강조 색을 쓴다. (main.js의 stageColors 참고)
+ */
+const sortStages = [
+  { id: 'run', name: '런 탐지' },
+  { id: 'insertion', name: '삽입 정렬' },
+  { id: 'merge', name: '병합' },
+  { id: 'gallop', name: '갤로핑' },
+  { id: 'partition', name: '분할' },
+  { id: 'pattern', name: '패턴 깨기' },
+  { id: 'heap', name: '힙 정렬로 전환' }
+];
+
+/**
+ * 📌 단계 이벤트 생성 함수
+ * - 제너레이터가 yield할 이벤트 객체를 만든다.
+ *
+ * @param {string} kind - 이벤트 종류 (stepEventKinds 참고)
+ * @param {number[]} indexes - 이벤트 대상 인덱스
+ * @param {Object} stats - 누적 카운터 ({ comparisons, swaps, writes })
+ * @param {Object} [fields] - 이벤트 종류별 추가 정보 (values, aux, size, stage, bucket 등)
+ * @returns {Object} 단계 이벤트
+ *   - kind, indexes, (values, aux, size, stage)
+ *   - bucket, buckets: 분배 정렬에서 읽은 요소가 들어갈 버킷 번호와 전체 버킷 수
+ *   - layer: 정렬 네트워크에서 비교기가 속한 병렬 층 번호 (같은 층의 비교기는 동시에 실행할 수 있다)
+ *   - comparisons, swaps, writes: 지금까지의 비교/교환/쓰기 횟수
+ */
+function stepEvent(kind, indexes, stats, fields = {}) {
+  return {
+    kind,
+    indexes,
+    ...fields,
+    comparisons: stats.comparisons,
+    swaps: stats.swaps,
+    writes: stats.writes
+  };
+}
+
+/**
+ * 📌 단계 이벤트 검증 함수
+ * - 이벤트가 단계 이벤트 형식을 지키는지 확인하고, 잘못된 이벤트면 TypeError를 던진다.
+ *
+ * @param {Object} event - 검증할 이벤트
+ * @param {number} length - 정렬 중인 배열의 길이 (인덱스 범위 확인용)
+ * @returns {Object} 검증을 통과한 이벤트
+ */
+function validateStepEvent(event, length) {
+  const fail = (reason) => {
+    throw new TypeError(`잘못된 단계 이벤트: ${reason}`);
+  };
+  const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+  if (typeof event !== 'object' || event === null) fail('객체가 아님');
+
+  const { kind, indexes, values, aux, size, stage, bucket, buckets, layer } =
+    event;
+  if (!stepEventKinds.includes(kind)) fail(`알 수 없는 kind "${kind}"`);
+  if (!Array.isArray(indexes)) fail(`${kind}: indexes가 배열이 아님`);
+
+  const arity = {
+    compare: [1, 2],
+    swap: [2, 2],
+    pivot: [1, 1],
+    auxAlloc: [0, 0],
+    heap: [0, 0]
+  }[kind] ?? [1, Infinity];
+  if (indexes.length < arity[0] || indexes.length > arity[1]) {
+    fail(`${kind}: indexes 개수(${indexes.length})가 잘못됨`);
+  }
+
+  const limit = kind === 'auxWrite' ? Infinity : length;
+  for (const index of indexes) {
+    if (!isCount(index) || index >= limit) {
+      fail(`${kind}: 범위를 벗어난 인덱스 ${index}`);
+    }
+  }
+
+  if (kind === 'write' || kind === 'auxWrite') {
+    if (!Array.isArray(values) || values.length !== indexes.length) {
+      fail(`${kind}: values는 indexes와 길이가 같은 배열이어야 함`);
+    }
+    if (values.some((value) => typeof value !== 'number')) {
+      fail(`${kind}: values에 숫자가 아닌 값이 있음`);
+    }
+  }
+
+  if (
+    (kind === 'auxWrite' || kind === 'auxAlloc') &&
+    (typeof aux !== 'string' || aux === '')
+  ) {
+    fail(`${kind}: aux(보조 배열 이름)가 없음`);
+  }
+
+  if ((kind === 'auxAlloc' || kind === 'heap') && !isCount(size)) {
+    fail(`${kind}: size가 0 이상의 정수가 아님`);
+  }
+  if (kind === 'heap' && size > length) {
+    fail(`heap: size(${size})가 배열 길이보다 큼`);
+  }
+
+  if (stage !== undefined && !sortStages.some(({ id }) => id === stage)) {
+    fail(`${kind}: 알 수 없는 stage "${stage}"`);
+  }
+
+  if (layer !== undefined && !isCount(layer)) {
+    fail(`${kind}: layer가 0 이상의 정수가 아님`);
+  }
+
+  if (bucket !== undefined || buckets !== undefined) {
+    if (!isCount(bucket) || !isCount(buckets) || bucket >= buckets) {
+      fail(`${kind}: bucket은 0 이상 buckets 미만의 정수여야 함`);
+    }
+  }
+
+  for (const counter of ['comparisons', 'swaps', 'writes']) {
+    if (!isCount(event[counter]))
+      fail(`${kind}: ${counter}가 0 이상의 정수가 아님`);
+  }
+
+  return event;
+}
+
+/**
+ * 📌 단계 이벤트를 배열에 적용하는 함수
+ * - swap은 두 요소를 교환하고, write는 values를 indexes 위치에 쓴다.
+ * - 나머지 이벤트(비교, 읽기, 보조 배열 쓰기, 표시)는 배열을 바꾸지 않는다.
+ *
+ * @param {number[]} array - 이벤트를 적용할 배열 (직접 바뀐다)
+ * @param {Object} event - 단계 이벤트
+ * @returns {number[]} - 이벤트를 적용한 배열
+ */
+function applyStepEvent(array, { kind, indexes, values }) {
+  if (kind === 'swap') {
+    const [i, j] = indexes;
+    [array[i], array[j]] = [array[j], array[i]];
+  } else if (kind === 'write') {
+    indexes.forEach((index, k) => {
+      array[index] = values[k];
+    });
+  }
+  return array;
+}
+
+/**
+ * 📌 보조 구조 상태 생성 함수
+ * - 단계 이벤트를 applyAuxEvent로 순서대로 적용하면 그 단계의 보조 구조가 된다.
+ *
+ * @returns {Object} 보조 구조 상태
+ *   - arrays: 보조 배열 이름 → 값 목록 (아직 쓰지 않은 칸은 null, 만든 순서대로)
+ *   - heapSize: 배열의 앞부분 중 이진 힙인 부분의 크기 (0이면 힙 없음)
+ *   - memory: 지금 사용 중인 보조 메모리 (보조 배열 칸 수의 합)
+ *   - peakMemory: 지금까지 가장 많이 사용한 보조 메모리
+ */
+function createAuxState() {
+  return { arrays: new Map(), heapSize: 0, memory: 0, peakMemory: 0 };
+}
+
+/**
+ * 📌 단계 이벤트를 보조 구조 상태에 적용하는 함수
+ * - auxAlloc은 보조 배열을 새로 만들거나(이전 값은 버림) 해제하고, auxWrite는 값을 쓰며,
+ *   heap은 힙 크기를 바꾼다. 나머지 이벤트는 보조 구조를 바꾸지 않는다.
+ * - auxAlloc 없이 auxWrite만 보내는 제너레이터도 있으므로, 만든 크기를 넘는 auxWrite는 배열을 늘린다.
+ *
+ * @param {Object} state - 보조 구조 상태 (createAuxState 참고, 직접 바뀐다)
+ * @param {Object} event - 단계 이벤트
+ * @returns {Object} - 이벤트를 적용한 상태
+ */
+function applyAuxEvent(state, { kind, indexes, values, aux, size }) {
+  if (kind === 'auxAlloc') {
+    state.memory += size - (state.arrays.get(aux)?.length ?? 0);
+    if (size === 0) state.arrays.delete(aux);
+    else state.arrays.set(aux, new Array(size).fill(null));
+  } else if (kind === 'auxWrite') {
+    const array = state.arrays.get(aux) ?? [];
+    state.arrays.set(aux, array);
+    indexes.forEach((index, k) => {
+      while (array.length <= index) {
+        array.push(null);
+        state.memory++;
+      }
+      array[index] = values[k];
+    });
+  } else if (kind === 'heap') {
+    state.heapSize = size;
+  }
+
+  state.peakMemory = Math.max(state.peakMemory, state.memory);
+  return state;
+}
+
+/**
+ * 📌 배열이 얼마나 정렬되어 있는지 계산하는 함수
+ * - 1 - (역순 쌍의 수 / 가능한 최대 역순 쌍의 수)
+ *   - 정렬된 배열은 1, 역순으로 정렬된 배열은 0이다.
+ * - 역순 쌍(i < j, arr[i] > arr[j])은 병합 정렬로 O(n log n)에 센다.
+ *
+ * @param {number[]} arr - 검사할 배열 (바뀌지 않는다)
+ * @returns {number} - 0 ~ 1 범위의 정렬도
+ */
+function measureSortedness(arr) {
+  const n = arr.length;
+  if (n < 2) return 1;
+
+  let values = [...arr];
+  let buffer = new Array(n);
+  let inversions = 0;
+
+  for (let width = 1; width < n; width *= 2) {
+    for (let left = 0; left < n; left += width * 2) {
+      const middle = Math.min(left + width, n);
+      const right = Math.min(left + width * 2, n);
+      let i = left;
+      let j = middle;
+      let k = left;
+
+      while (i < middle && j < right) {
+        if (values[j] < values[i]) {
+          inversions += middle - i; // 왼쪽에 남은 값은 모두 values[j]보다 크다
+          buffer[k++] = values[j++];
+        } else {
+          buffer[k++] = values[i++];
+        }
+      }
+      while (i < middle) buffer[k++] = values[i++];
+      while (j < right) buffer[k++] = values[j++];
+    }
+    [values, buffer] = [buffer, values];
+  }
+
+  return 1 - inversions / ((n * (n - 1)) / 2);
+}
+
+// 🧮 기본 단계 예산 (재생 목록, 레이스 모드, CLI가 같은 값을 쓴다)
+const DEFAULT_MAX_STEPS = 80000;
+
+// ⏩ 빨리 감기로 건너뛸 수 있는 최대 단계 수 (보고 정렬처럼 끝나지 않는 경우 방지)
+const FAST_FORWARD_STEP_LIMIT = 10000000;
+
+// ⏩ run() 한 번에 빨리 감는 최대 단계 수 (메인 스레드에서 실행해도 화면이 오래 멈추지 않도록)
+const FAST_FORWARD_BATCH_SIZE = 200000;
+
+// 🧮 단계 예산(maxSteps)을 다 썼을 때의 동작
+//    - truncate: 그 자리에서 중단하고, 중단한 단계와 그때의 정렬도를 표시한다.
+//    - fastForward: 남은 단계를 화면에 보여주지 않고 끝까지 실행한 뒤, 최종 배열을 한 단계로 보여준다.
+const stepBudgetModes = [
+  { id: 'truncate', name: '예산에서 중단' },
+  { id: 'fastForward', name: '예산 후 빨리 감기' }
+];
+
+/**
+ * 📌 단계 실행기 생성 함수
+ * - 제너레이터를 원하는 개수만큼씩 나누어 실행하고, 검증한 단계 이벤트를 묶어서 반환한다.
+ *   (Web Worker(worker.js)와 메인 스레드가 같은 실행기를 사용한다)
+ * - 실행기마다 난수 상태를 따로 가지므로, 여러 실행기를 번갈아 실행해도
+ *   같은 시드에서 항상 같은 단계가 나온다.
+ * - 단계가 maxSteps개가 되면 budgetMode(stepBudgetModes 참고)에 따라 중단하거나 빨리 감는다.
+ *   빨리 감기는 run() 한 번에 FAST_FORWARD_BATCH_SIZE 단계씩 나누어 실행하고(그동안은 빈 묶음을 반환),
+ *   끝나면 배열 전체를 쓰는 write 이벤트 하나로 결과를 반환한다.
+ *
+ * @param {Object} params - 함수 매개변수
+ * @param {GeneratorFunction} params.generator - 실행할 제너레이터 함수
+ * @param {number[]} params.array - 제너레이터에 넘길 배열 (직접 바뀐다)
+ * @param {boolean} [params.yieldCompare] - 비교/읽기 이벤트를 반환할지 여부
+ * @param {Object} [params.options] - 제너레이터 옵션 (예: { cols })
+ * @param {number} [params.seed] - 난수 시드 (없으면 현재 난수 상태에서 시작)
+ * @param {number} [params.maxSteps] - 단계 예산 (기본값: DEFAULT_MAX_STEPS)
+ * @param {string} [params.budgetMode] - 단계 예산을 다 썼을 때의 동작
+ * @returns {Object} - 실행기 ({ run(count), cancel() })
+ *   - run(count)는 최대 count개의 이벤트를 실행하고 { events, done, skipped, truncation }을 반환한다.
+ *     - skipped: 빨리 감기로 건너뛴 단계 수 (빨리 감는 동안에도 늘어난다)
+ *     - truncation: 제너레이터가 끝나기 전에 멈췄으면 { step, sortedness }, 아니면 null
+ */
+function createStepRunner({
+  generator,
+  array,
+  yieldCompare = true,
+  options = {},
+  seed,
+  maxSteps = DEFAULT_MAX_STEPS,
+  budgetMode = 'truncate'
+}) {
+  const iterator = generator(array, yieldCompare, options);
+  let runnerRandomState = seed === undefined ? getRandomState() : seed >>> 0;
+  let count = 0; // 지금까지 반환한 이벤트 수
+  let done = false;
+  let skipped = 0;
+  let truncation = null;
+  let fastForward = null; // 빨리 감는 중이면 { last: 건너뛴 마지막 이벤트 (누적 통계 표시용) }
+
+  // 난수 상태를 실행기의 것으로 바꿔 끼운 채 실행
+  function withRandomState(callback) {
+    const savedState = getRandomState();
+    setRandomSeed(runnerRandomState);
+    try {
+      return callback();
+    } finally {
+      runnerRandomState = getRandomState();
+      setRandomSeed(savedState);
+    }
+  }
+
+  // 단계 예산을 다 쓴 뒤의 처리 (중단하거나, 다음 run()부터 빨리 감기)
+  function exhaustBudget() {
+    if (budgetMode === 'fastForward') {
+      fastForward = { last: null };
+      return;
+    }
+
+    // 제너레이터가 마침 끝났는지만 확인한다 (이때 바뀐 배열은 보여주지 않는다)
+    done = true;
+    const sortedness = measureSortedness(array); // 더 실행하기 전의 정렬도
+    if (!iterator.next().done) truncation = { step: count, sortedness };
+  }
+
+  // 빨리 감기를 FAST_FORWARD_BATCH_SIZE 단계만큼 이어서 실행 (끝나면 최종 배열을 events에 추가)
+  function continueFastForward(events) {
+    const end = Math.min(
+      skipped + FAST_FORWARD_BATCH_SIZE,
+      FAST_FORWARD_STEP_LIMIT
+    );
+    let finished = false;
+    while (!finished && skipped < end) {
+      const result = iterator.next();
+      finished = result.done;
+      if (!finished) {
+        fastForward.last = result.value;
+        skipped++;
+      }
+    }
+    if (!finished && skipped < FAST_FORWARD_STEP_LIMIT) return;
+
+    done = true;
+    const { last } = fastForward;
+    if (last) {
+      events.push(
+        stepEvent(
+          'write',
+          array.map((_, index) => index),
+          last,
+          { values: [...array] }
+        )
+      );
+    }
+    if (!finished) {
+      truncation = {
+        step: count + skipped,
+        sortedness: measureSortedness(array)
+      };
+    }
+  }
+
+  function run(limit) {
+    const events = [];
+    withRandomState(() => {
+      while (!done && events.length < limit) {
+        if (fastForward) {
+          continueFastForward(events);
+          break;
+        }
+
+        const { value, done: finished } = iterator.next();
+        if (finished) {
+          done = true;
+          break;
+        }
+
+        events.push(validateStepEvent(value, array.length));
+        if (++count >= maxSteps) exhaustBudget();
+      }
+    });
+    return { events, done, skipped, truncation };
+  }
+
+  return {
+    run,
+    cancel() {
+      done = true;
+      withRandomState(() => iterator.return());
+    }
+  };
+}
+
 /**
  * 📌 배열을 무작위로 섞는 제너레이터 (Fisher-Yates Shuffle 알고리즘 사용)
  * - 배열을 랜덤하게 섞으면서, 현재 교환되는 인덱스를 반환하여 애니메이션에 활용할 수 있도록 한다.
- * - 각 단계에서 비교한 두 인덱스를 `compareIndexes`로 반환하여 시각적으로 강조 가능하다.
+ * - 시드 기반 난수 생성기(random)를 사용하므로 같은 시드에서는 항상 같은 순서로 섞인다.
+ * - 각 단계에서 교환한 두 인덱스를 swap 이벤트로 반환하여 시각적으로 강조 가능하다.
  *
  * @param {number[]} arr - 섞을 배열
- * @yields {object} 정렬 애니메이션을 위한 객체 반환
- *   - array: 현재 배열 상태 (복사본)
- *   - compareIndexes: 현재 비교한 두 개의 인덱스
+ * @yields {object} 단계 이벤트 (stepEvent 참고)
  */
 function* shuffleGenerator(arr) {
+  const stats = { comparisons: 0, swaps: 0, writes: 0 };
+
   for (let i = arr.length - 1; i > 0; i--) {
     // 0부터 i까지의 무작위 인덱스 j 선택
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
 
     // 요소 교환 (i번째 요소와 j번째 요소 swap)
     [arr[i], arr[j]] = [arr[j], arr[i]];
+    stats.swaps++;
+
+    // 교환한 두 인덱스를 swap 이벤트로 반환
+    yield stepEvent('swap', [i, j], stats);
+  }
+}
+
+/**
+ * 📌 배열을 목표 상태(target)로 바꾸는 제너레이터 (입력 분포 제너레이터의 공통 부분)
+ * - 앞에서부터 한 칸씩 목표 값을 맞춘다. 배열 뒤쪽에 같은 값이 있으면 교환하고,
+ *   없으면(중복 값, 새로운 값) 해당 위치에 직접 쓴다.
+ * - 이미 제자리에 있는 요소는 건너뛴다.
+ * - 값마다 놓인 위치 목록을 두고 교환할 때 갱신하므로, 같은 값을 찾는 데 배열을 다시 훑지 않는다.
+ *   (목록에는 맞춘 뒤의 위치나 다른 값으로 바뀐 위치도 남아 있을 수 있어서, 꺼낼 때 확인하고 버린다)
+ *
+ * @param {number[]} arr - 바꿀 배열
+ * @param {number[]} target - 목표 배열 상태 (arr와 길이가 같아야 한다)
+ * @param {Object} stats - 누적 카운터 ({ comparisons, swaps, writes })
+ * @yields {object} 단계 이벤트 (swap 또는 write)
+ */
+function* arrangeGenerator(
+  arr,
+  target,
+  stats = { comparisons: 0, swaps: 0, writes: 0 }
+) {
+  // 값 → 위치 목록 (뒤에서부터 넣어서 처음에는 앞쪽 위치부터 꺼낸다)
+  const positions = new Map();
+  for (let k = arr.length - 1; k >= 0; k--) {
+    if (!positions.has(arr[k])) positions.set(arr[k], []);
+    positions.get(arr[k]).push(k);
+  }
+
+  for (let i = 0; i < arr.length; i++) {
+    if (arr[i] === target[i]) continue;
+
+    // 아직 맞추지 않은 뒤쪽(i + 1 이후)에 있는 같은 값의 위치
+    const candidates = positions.get(target[i]) ?? [];
+    let j = -1;
+    while (candidates.length > 0) {
+      const k = candidates.pop();
+      if (k > i && arr[k] === target[i]) {
+        j = k;
+        break;
+      }
+    }
+
+    if (j !== -1) {
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+      positions.get(arr[j]).push(j);
+      stats.swaps++;
+      yield stepEvent('swap', [i, j], stats);
+    } else {
+      arr[i] = target[i];
+      stats.writes++;
+      yield stepEvent('write', [i], stats, { values: [target[i]] });
+    }
+  }
+}
+
+// 오름차순으로 정렬된 복사본 반환 (입력 분포의 기준 값)
+function sortedCopy(arr) {
+  return [...arr].sort((a, b) => a - b);
+}
+
+/**
+ * 📌 이미 정렬된 입력을 만드는 제너레이터
+ *
+ * @param {number[]} arr - 바꿀 배열
+ */
+function* sortedGenerator(arr) {
+  yield* arrangeGenerator(arr, sortedCopy(arr));
+}
+
+/**
+ * 📌 역순으로 정렬된 입력을 만드는 제너레이터
+ * - 퀵 정렬(마지막 요소를 피벗으로 사용)의 최악의 경우를 보여줄 수 있다.
+ *
+ * @param {number[]} arr - 바꿀 배열
+ */
+function* reversedGenerator(arr) {
+  yield* arrangeGenerator(arr, sortedCopy(arr).reverse());
+}
+
+/**
+ * 📌 거의 정렬된 입력을 만드는 제너레이터
+ * - 배열을 정렬한 뒤, 무작위로 고른 두 요소를 swapCount번 교환한다.
+ * - 삽입 정렬처럼 거의 정렬된 데이터에서 빠른 알고리즘을 보여줄 수 있다.
+ *
+ * @param {number[]} arr - 바꿀 배열
+ * @param {boolean} yieldCompare - 사용하지 않음 (다른 제너레이터와 호출 형식을 맞추기 위함)
+ * @param {Object} options - 추가 옵션
+ * @param {number} options.swapCount - 무작위 교환 횟수 (기본값: 배열 길이의 5%, 최소 1)
+ */
+function* nearlySortedGenerator(
+  arr,
+  yieldCompare,
+  { swapCount = Math.max(1, Math.floor(arr.length / 20)) } = {}
+) {
+  const stats = { comparisons: 0, swaps: 0, writes: 0 };
+  yield* arrangeGenerator(arr, sortedCopy(arr), stats);
+
+  for (let k = 0; k < swapCount && arr.length > 1; k++) {
+    const i = Math.floor(random() * arr.length);
+    const j = Math.floor(random() * arr.length);
+
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+    stats.swaps++;
+    yield stepEvent('swap', [i, j], stats);
+  }
+}
 
-    // 현재 배열 상태를 반환하면서, 비교한 두 인덱스를 함께 제공
-    yield { array: [...arr], compareIndexes: [i, j] };
+/**
+ * 📌 톱니(Sawtooth) 모양 입력을 만드는 제너레이터
+ * - 정렬된 값을 차례대로 톱니에 하나씩 나눠 담아, 오름차순 구간 여러 개가 이어지게 만든다.
+ *   예) 톱니 3개: [0, 3, 6, 1, 4, 7, 2, 5, 8]
+ *
+ * @param {number[]} arr - 바꿀 배열
+ * @param {boolean} yieldCompare - 사용하지 않음
+ * @param {Object} options - 추가 옵션
+ * @param {number} options.teeth - 톱니(오름차순 구간) 개수 (기본값: 4)
+ */
+function* sawtoothGenerator(arr, yieldCompare, { teeth = 4 } = {}) {
+  const sorted = sortedCopy(arr);
+  const target = [];
+  for (let tooth = 0; tooth < teeth; tooth++) {
+    for (let k = tooth; k < sorted.length; k += teeth) {
+      target.push(sorted[k]);
+    }
+  }
+
+  yield* arrangeGenerator(arr, target);
+}
+
+/**
+ * 📌 오르간 파이프(Organ Pipe) 모양 입력을 만드는 제너레이터
+ * - 가운데가 가장 크고 양 끝으로 갈수록 작아지는 배열을 만든다.
+ *   예) [0, 2, 4, 6, 5, 3, 1]
+ *
+ * @param {number[]} arr - 바꿀 배열
+ */
+function* organPipeGenerator(arr) {
+  const sorted = sortedCopy(arr);
+  const rising = sorted.filter((_, k) => k % 2 === 0);
+  const falling = sorted.filter((_, k) => k % 2 === 1).reverse();
+
+  yield* arrangeGenerator(arr, [...rising, ...falling]);
+}
+
+/**
+ * 📌 고유값이 적은(중복이 많은) 입력을 만드는 제너레이터
+ * - 정렬된 값을 uniqueCount개의 구간으로 나누고, 각 구간의 값을 구간의 첫 값으로 바꾼 뒤 무작위로 섞는다.
+ * - 기수 정렬처럼 키 종류가 적을 때 유리한 알고리즘을 보여줄 수 있다.
+ *
+ * @param {number[]} arr - 바꿀 배열
+ * @param {boolean} yieldCompare - 사용하지 않음
+ * @param {Object} options - 추가 옵션
+ * @param {number} options.uniqueCount - 고유값 개수 (기본값: 8)
+ */
+function* fewUniqueGenerator(arr, yieldCompare, { uniqueCount = 8 } = {}) {
+  const sorted = sortedCopy(arr);
+  const bucketSize = Math.ceil(sorted.length / uniqueCount);
+  const target = sorted.map(
+    (_, k) => sorted[Math.floor(k / bucketSize) * bucketSize]
+  );
+
+  // 목표 배열을 Fisher-Yates 방식으로 섞는다
+  for (let i = target.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [target[i], target[j]] = [target[j], target[i]];
   }
+
+  yield* arrangeGenerator(arr, target);
+}
+
+/**
+ * 📌 가우시안(정규) 분포 입력을 만드는 제너레이터
+ * - 최소값 ~ 최대값 범위에서 가운데에 몰린 값을 무작위로 뽑아 채운다 (Box-Muller 변환 사용).
+ * - 평균은 범위의 중앙, 표준편차는 범위의 1/6이며, 범위를 벗어난 값은 양 끝으로 자른다.
+ *
+ * @param {number[]} arr - 바꿀 배열
+ */
+function* gaussianGenerator(arr) {
+  const sorted = sortedCopy(arr);
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const mean = (min + max) / 2;
+  const deviation = (max - min) / 6;
+
+  const target = sorted.map(() => {
+    const u = 1 - random(); // (0, 1] 범위로 log(0) 방지
+    const v = random();
+    const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    return Math.min(max, Math.max(min, Math.round(mean + deviation * z)));
+  });
+
+  yield* arrangeGenerator(arr, target);
 }
 
 /**
  * 📌 배열의 각 요소를 강조하는 제너레이터 (정렬 완료 시 강조 효과)
  * - 배열의 각 요소를 한 번씩 강조 표시하는 효과를 만든다.
- * - 강조된 인덱스를 `swappedIndexes`로 반환하여 시각적 효과를 줄 수 있다.
- * - 정렬이 끝난 후, 최종 상태의 배열을 한 번 더 반환한다.
+ * - 강조된 인덱스를 markSorted 이벤트로 반환하여 시각적 효과를 줄 수 있다.
  *
  * @param {number[]} arr - 강조할 배열
- * @yields {object} 애니메이션을 위한 객체 반환
- *   - array: 현재 배열 상태 (복사본)
- *   - swappedIndexes: 현재 강조할 인덱스
+ * @yields {object} 단계 이벤트 (markSorted)
  */
 function* accentGenerator(arr) {
-  //compareIndexes 0~n까지 반환
+  const stats = { comparisons: 0, swaps: 0, writes: 0 };
+
   for (let i = 0; i < arr.length; i++) {
     // 현재 인덱스를 강조하는 상태를 반환
-    yield { array: [...arr], swappedIndexes: [i] };
+    yield stepEvent('markSorted', [i], stats);
   }
-
-  // 모든 요소 강조가 끝난 후, 최종 배열 상태 한 번 더 반환
-  yield { array: [...arr] };
 }
 
 /**
@@ -63,50 +708,56 @@ const mergeSort = (function () {
 
     const initialArray = [...arr];
 
+    // 병합 버퍼(merged)에 값을 넣고 보조 구조 패널에 알린다
+    function* pushMerged(value) {
+      merged.push(value);
+      yield stepEvent('auxWrite', [merged.length - 1], stats, {
+        aux: 'merged',
+        values: [value]
+      });
+    }
+
+    yield stepEvent('auxAlloc', [], stats, {
+      aux: 'merged',
+      size: right - left + 1
+    });
+
     while (i <= mid && j <= right) {
       stats.comparisons++;
       if (yieldCompare) {
-        yield {
-          array: [...arr],
-          swappedIndexes: [],
-          compareIndexes: [i, j],
-          comparisons: stats.comparisons,
-          swaps: stats.swaps
-        };
+        yield stepEvent('compare', [i, j], stats);
       }
       if (arr[i] <= arr[j]) {
-        merged.push(arr[i++]);
+        yield* pushMerged(arr[i++]);
       } else {
-        merged.push(arr[j++]);
+        yield* pushMerged(arr[j++]);
       }
     }
 
-    while (i <= mid) merged.push(arr[i++]);
-    while (j <= right) merged.push(arr[j++]);
+    while (i <= mid) yield* pushMerged(arr[i++]);
+    while (j <= right) yield* pushMerged(arr[j++]);
 
     // 병합한 결과를 원래 배열에 반영
     for (let k = left; k <= right; k++) {
       arr[k] = merged[k - left];
     }
 
-    // 원래 배열과 병합된 배열 간의 차이를 바탕으로 swappedIndexes를 추출
-    const swappedIndexes = [];
+    // 원래 배열과 병합된 배열 간의 차이를 바탕으로 값이 바뀐 인덱스를 추출
+    const writtenIndexes = [];
     for (let k = left; k <= right; k++) {
       if (arr[k] !== initialArray[k]) {
-        swappedIndexes.push(k);
+        writtenIndexes.push(k);
       }
     }
 
-    if (yieldCompare && swappedIndexes.length > 0) {
-      stats.swaps += swappedIndexes.length;
-      yield {
-        array: [...arr],
-        swappedIndexes,
-        compareIndexes: [],
-        comparisons: stats.comparisons,
-        swaps: stats.swaps
-      };
+    if (writtenIndexes.length > 0) {
+      stats.writes += writtenIndexes.length;
+      yield stepEvent('write', writtenIndexes, stats, {
+        values: writtenIndexes.map((k) => arr[k])
+      });
     }
+
+    yield stepEvent('auxAlloc', [], stats, { aux: 'merged', size: 0 });
   }
 
   // 병합 정렬의 재귀 함수
@@ -121,7 +772,7 @@ const mergeSort = (function () {
 
   // 병합 정렬을 수행하는 메인 함수
   return function* mergeSort(arr, yieldCompare = true) {
-    const stats = { comparisons: 0, swaps: 0 };
+    const stats = { comparisons: 0, swaps: 0, writes: 0 };
     yield* mergeSortRecursive(arr, 0, arr.length - 1, yieldCompare, stats);
     return arr;
   };
@@ -142,22 +793,14 @@ const mergeSort = (function () {
  */
 function* selectionSort(arr, yieldCompare = true) {
   let n = arr.length;
-  let comparisons = 0;
-  let swaps = 0;
-  let previousSwappedIndexes = [];
+  let stats = { comparisons: 0, swaps: 0, writes: 0 };
 
   for (let i = 0; i < n - 1; i++) {
     let minIndex = i;
     for (let j = i + 1; j < n; j++) {
-      comparisons++;
+      stats.comparisons++;
       if (yieldCompare) {
-        yield {
-          array: [...arr],
-          swappedIndexes: previousSwappedIndexes,
-          compareIndexes: [i, j],
-          comparisons,
-          swaps
-        };
+        yield stepEvent('compare', [minIndex, j], stats);
       }
 
       if (arr[j] < arr[minIndex]) {
@@ -166,23 +809,20 @@ function* selectionSort(arr, yieldCompare = true) {
     }
     if (minIndex !== i) {
       [arr[i], arr[minIndex]] = [arr[minIndex], arr[i]];
-      swaps++;
-      previousSwappedIndexes = [i, minIndex];
-
-      yield {
-        array: [...arr],
-        swappedIndexes: previousSwappedIndexes,
-        comparisons,
-        swaps
-      };
+      stats.swaps++;
+
+      yield stepEvent('swap', [i, minIndex], stats);
     }
+
+    // i번째 자리는 최종 위치가 결정됨
+    yield stepEvent('markSorted', [i], stats);
   }
 
-  yield {
-    array: [...arr],
-    comparisons,
-    swaps
-  };
+  if (n > 0) {
+    yield stepEvent('markSorted', [n - 1], stats);
+  }
+
+  return arr;
 }
 
 /**
@@ -200,45 +840,34 @@ function* selectionSort(arr, yieldCompare = true) {
  */
 function* insertionSort(arr, yieldCompare = true) {
   let n = arr.length;
-  let comparisons = 0;
-  let swaps = 0;
-  let previousSwappedIndexes = [];
+  let stats = { comparisons: 0, swaps: 0, writes: 0 };
 
   for (let i = 1; i < n; i++) {
     let key = arr[i];
     let j = i - 1;
 
-    while (j >= 0 && arr[j] > key) {
-      comparisons++;
+    while (j >= 0) {
+      stats.comparisons++;
       if (yieldCompare) {
-        yield {
-          array: [...arr],
-          swappedIndexes: previousSwappedIndexes,
-          compareIndexes: [j, j + 1],
-          comparisons,
-          swaps
-        };
+        yield stepEvent('compare', [j, j + 1], stats);
       }
+      if (arr[j] <= key) break;
+
+      // 현재 요소보다 큰 요소를 오른쪽으로 한 칸 이동
       arr[j + 1] = arr[j];
+      stats.writes++;
+      yield stepEvent('write', [j + 1], stats, { values: [arr[j]] });
       j = j - 1;
-      swaps++;
-      previousSwappedIndexes = [j + 1, j + 2];
     }
-    arr[j + 1] = key;
 
-    yield {
-      array: [...arr],
-      swappedIndexes: previousSwappedIndexes,
-      comparisons,
-      swaps
-    };
+    if (j + 1 !== i) {
+      arr[j + 1] = key;
+      stats.writes++;
+      yield stepEvent('write', [j + 1], stats, { values: [key] });
+    }
   }
 
-  yield {
-    array: [...arr],
-    comparisons,
-    swaps
-  };
+  return arr;
 }
 
 /**
@@ -256,9 +885,7 @@ function* insertionSort(arr, yieldCompare = true) {
  */
 function* binaryInsertionSort(arr, yieldCompare = true) {
   let n = arr.length;
-  let comparisons = 0;
-  let swaps = 0;
-  let previousSwappedIndexes = [];
+  let stats = { comparisons: 0, swaps: 0, writes: 0 };
 
   for (let i = 1; i < n; i++) {
     let key = arr[i];
@@ -270,16 +897,10 @@ function* binaryInsertionSort(arr, yieldCompare = true) {
     let insertIndex = i;
 
     while (left <= right) {
-      comparisons++;
+      stats.comparisons++;
       let mid = Math.floor((left + right) / 2);
       if (yieldCompare) {
-        yield {
-          array: [...arr],
-          swappedIndexes: previousSwappedIndexes,
-          compareIndexes: [mid, i],
-          comparisons,
-          swaps
-        };
+        yield stepEvent('compare', [mid, i], stats);
       }
       if (arr[mid] > key) {
         right = mid - 1;
@@ -289,29 +910,27 @@ function* binaryInsertionSort(arr, yieldCompare = true) {
       }
     }
 
+    if (insertIndex === i) continue;
+
     // 삽입 위치까지 요소들을 오른쪽으로 이동
     for (let k = j; k >= insertIndex; k--) {
       arr[k + 1] = arr[k];
-      swaps++;
-      previousSwappedIndexes = [k, k + 1];
     }
 
     // 현재 요소를 삽입 위치에 삽입
     arr[insertIndex] = key;
 
-    yield {
-      array: [...arr],
-      swappedIndexes: previousSwappedIndexes,
-      comparisons,
-      swaps
-    };
+    // 이동 및 삽입으로 값이 바뀐 구간 전체를 한 번의 write 이벤트로 반환
+    const writtenIndexes = [];
+    for (let k = insertIndex; k <= i; k++) writtenIndexes.push(k);
+    stats.writes += writtenIndexes.length;
+
+    yield stepEvent('write', writtenIndexes, stats, {
+      values: writtenIndexes.map((k) => arr[k])
+    });
   }
 
-  yield {
-    array: [...arr],
-    comparisons,
-    swaps
-  };
+  return arr;
 }
 
 /**
@@ -331,48 +950,27 @@ const quickSort = (function () {
   // 배열을 분할하고 피벗의 최종 위치를 반환하는 함수
   function* partition(arr, low, high, yieldCompare, stats) {
     const pivot = arr[high]; // 피벗 선택
+    yield stepEvent('pivot', [high], stats);
     let i = low - 1; // 작은 요소의 마지막 인덱스
 
     for (let j = low; j < high; j++) {
       stats.comparisons++;
       if (yieldCompare) {
-        yield {
-          array: [...arr],
-          swappedIndexes: [],
-          compareIndexes: [j, high],
-          comparisons: stats.comparisons,
-          swaps: stats.swaps
-        };
+        yield stepEvent('compare', [j, high], stats);
       }
 
       if (arr[j] <= pivot) {
         i++;
         [arr[i], arr[j]] = [arr[j], arr[i]]; // 요소 교환
         stats.swaps++;
-        if (yieldCompare) {
-          yield {
-            array: [...arr],
-            swappedIndexes: [i, j],
-            compareIndexes: [],
-            comparisons: stats.comparisons,
-            swaps: stats.swaps
-          };
-        }
+        yield stepEvent('swap', [i, j], stats);
       }
     }
 
     // 피벗을 올바른 위치로 이동
     [arr[i + 1], arr[high]] = [arr[high], arr[i + 1]];
     stats.swaps++;
-    if (yieldCompare) {
-      yield {
-        array: [...arr],
-        swappedIndexes: [i + 1, high],
-        compareIndexes: [],
-        comparisons: stats.comparisons,
-        swaps: stats.swaps
-      };
-    }
+    yield stepEvent('swap', [i + 1, high], stats);
 
     return i + 1; // 피벗의 최종 위치 반환
   }
@@ -381,24 +979,17 @@ const quickSort = (function () {
   function* quickSortRecursive(arr, low, high, yieldCompare, stats) {
     if (low < high) {
       const pi = yield* partition(arr, low, high, yieldCompare, stats); // 분할 수행 및 피벗 위치 반환
+      yield stepEvent('markSorted', [pi], stats); // 피벗은 최종 위치에 놓임
       yield* quickSortRecursive(arr, low, pi - 1, yieldCompare, stats); // 왼쪽 부분 배열 정렬
       yield* quickSortRecursive(arr, pi + 1, high, yieldCompare, stats); // 오른쪽 부분 배열 정렬
-    }
-
-    if (yieldCompare) {
-      yield {
-        array: [...arr],
-        swappedIndexes: [],
-        compareIndexes: [],
-        comparisons: stats.comparisons,
-        swaps: stats.swaps
-      };
+    } else if (low === high) {
+      yield stepEvent('markSorted', [low], stats); // 요소가 하나뿐인 구간
     }
   }
 
   // 퀵 정렬을 수행하는 메인 함수
   return function* quickSort(arr, yieldCompare = true) {
-    const stats = { comparisons: 0, swaps: 0 };
+    const stats = { comparisons: 0, swaps: 0, writes: 0 };
     yield* quickSortRecursive(arr, 0, arr.length - 1, yieldCompare, stats);
     return arr;
   };
@@ -418,7 +1009,8 @@ const quickSort = (function () {
 
 function* bubbleSort(arr, yieldCompare = true) {
   const n = arr.length;
-  let stats = { comparisons: 0, swaps: 0 };
+  let stats = { comparisons: 0, swaps: 0, writes: 0 };
+  let sortedFrom = n; // 이 인덱스부터 끝까지는 최종 위치가 결정됨
 
   for (let i = 0; i < n - 1; i++) {
     let swapped = false;
@@ -426,13 +1018,7 @@ function* bubbleSort(arr, yieldCompare = true) {
     for (let j = 0; j < n - 1 - i; j++) {
       stats.comparisons++;
       if (yieldCompare) {
-        yield {
-          array: [...arr],
-          swappedIndexes: [],
-          compareIndexes: [j, j + 1],
-          comparisons: stats.comparisons,
-          swaps: stats.swaps
-        };
+        yield stepEvent('compare', [j, j + 1], stats);
       }
 
       // 인접 요소 비교 후 교환
@@ -441,30 +1027,25 @@ function* bubbleSort(arr, yieldCompare = true) {
         swapped = true;
         stats.swaps++;
 
-        if (yieldCompare) {
-          yield {
-            array: [...arr],
-            swappedIndexes: [j, j + 1],
-            compareIndexes: [],
-            comparisons: stats.comparisons,
-            swaps: stats.swaps
-          };
-        }
+        yield stepEvent('swap', [j, j + 1], stats);
       }
     }
 
+    // 이번 패스에서 가장 큰 요소가 끝으로 이동함
+    sortedFrom = n - 1 - i;
+    yield stepEvent('markSorted', [sortedFrom], stats);
+
     // 교환이 한 번도 이루어지지 않으면 정렬이 완료된 것으로 간주하고 종료
     if (!swapped) break;
   }
 
-  if (yieldCompare) {
-    yield {
-      array: [...arr],
-      swappedIndexes: [],
-      compareIndexes: [],
-      comparisons: stats.comparisons,
-      swaps: stats.swaps
-    };
+  // 남은 요소들도 모두 최종 위치에 있음
+  if (sortedFrom > 0) {
+    yield stepEvent(
+      'markSorted',
+      Array.from({ length: sortedFrom }, (_, k) => k),
+      stats
+    );
   }
 
   return arr;
@@ -484,7 +1065,7 @@ function* bubbleSort(arr, yieldCompare = true) {
 function* cocktailShakerSort(arr, yieldCompare = true) {
   let start = 0;
   let end = arr.length - 1;
-  let stats = { comparisons: 0, swaps: 0 };
+  let stats = { comparisons: 0, swaps: 0, writes: 0 };
 
   while (start < end) {
     let swapped = false;
@@ -493,13 +1074,7 @@ function* cocktailShakerSort(arr, yieldCompare = true) {
     for (let i = start; i < end; i++) {
       stats.comparisons++;
       if (yieldCompare) {
-        yield {
-          array: [...arr],
-          swappedIndexes: [],
-          compareIndexes: [i, i + 1],
-          comparisons: stats.comparisons,
-          swaps: stats.swaps
-        };
+        yield stepEvent('compare', [i, i + 1], stats);
       }
 
       if (arr[i] > arr[i + 1]) {
@@ -507,15 +1082,7 @@ function* cocktailShakerSort(arr, yieldCompare = true) {
         stats.swaps++;
         swapped = true;
 
-        if (yieldCompare) {
-          yield {
-            array: [...arr],
-            swappedIndexes: [i, i + 1],
-            compareIndexes: [],
-            comparisons: stats.comparisons,
-            swaps: stats.swaps
-          };
-        }
+        yield stepEvent('swap', [i, i + 1], stats);
       }
     }
 
@@ -531,13 +1098,7 @@ function* cocktailShakerSort(arr, yieldCompare = true) {
     for (let i = end; i > start; i--) {
       stats.comparisons++;
       if (yieldCompare) {
-        yield {
-          array: [...arr],
-          swappedIndexes: [],
-          compareIndexes: [i - 1, i],
-          comparisons: stats.comparisons,
-          swaps: stats.swaps
-        };
+        yield stepEvent('compare', [i - 1, i], stats);
       }
 
       if (arr[i - 1] > arr[i]) {
@@ -545,15 +1106,7 @@ function* cocktailShakerSort(arr, yieldCompare = true) {
         stats.swaps++;
         swapped = true;
 
-        if (yieldCompare) {
-          yield {
-            array: [...arr],
-            swappedIndexes: [i - 1, i],
-            compareIndexes: [],
-            comparisons: stats.comparisons,
-            swaps: stats.swaps
-          };
-        }
+        yield stepEvent('swap', [i - 1, i], stats);
       }
     }
 
@@ -564,16 +1117,6 @@ function* cocktailShakerSort(arr, yieldCompare = true) {
     start++;
   }
 
-  if (yieldCompare) {
-    yield {
-      array: [...arr],
-      swappedIndexes: [],
-      compareIndexes: [],
-      comparisons: stats.comparisons,
-      swaps: stats.swaps
-    };
-  }
-
   return arr;
 }
 
@@ -591,22 +1134,18 @@ function* cocktailShakerSort(arr, yieldCompare = true) {
 
 function* gnomeSort(arr, yieldCompare = true) {
   let index = 0;
-  let stats = { comparisons: 0, swaps: 0 };
+  let stats = { comparisons: 0, swaps: 0, writes: 0 };
 
   while (index < arr.length) {
+    // 맨 앞에서는 비교할 이전 요소가 없으므로 다음 요소로 이동
     if (index === 0) {
       index++;
+      continue;
     }
 
     stats.comparisons++;
     if (yieldCompare) {
-      yield {
-        array: [...arr],
-        swappedIndexes: [],
-        compareIndexes: [index - 1, index],
-        comparisons: stats.comparisons,
-        swaps: stats.swaps
-      };
+      yield stepEvent('compare', [index - 1, index], stats);
     }
 
     if (arr[index] >= arr[index - 1]) {
@@ -615,29 +1154,11 @@ function* gnomeSort(arr, yieldCompare = true) {
       [arr[index], arr[index - 1]] = [arr[index - 1], arr[index]];
       stats.swaps++;
 
-      if (yieldCompare) {
-        yield {
-          array: [...arr],
-          swappedIndexes: [index - 1, index],
-          compareIndexes: [],
-          comparisons: stats.comparisons,
-          swaps: stats.swaps
-        };
-      }
+      yield stepEvent('swap', [index - 1, index], stats);
       index--;
     }
   }
 
-  if (yieldCompare) {
-    yield {
-      array: [...arr],
-      swappedIndexes: [],
-      compareIndexes: [],
-      comparisons: stats.comparisons,
-      swaps: stats.swaps
-    };
-  }
-
   return arr;
 }
 
@@ -658,7 +1179,7 @@ function* combSort(arr, yieldCompare = true) {
   const shrinkFactor = 1.3; // 간격을 줄이는 비율
   let gap = arr.length; // 초기 간격
   let sorted = false; // 정렬 여부 플래그
-  let stats = { comparisons: 0, swaps: 0 };
+  let stats = { comparisons: 0, swaps: 0, writes: 0 };
 
   while (!sorted) {
     // 간격을 줄임
@@ -672,13 +1193,7 @@ function* combSort(arr, yieldCompare = true) {
     while (i + gap < arr.length) {
       stats.comparisons++;
       if (yieldCompare) {
-        yield {
-          array: [...arr],
-          swappedIndexes: [],
-          compareIndexes: [i, i + gap],
-          comparisons: stats.comparisons,
-          swaps: stats.swaps
-        };
+        yield stepEvent('compare', [i, i + gap], stats);
       }
 
       // 요소를 비교하고 필요 시 교환
@@ -687,31 +1202,13 @@ function* combSort(arr, yieldCompare = true) {
         stats.swaps++;
         sorted = false; // 교환이 발생하면 정렬되지 않았음을 나타냄
 
-        if (yieldCompare) {
-          yield {
-            array: [...arr],
-            swappedIndexes: [i, i + gap],
-            compareIndexes: [],
-            comparisons: stats.comparisons,
-            swaps: stats.swaps
-          };
-        }
+        yield stepEvent('swap', [i, i + gap], stats);
       }
 
       i++;
     }
   }
 
-  if (yieldCompare) {
-    yield {
-      array: [...arr],
-      swappedIndexes: [],
-      compareIndexes: [],
-      comparisons: stats.comparisons,
-      swaps: stats.swaps
-    };
-  }
-
   return arr;
 }
 
@@ -731,7 +1228,7 @@ function* combSort(arr, yieldCompare = true) {
 function* shellSort(arr, yieldCompare = true) {
   let n = arr.length;
   let gap = Math.floor(n / 2);
-  let stats = { comparisons: 0, swaps: 0 };
+  let stats = { comparisons: 0, swaps: 0, writes: 0 };
 
   while (gap > 0) {
     for (let i = gap; i < n; i++) {
@@ -739,59 +1236,30 @@ function* shellSort(arr, yieldCompare = true) {
       let j = i;
 
       // 간격이 떨어진 요소들끼리 삽입 정렬
-      while (j >= gap && arr[j - gap] > temp) {
+      while (j >= gap) {
         stats.comparisons++;
         if (yieldCompare) {
-          yield {
-            array: [...arr],
-            swappedIndexes: [],
-            compareIndexes: [j, j - gap],
-            comparisons: stats.comparisons,
-            swaps: stats.swaps
-          };
+          yield stepEvent('compare', [j - gap, j], stats);
         }
+        if (arr[j - gap] <= temp) break;
 
         arr[j] = arr[j - gap];
-        stats.swaps++;
-        if (yieldCompare) {
-          yield {
-            array: [...arr],
-            swappedIndexes: [j, j - gap],
-            compareIndexes: [],
-            comparisons: stats.comparisons,
-            swaps: stats.swaps
-          };
-        }
+        stats.writes++;
+        yield stepEvent('write', [j], stats, { values: [arr[j]] });
 
         j -= gap;
       }
 
-      arr[j] = temp;
-
-      if (yieldCompare && j !== i) {
-        yield {
-          array: [...arr],
-          swappedIndexes: [j],
-          compareIndexes: [],
-          comparisons: stats.comparisons,
-          swaps: stats.swaps
-        };
+      if (j !== i) {
+        arr[j] = temp;
+        stats.writes++;
+        yield stepEvent('write', [j], stats, { values: [temp] });
       }
     }
 
     gap = Math.floor(gap / 2); // 간격을 줄임
   }
 
-  if (yieldCompare) {
-    yield {
-      array: [...arr],
-      swappedIndexes: [],
-      compareIndexes: [],
-      comparisons: stats.comparisons,
-      swaps: stats.swaps
-    };
-  }
-
   return arr;
 }
 
@@ -809,7 +1277,7 @@ function* shellSort(arr, yieldCompare = true) {
 
 function* heapSort(arr, yieldCompare = true) {
   let n = arr.length;
-  let stats = { comparisons: 0, swaps: 0 };
+  let stats = { comparisons: 0, swaps: 0, writes: 0 };
 
   // 최대 힙을 구성하는 함수
   function* heapify(arr, n, i) {
@@ -818,47 +1286,43 @@ function* heapSort(arr, yieldCompare = true) {
     let right = 2 * i + 2; // 오른쪽 자식
 
     // 왼쪽 자식이 루트보다 크다면
-    if (left < n && arr[left] > arr[largest]) {
-      largest = left;
+    if (left < n) {
+      stats.comparisons++;
+      if (yieldCompare) {
+        yield stepEvent('compare', [left, largest], stats);
+      }
+      if (arr[left] > arr[largest]) {
+        largest = left;
+      }
     }
 
     // 오른쪽 자식이 현재 가장 큰 값보다 크다면
-    if (right < n && arr[right] > arr[largest]) {
-      largest = right;
-    }
-
-    // 가장 큰 값이 루트가 아니라면
-    if (largest !== i) {
+    if (right < n) {
       stats.comparisons++;
       if (yieldCompare) {
-        yield {
-          array: [...arr],
-          swappedIndexes: [],
-          compareIndexes: [i, largest],
-          comparisons: stats.comparisons,
-          swaps: stats.swaps
-        };
+        yield stepEvent('compare', [right, largest], stats);
+      }
+      if (arr[right] > arr[largest]) {
+        largest = right;
       }
+    }
 
+    // 가장 큰 값이 루트가 아니라면
+    if (largest !== i) {
       [arr[i], arr[largest]] = [arr[largest], arr[i]];
       stats.swaps++;
 
-      if (yieldCompare) {
-        yield {
-          array: [...arr],
-          swappedIndexes: [i, largest],
-          compareIndexes: [],
-          comparisons: stats.comparisons,
-          swaps: stats.swaps
-        };
-      }
+      yield stepEvent('swap', [i, largest], stats);
 
       // 재귀적으로 힙을 재구성
       yield* heapify(arr, n, largest);
     }
   }
 
-  // 초기 배열을 최대 힙으로 변환
+  // 초기 배열을 최대 힙으로 변환 (배열 전체를 힙으로 표시)
+  if (n > 0) {
+    yield stepEvent('heap', [], stats, { size: n });
+  }
   for (let i = Math.floor(n / 2) - 1; i >= 0; i--) {
     yield* heapify(arr, n, i);
   }
@@ -868,27 +1332,16 @@ function* heapSort(arr, yieldCompare = true) {
     [arr[0], arr[i]] = [arr[i], arr[0]];
     stats.swaps++;
 
-    if (yieldCompare) {
-      yield {
-        array: [...arr],
-        swappedIndexes: [0, i],
-        compareIndexes: [],
-        comparisons: stats.comparisons,
-        swaps: stats.swaps
-      };
-    }
+    yield stepEvent('swap', [0, i], stats);
+    yield stepEvent('markSorted', [i], stats); // 추출한 최대값은 최종 위치에 놓임
+    yield stepEvent('heap', [], stats, { size: i }); // 힙이 한 칸 줄어듦
 
     yield* heapify(arr, i, 0);
   }
 
-  if (yieldCompare) {
-    yield {
-      array: [...arr],
-      swappedIndexes: [],
-      compareIndexes: [],
-      comparisons: stats.comparisons,
-      swaps: stats.swaps
-    };
+  if (n > 0) {
+    yield stepEvent('heap', [], stats, { size: 0 });
+    yield stepEvent('markSorted', [0], stats);
   }
 
   return arr;
@@ -904,27 +1357,29 @@ function* heapSort(arr, yieldCompare = true) {
  * == 홀짝 정렬의 작동 방식 ==
  * 1. 배열의 인접한 요소들을 번갈아 가며 홀수 인덱스 쌍과 짝수 인덱스 쌍으로 비교하고 교환한다.
  * 2. 배열이 완전히 정렬될 때까지 1번 단계를 반복한다.
+ * 3. 홀수 쌍과 짝수 쌍 비교를 번갈아 n번 하면 어떤 입력이든 정렬되므로, network 옵션을 켜면
+ *    일찍 끝내지 않고 정확히 n번 비교해서 고정된 정렬 네트워크로 동작한다.
+ *
+ * @param {number[]} arr - 정렬할 배열
+ * @param {boolean} yieldCompare - 비교 이벤트 반환 여부
+ * @param {Object} options - 정렬 옵션
+ * @param {boolean} options.network - true면 정렬 여부와 상관없이 n번 비교한다 (기본값: false)
  */
-
-function* oddEvenSort(arr, yieldCompare = true) {
+function* oddEvenSort(arr, yieldCompare = true, { network = false } = {}) {
   let n = arr.length;
   let sorted = false;
-  let stats = { comparisons: 0, swaps: 0 };
+  let stats = { comparisons: 0, swaps: 0, writes: 0 };
+  let layer = 0; // 한 번의 홀수 또는 짝수 쌍 비교가 정렬 네트워크의 병렬 층 하나
+  let rounds = 0; // 홀수 또는 짝수 쌍 비교를 한 횟수 (쌍이 없어서 건너뛴 것도 센다)
 
-  while (!sorted) {
+  while (network ? rounds < n : !sorted) {
     sorted = true;
 
     // 홀수 인덱스 쌍 비교 및 정렬
     for (let i = 1; i < n - 1; i += 2) {
       stats.comparisons++;
       if (yieldCompare) {
-        yield {
-          array: [...arr],
-          swappedIndexes: [],
-          compareIndexes: [i, i + 1],
-          comparisons: stats.comparisons,
-          swaps: stats.swaps
-        };
+        yield stepEvent('compare', [i, i + 1], stats, { layer });
       }
 
       if (arr[i] > arr[i + 1]) {
@@ -932,29 +1387,17 @@ function* oddEvenSort(arr, yieldCompare = true) {
         stats.swaps++;
         sorted = false;
 
-        if (yieldCompare) {
-          yield {
-            array: [...arr],
-            swappedIndexes: [i, i + 1],
-            compareIndexes: [],
-            comparisons: stats.comparisons,
-            swaps: stats.swaps
-          };
-        }
+        yield stepEvent('swap', [i, i + 1], stats, { layer });
       }
     }
+    if (n > 2) layer++; // 홀수 쌍이 없으면(n <= 2) 층을 만들지 않는다
+    if (network && ++rounds >= n) break;
 
     // 짝수 인덱스 쌍 비교 및 정렬
     for (let i = 0; i < n - 1; i += 2) {
       stats.comparisons++;
       if (yieldCompare) {
-        yield {
-          array: [...arr],
-          swappedIndexes: [],
-          compareIndexes: [i, i + 1],
-          comparisons: stats.comparisons,
-          swaps: stats.swaps
-        };
+        yield stepEvent('compare', [i, i + 1], stats, { layer });
       }
 
       if (arr[i] > arr[i + 1]) {
@@ -962,32 +1405,79 @@ function* oddEvenSort(arr, yieldCompare = true) {
         stats.swaps++;
         sorted = false;
 
-        if (yieldCompare) {
-          yield {
-            array: [...arr],
-            swappedIndexes: [i, i + 1],
-            compareIndexes: [],
-            comparisons: stats.comparisons,
-            swaps: stats.swaps
-          };
-        }
+        yield stepEvent('swap', [i, i + 1], stats, { layer });
       }
     }
+    layer++;
+    rounds++;
   }
 
-  if (yieldCompare) {
-    yield {
-      array: [...arr],
-      swappedIndexes: [],
-      compareIndexes: [],
-      comparisons: stats.comparisons,
-      swaps: stats.swaps
-    };
+  return arr;
+}
+
+/**
+ * 📌 정렬 네트워크의 비교기를 병렬 층(layer)으로 나누는 함수
+ * - 비교기는 앞선 비교기들이 쓰는 선(인덱스)을 모두 기다린 뒤 가장 빠른 층에 놓는다.
+ * - 같은 층의 비교기는 서로 다른 선만 쓰므로 동시에 실행할 수 있고,
+ *   층 순서대로 실행해도 원래 순서대로 실행한 것과 결과가 같다.
+ *
+ * @param {number} n - 선(배열 요소)의 수
+ * @param {Object[]} comparators - 실행 순서대로 나열한 비교기 ({ i, j, up })
+ * @returns {Object[]} - 층 순서로 다시 나열한 비교기 ({ i, j, up, layer })
+ */
+function scheduleNetworkLayers(n, comparators) {
+  const wireLayers = new Array(n).fill(-1); // 선마다 마지막으로 쓴 층
+  const scheduled = comparators.map((comparator) => {
+    const layer =
+      Math.max(wireLayers[comparator.i], wireLayers[comparator.j]) + 1;
+    wireLayers[comparator.i] = layer;
+    wireLayers[comparator.j] = layer;
+    return { ...comparator, layer };
+  });
+  return scheduled.sort((a, b) => a.layer - b.layer);
+}
+
+/**
+ * 📌 정렬 네트워크 실행 함수
+ * - 비교기를 층 순서로 실행하고, 비교와 교환 이벤트에 층 번호(layer)를 붙인다.
+ *   (재생 목록에서 층 단위 프레임을 고르면 한 층이 한 프레임에 보인다)
+ * - 비교기 { i, j, up }은 up이 true면 arr[i] > arr[j]일 때, false면 그 반대일 때 교환한다.
+ *
+ * @param {number[]} arr - 정렬할 배열
+ * @param {boolean} yieldCompare - 비교 이벤트 반환 여부
+ * @param {Object[]} comparators - 실행 순서대로 나열한 비교기
+ * @returns {Generator} - 단계 이벤트를 반환하고, 끝나면 arr를 반환하는 제너레이터
+ */
+function* runSortingNetwork(arr, yieldCompare, comparators) {
+  let stats = { comparisons: 0, swaps: 0, writes: 0 };
+
+  for (const { i, j, up = true, layer } of scheduleNetworkLayers(
+    arr.length,
+    comparators
+  )) {
+    stats.comparisons++;
+    if (yieldCompare) {
+      yield stepEvent('compare', [i, j], stats, { layer });
+    }
+
+    if (arr[i] > arr[j] === up) {
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+      stats.swaps++;
+
+      yield stepEvent('swap', [i, j], stats, { layer });
+    }
   }
 
   return arr;
 }
 
+// n 이상인 가장 작은 2의 거듭제곱
+function nextPowerOfTwo(n) {
+  let p = 1;
+  while (p < n) p *= 2;
+  return p;
+}
+
 /**
  * 바이토닉 정렬(Bitonic Sort)
  *
@@ -996,74 +1486,140 @@ function* oddEvenSort(arr, yieldCompare = true) {
  * 바이토닉 시퀀스로 정렬한 후, 그 시퀀스를 병합하여 전체를 정렬한다.
  *
  * == 바이토닉 정렬의 작동 방식 ==
- * 1. 입력 배열을 점차적으로 증가하는 부분과 감소하는 부분으로 나눈다.
- * 2. 각각의 부분을 재귀적으로 정렬한다.
- * 3. 정렬된 두 부분을 병합하여 하나의 정렬된 배열을 만든다.
+ * 1. 입력 배열을 앞쪽 절반은 반대 방향으로, 뒤쪽 절반은 원하는 방향으로 재귀적으로 정렬한다.
+ *    (두 부분을 이어 붙이면 바이토닉 시퀀스가 된다)
+ * 2. 바이토닉 시퀀스를 병합하여 하나의 정렬된 배열을 만든다.
+ * 3. 병합할 때 비교 간격을 길이보다 작은 가장 큰 2의 거듭제곱으로 정하므로,
+ *    n이 2의 거듭제곱이 아니어도 올바르게 정렬된다.
+ * 4. 비교 순서는 데이터와 상관없으므로 1-3 단계의 비교기를 먼저 모두 만들고,
+ *    정렬 네트워크로 실행한다. (같은 병렬 층의 비교기를 이어서 실행한다)
+ *
+ * @param {number[]} arr - 정렬할 배열
+ * @param {boolean} yieldCompare - 비교 이벤트 반환 여부
+ * @param {Object} options - 정렬 옵션
+ * @param {boolean} options.up - true면 오름차순, false면 내림차순 (기본값: true)
  */
-function* bitonicSort(arr, up = true, yieldCompare = true) {
+function* bitonicSort(arr, yieldCompare = true, { up = true } = {}) {
   let n = arr.length;
-  let stats = { comparisons: 0, swaps: 0 };
+  const comparators = [];
 
-  // 두 부분을 병합하는 함수
-  function* bitonicMerge(arr, low, cnt, up) {
-    if (cnt <= 1) return;
-
-    let mid = Math.floor(cnt / 2);
-    for (let i = low; i < low + mid; i++) {
-      stats.comparisons++;
-      if (yieldCompare) {
-        yield {
-          array: [...arr],
-          swappedIndexes: [],
-          compareIndexes: [i, i + mid],
-          comparisons: stats.comparisons,
-          swaps: stats.swaps
-        };
-      }
+  // cnt보다 작은 가장 큰 2의 거듭제곱
+  function greatestPowerOfTwoLessThan(cnt) {
+    let k = 1;
+    while (k * 2 < cnt) k *= 2;
+    return k;
+  }
 
-      if (arr[i] > arr[i + mid] === up) {
-        [arr[i], arr[i + mid]] = [arr[i + mid], arr[i]];
-        stats.swaps++;
+  // 두 부분을 병합하는 비교기
+  function bitonicMerge(low, cnt, up) {
+    if (cnt <= 1) return;
 
-        if (yieldCompare) {
-          yield {
-            array: [...arr],
-            swappedIndexes: [i, i + mid],
-            compareIndexes: [],
-            comparisons: stats.comparisons,
-            swaps: stats.swaps
-          };
-        }
-      }
+    let mid = greatestPowerOfTwoLessThan(cnt);
+    for (let i = low; i < low + cnt - mid; i++) {
+      comparators.push({ i, j: i + mid, up });
     }
 
-    yield* bitonicMerge(arr, low, mid, up);
-    yield* bitonicMerge(arr, low + mid, mid, up);
+    bitonicMerge(low, mid, up);
+    bitonicMerge(low + mid, cnt - mid, up);
   }
 
-  // 바이토닉 정렬 수행
-  function* bitonicSortRec(arr, low, cnt, up) {
+  // 바이토닉 정렬의 비교기
+  function bitonicSortRec(low, cnt, up) {
     if (cnt <= 1) return;
 
     let mid = Math.floor(cnt / 2);
 
-    yield* bitonicSortRec(arr, low, mid, true);
-    yield* bitonicSortRec(arr, low + mid, mid, false);
+    bitonicSortRec(low, mid, !up);
+    bitonicSortRec(low + mid, cnt - mid, up);
+
+    bitonicMerge(low, cnt, up);
+  }
+
+  bitonicSortRec(0, n, up);
 
-    yield* bitonicMerge(arr, low, cnt, up);
+  return yield* runSortingNetwork(arr, yieldCompare, comparators);
+}
+
+/**
+ * 배처 홀짝 병합 정렬(Batcher's Odd-Even Mergesort)
+ *
+ * 배처 홀짝 병합 정렬은 데이터와 상관없이 미리 정해진 비교기만 사용하는 정렬 네트워크로,
+ * 깊이(병렬 층 수)는 O(log^2 n), 비교기 수는 O(n log^2 n)이다.
+ * 바이토닉 정렬보다 비교기가 적다.
+ *
+ * == 배처 홀짝 병합 정렬의 작동 방식 ==
+ * 1. 크기 p인 정렬된 블록 두 개를 홀짝 병합으로 크기 2p인 정렬된 블록으로 만든다. (p = 1, 2, 4, ...)
+ * 2. 홀짝 병합은 간격 k = p, p/2, ..., 1로 줄여 가며, 같은 2p 블록 안에서
+ *    k만큼 떨어진 요소들을 비교한다.
+ *
+ * - n 이상의 2의 거듭제곱 크기로 네트워크를 만들고, 뒤쪽의 빈 칸(가장 큰 값으로 본다)에
+ *   닿는 비교기는 뺀다. 빈 칸의 값은 항상 제자리에 있으므로 임의의 n에서도 정렬된다.
+ */
+function* oddEvenMergeSort(arr, yieldCompare = true) {
+  const n = arr.length;
+  const size = nextPowerOfTwo(n);
+  const comparators = [];
+
+  for (let p = 1; p < size; p *= 2) {
+    for (let k = p; k >= 1; k = Math.floor(k / 2)) {
+      for (let j = k % p; j + k < size; j += 2 * k) {
+        for (let i = 0; i < k && i + j + k < size; i++) {
+          // 같은 2p 블록 안의 요소끼리만 비교
+          const sameBlock =
+            Math.floor((i + j) / (2 * p)) === Math.floor((i + j + k) / (2 * p));
+          if (sameBlock && i + j + k < n) {
+            comparators.push({ i: i + j, j: i + j + k });
+          }
+        }
+      }
+    }
   }
 
-  yield* bitonicSortRec(arr, 0, n, up);
+  return yield* runSortingNetwork(arr, yieldCompare, comparators);
+}
 
-  if (yieldCompare) {
-    yield {
-      array: [...arr],
-      comparisons: stats.comparisons,
-      swaps: stats.swaps
-    };
+/**
+ * 쌍 정렬 네트워크(Pairwise Sorting Network)
+ *
+ * 쌍 정렬 네트워크는 Parberry가 제안한 정렬 네트워크로, 배처 홀짝 병합 정렬과
+ * 깊이와 비교기 수가 같지만 비교기의 배치가 다르다.
+ *
+ * == 쌍 정렬 네트워크의 작동 방식 ==
+ * 1. 간격 a = 1, 2, 4, ...마다 요소를 쌍으로 묶어 비교한다. (앞쪽 절반: 쌍 만들기)
+ *    그러면 짝수 번째 요소들과 홀수 번째 요소들이 각각 재귀적으로 정렬된 모양이 된다.
+ * 2. 간격을 다시 줄여 가며, 쌍 사이의 어긋난 요소들을 차례로 비교해서 합친다. (뒤쪽 절반)
+ *
+ * - 배처 홀짝 병합 정렬처럼 2의 거듭제곱 크기로 만든 뒤 n을 넘는 비교기를 뺀다.
+ */
+function* pairwiseSort(arr, yieldCompare = true) {
+  const n = arr.length;
+  const comparators = [];
+
+  // 간격 a로, a개씩 건너뛰며 b - distance와 b를 비교
+  function addComparators(a, distance, start) {
+    for (let b = start, c = 0; b < n; ) {
+      comparators.push({ i: b - distance, j: b });
+      b++;
+      c = (c + 1) % a;
+      if (c === 0) b += a;
+    }
   }
 
-  return arr;
+  // 1. 쌍 만들기
+  let a = 1;
+  for (; a < n; a *= 2) {
+    addComparators(a, a, a);
+  }
+
+  // 2. 쌍 합치기
+  a = Math.floor(a / 4);
+  for (let e = 1; a > 0; a = Math.floor(a / 2), e = e * 2 + 1) {
+    for (let d = e; d > 0; d = Math.floor(d / 2)) {
+      addComparators(a, d * a, (d + 1) * a);
+    }
+  }
+
+  return yield* runSortingNetwork(arr, yieldCompare, comparators);
 }
 
 /**
@@ -1081,8 +1637,8 @@ function* bitonicSort(arr, up = true, yieldCompare = true) {
 function* cycleSort(arr, yieldCompare = true) {
   // 배열의 길이를 저장한다.
   let n = arr.length;
-  // 비교 및 스왑 횟수를 추적하는 객체를 선언한다.
-  let stats = { comparisons: 0, swaps: 0 };
+  // 비교 및 쓰기 횟수를 추적하는 객체를 선언한다.
+  let stats = { comparisons: 0, swaps: 0, writes: 0 };
 
   // 배열의 각 요소에 대해 사이클을 시작한다.
   for (let cycleStart = 0; cycleStart < n - 1; cycleStart++) {
@@ -1098,15 +1654,9 @@ function* cycleSort(arr, yieldCompare = true) {
         pos++;
       }
 
-      // 배열의 상태를 외부로 전달하기 위해 yield한다.
+      // 따로 보관 중인 item과 i번째 요소의 비교를 compare 이벤트로 반환한다.
       if (yieldCompare) {
-        yield {
-          array: [...arr],
-          swappedIndexes: [],
-          compareIndexes: [i],
-          comparisons: stats.comparisons,
-          swaps: stats.swaps
-        };
+        yield stepEvent('compare', [i], stats);
       }
     }
 
@@ -1120,20 +1670,12 @@ function* cycleSort(arr, yieldCompare = true) {
       pos++;
     }
 
-    // 요소를 제자리에 놓고 스왑 횟수를 기록한다.
+    // 요소를 제자리에 쓰고, 그 자리에 있던 요소를 새로 보관한다.
     if (pos !== cycleStart) {
       [arr[pos], item] = [item, arr[pos]];
-      stats.swaps++;
+      stats.writes++;
 
-      if (yieldCompare) {
-        yield {
-          array: [...arr],
-          swappedIndexes: [pos],
-          compareIndexes: [],
-          comparisons: stats.comparisons,
-          swaps: stats.swaps
-        };
-      }
+      yield stepEvent('write', [pos], stats, { values: [arr[pos]] });
     }
 
     // 남은 사이클을 계속 수행한다.
@@ -1147,15 +1689,9 @@ function* cycleSort(arr, yieldCompare = true) {
           pos++;
         }
 
-        // 배열의 상태를 외부로 전달하기 위해 yield한다.
+        // 따로 보관 중인 item과 i번째 요소의 비교를 compare 이벤트로 반환한다.
         if (yieldCompare) {
-          yield {
-            array: [...arr],
-            swappedIndexes: [],
-            compareIndexes: [i],
-            comparisons: stats.comparisons,
-            swaps: stats.swaps
-          };
+          yield stepEvent('compare', [i], stats);
         }
       }
 
@@ -1164,36 +1700,35 @@ function* cycleSort(arr, yieldCompare = true) {
         pos++;
       }
 
-      // 요소를 제자리에 놓고 스왑 횟수를 기록한다.
+      // 요소를 제자리에 쓰고, 그 자리에 있던 요소를 새로 보관한다.
       if (item !== arr[pos]) {
         [arr[pos], item] = [item, arr[pos]];
-        stats.swaps++;
+        stats.writes++;
 
-        if (yieldCompare) {
-          yield {
-            array: [...arr],
-            swappedIndexes: [pos],
-            compareIndexes: [],
-            comparisons: stats.comparisons,
-            swaps: stats.swaps
-          };
-        }
+        yield stepEvent('write', [pos], stats, { values: [arr[pos]] });
       }
     }
   }
 
   // 최종적으로 정렬된 배열을 반환한다.
-  if (yieldCompare) {
-    yield {
-      array: [...arr],
-      comparisons: stats.comparisons,
-      swaps: stats.swaps
-    };
-  }
-
   return arr;
 }
 
+// 🔢 기수 정렬 진법의 최댓값 (count 배열이 진법만큼 커지므로 재생 목록과 CLI에서 제한한다)
+const MAX_RADIX_BASE = 1024;
+
+// 배열의 최솟값과 최댓값 (빈 배열은 { min: Infinity, max: -Infinity })
+// - Math.min(...arr)는 요소를 모두 인수로 넘기므로 큰 배열에서 호출 스택을 넘친다.
+function findValueRange(arr) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of arr) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return { min, max };
+}
+
 /**
  * LSD 기수 정렬(LSD Radix Sort)
  *
@@ -1205,91 +1740,1289 @@ function* cycleSort(arr, yieldCompare = true) {
  * 1. 배열의 각 숫자를 자릿수별로 분류한다.
  * 2. 각 자릿수마다 안정적인 계수 정렬(Counting Sort)을 사용해 정렬한다.
  * 3. 자릿수 순서대로 정렬된 배열을 얻을 때까지 반복한다.
+ *
+ * - 자릿수는 base진법으로 센다. 진법이 클수록 반복 횟수는 줄지만 count 배열이 커진다.
+ * - 요소를 읽을 때 그 요소가 들어갈 버킷(자릿수 값)을 bucket으로 알린다.
+ *
+ * @param {number[]} arr - 정렬할 배열
+ * @param {boolean} yieldCompare - 비교 이벤트 반환 여부
+ * @param {Object} options - 정렬 옵션
+ * @param {number} options.base - 진법 (2 이상, 기본값: 10)
  */
-function* lsdRadixSort(arr, yieldCompare = true) {
+function* lsdRadixSort(arr, yieldCompare = true, { base = 10 } = {}) {
+  const radix = Math.max(2, Math.floor(base));
   // 최대 자릿수를 찾기 위해 배열의 최대값을 확인한다.
-  const maxNum = Math.max(...arr);
+  const maxNum = findValueRange(arr).max;
   // 최대 자릿수를 기반으로 반복 횟수를 결정한다.
   let exp = 1;
-  let stats = { comparisons: 0, swaps: 0 };
+  let stats = { comparisons: 0, swaps: 0, writes: 0 };
 
   // 자릿수를 기반으로 반복하여 정렬한다.
   while (Math.floor(maxNum / exp) > 0) {
-    // 계수 정렬을 위한 버킷을 초기화한다 (0~9).
+    // 계수 정렬을 위한 버킷을 초기화한다 (0 ~ radix-1).
     let output = new Array(arr.length).fill(0);
-    let count = new Array(10).fill(0);
+    let count = new Array(radix).fill(0);
+    yield stepEvent('auxAlloc', [], stats, {
+      aux: 'output',
+      size: arr.length
+    });
+    yield stepEvent('auxAlloc', [], stats, { aux: 'count', size: radix });
 
     // 각 자릿수에 따라 요소를 분류한다.
     for (let i = 0; i < arr.length; i++) {
-      let digit = Math.floor(arr[i] / exp) % 10;
-      yield {
-        array: [...arr],
-        swappedIndexes: [],
-        compareIndexes: [i],
-        comparisons: stats.comparisons,
-        swaps: stats.swaps
-      };
+      let digit = Math.floor(arr[i] / exp) % radix;
+      if (yieldCompare) {
+        yield stepEvent('read', [i], stats, { bucket: digit, buckets: radix });
+      }
       count[digit]++;
+      yield stepEvent('auxWrite', [digit], stats, {
+        aux: 'count',
+        values: [count[digit]]
+      });
     }
 
-    // 누적 카운트를 계산하여 위치를 결정한다.
-    for (let i = 1; i < 10; i++) {
+    // 누적 카운트를 계산하여 위치를 결정한다. (한 번의 auxWrite로 알린다)
+    for (let i = 1; i < radix; i++) {
       count[i] += count[i - 1];
-      yield {
-        array: [...arr],
-        swappedIndexes: [],
-        compareIndexes: [],
-        comparisons: stats.comparisons,
-        swaps: stats.swaps
-      };
     }
+    yield stepEvent('auxWrite', [...count.keys()], stats, {
+      aux: 'count',
+      values: [...count]
+    });
 
     // 배열의 요소들을 자릿수에 따라 정렬된 위치에 배치한다.
     for (let i = arr.length - 1; i >= 0; i--) {
-      let digit = Math.floor(arr[i] / exp) % 10;
-      output[--count[digit]] = arr[i];
-      yield {
-        array: [...arr],
-        swappedIndexes: [],
-        compareIndexes: [i],
-        comparisons: stats.comparisons,
-        swaps: stats.swaps
-      };
+      let digit = Math.floor(arr[i] / exp) % radix;
+      const position = --count[digit];
+      output[position] = arr[i];
+      yield stepEvent('auxWrite', [digit], stats, {
+        aux: 'count',
+        values: [count[digit]]
+      });
+      yield stepEvent('auxWrite', [position], stats, {
+        aux: 'output',
+        values: [arr[i]]
+      });
     }
+    yield stepEvent('auxAlloc', [], stats, { aux: 'count', size: 0 });
 
     // 정렬된 결과를 원래 배열에 복사한다.
     for (let i = 0; i < arr.length; i++) {
       arr[i] = output[i];
-      stats.swaps++;
+      stats.writes++;
 
       // 배열의 상태를 외부로 전달하기 위해 yield한다.
-      if (yieldCompare) {
-        yield {
-          array: [...arr],
-          swappedIndexes: [i],
-          compareIndexes: [],
-          comparisons: stats.comparisons,
-          swaps: stats.swaps
-        };
-      }
+      yield stepEvent('write', [i], stats, { values: [output[i]] });
     }
+    yield stepEvent('auxAlloc', [], stats, { aux: 'output', size: 0 });
 
     // 다음 자릿수로 이동한다.
-    exp *= 10;
+    exp *= radix;
   }
 
   // 최종적으로 정렬된 배열을 반환한다.
-  if (yieldCompare) {
-    yield {
-      array: [...arr],
-      comparisons: stats.comparisons,
-      swaps: stats.swaps
-    };
+  return arr;
+}
+
+/**
+ * MSD 기수 정렬(MSD Radix Sort, 아메리칸 플래그 정렬)
+ *
+ * 가장 높은 자릿수부터 요소를 버킷으로 나누고, 각 버킷을 다음 자릿수로 다시 나누는
+ * 비교 기반이 아닌 정렬 알고리즘이다. 아메리칸 플래그 정렬(American Flag Sort)은
+ * output 배열 없이 요소를 교환해서 제자리에서 버킷으로 나누는 방식이며, 안정 정렬은 아니다.
+ *
+ * == 아메리칸 플래그 정렬의 작동 방식 ==
+ * 1. 구간의 요소를 읽으며 현재 자릿수의 값(버킷)마다 개수를 센다.
+ * 2. 개수의 누적 합으로 각 버킷이 채워질 다음 위치(next)를 정한다.
+ * 3. 버킷마다 next 위치의 요소를 읽어, 다른 버킷의 요소면 그 버킷의 next 위치와 교환하고,
+ *    자기 버킷의 요소면 next를 한 칸 옮긴다. 모든 버킷이 찰 때까지 반복한다.
+ * 4. 요소가 두 개 이상인 버킷을 다음 자릿수로 1-3 단계를 반복한다.
+ *
+ * @param {number[]} arr - 정렬할 배열
+ * @param {boolean} yieldCompare - 비교 이벤트 반환 여부
+ * @param {Object} options - 정렬 옵션
+ * @param {number} options.base - 진법 (2 이상, 기본값: 10)
+ */
+function* msdRadixSort(arr, yieldCompare = true, { base = 10 } = {}) {
+  const radix = Math.max(2, Math.floor(base));
+  const n = arr.length;
+  let stats = { comparisons: 0, swaps: 0, writes: 0 };
+
+  // 가장 높은 자릿수의 자릿값 (radix의 거듭제곱)
+  const maxNum = Math.max(0, findValueRange(arr).max);
+  let highest = 1;
+  while (Math.floor(maxNum / highest) >= radix) highest *= radix;
+
+  // i의 요소를 읽고, 현재 자릿수의 값(들어갈 버킷)을 반환
+  function* readDigit(i, exp) {
+    const digit = Math.floor(arr[i] / exp) % radix;
+    if (yieldCompare) {
+      yield stepEvent('read', [i], stats, { bucket: digit, buckets: radix });
+    }
+    return digit;
+  }
+
+  function* sortRange(lo, hi, exp) {
+    // 버킷마다 요소 수를 센다
+    const count = new Array(radix).fill(0);
+    yield stepEvent('auxAlloc', [], stats, { aux: 'count', size: radix });
+    for (let i = lo; i < hi; i++) {
+      const digit = yield* readDigit(i, exp);
+      count[digit]++;
+      yield stepEvent('auxWrite', [digit], stats, {
+        aux: 'count',
+        values: [count[digit]]
+      });
+    }
+    yield stepEvent('auxAlloc', [], stats, { aux: 'count', size: 0 });
+
+    // 버킷 b는 [start[b], end[b]) 구간을 차지하고, next[b]까지 채워져 있다
+    const start = [];
+    const end = [];
+    let position = lo;
+    for (let b = 0; b < radix; b++) {
+      start.push(position);
+      position += count[b];
+      end.push(position);
+    }
+    const next = [...start];
+    yield stepEvent('auxAlloc', [], stats, { aux: 'next', size: radix });
+    yield stepEvent('auxWrite', [...next.keys()], stats, {
+      aux: 'next',
+      values: [...next]
+    });
+
+    // 버킷의 다음 칸에 있는 요소를 자기 버킷으로 보낸다
+    for (let b = 0; b < radix; b++) {
+      while (next[b] < end[b]) {
+        const digit = yield* readDigit(next[b], exp);
+        if (digit !== b) {
+          const [i, j] = [next[b], next[digit]];
+          [arr[i], arr[j]] = [arr[j], arr[i]];
+          stats.swaps++;
+          yield stepEvent('swap', [i, j], stats);
+        }
+        next[digit]++;
+        yield stepEvent('auxWrite', [digit], stats, {
+          aux: 'next',
+          values: [next[digit]]
+        });
+      }
+    }
+    yield stepEvent('auxAlloc', [], stats, { aux: 'next', size: 0 });
+
+    // 다음 자릿수로 각 버킷을 정렬한다
+    if (exp === 1) return;
+    for (let b = 0; b < radix; b++) {
+      if (end[b] - start[b] > 1) {
+        yield* sortRange(start[b], end[b], exp / radix);
+      }
+    }
+  }
+
+  if (n > 1) yield* sortRange(0, n, highest);
+  return arr;
+}
+
+/**
+ * 계수 정렬(Counting Sort)
+ *
+ * 값마다 개수를 센 뒤, 작은 값부터 개수만큼 배열에 다시 쓰는 비교 기반이 아닌 정렬 알고리즘이다.
+ * 값의 범위가 k일 때 O(n + k)에 정렬하지만, 범위만큼의 count 배열이 필요하다.
+ *
+ * == 계수 정렬의 작동 방식 ==
+ * 1. 최솟값과 최댓값으로 값의 범위만큼 count 배열을 만든다.
+ * 2. 배열을 읽으며 값마다 개수를 센다. (값 하나가 버킷 하나)
+ * 3. 가장 작은 값부터 개수만큼 배열의 앞에서부터 쓴다.
+ */
+function* countingSort(arr, yieldCompare = true) {
+  const n = arr.length;
+  let stats = { comparisons: 0, swaps: 0, writes: 0 };
+  if (n === 0) return arr;
+
+  const { min, max } = findValueRange(arr);
+  const range = max - min + 1;
+  const count = new Array(range).fill(0);
+  yield stepEvent('auxAlloc', [], stats, { aux: 'count', size: range });
+
+  // 값마다 개수를 센다
+  for (let i = 0; i < n; i++) {
+    const bucket = arr[i] - min;
+    if (yieldCompare) {
+      yield stepEvent('read', [i], stats, { bucket, buckets: range });
+    }
+    count[bucket]++;
+    yield stepEvent('auxWrite', [bucket], stats, {
+      aux: 'count',
+      values: [count[bucket]]
+    });
+  }
+
+  // 작은 값부터 개수만큼 쓴다
+  let position = 0;
+  for (let bucket = 0; bucket < range; bucket++) {
+    while (count[bucket] > 0) {
+      count[bucket]--;
+      yield stepEvent('auxWrite', [bucket], stats, {
+        aux: 'count',
+        values: [count[bucket]]
+      });
+
+      arr[position] = bucket + min;
+      stats.writes++;
+      yield stepEvent('write', [position], stats, { values: [arr[position]] });
+      position++;
+    }
   }
+  yield stepEvent('auxAlloc', [], stats, { aux: 'count', size: 0 });
 
   return arr;
 }
 
+/**
+ * 비둘기집 정렬(Pigeonhole Sort)
+ *
+ * 값의 범위만큼 구멍(pigeonhole)을 만들고, 각 요소를 자기 값의 구멍에 넣었다가
+ * 구멍 순서대로 꺼내는 비교 기반이 아닌 정렬 알고리즘이다.
+ * 계수 정렬과 비슷하지만 개수 대신 요소 자체를 구멍에 옮긴다. (O(n + k))
+ *
+ * == 비둘기집 정렬의 작동 방식 ==
+ * 1. 최솟값과 최댓값으로 값의 범위만큼 구멍을 만든다.
+ * 2. 배열을 읽으며 각 요소를 자기 값의 구멍에 넣는다.
+ * 3. 첫 구멍부터 차례로 요소를 꺼내 배열의 앞에서부터 쓴다.
+ *
+ * - 보조 구조 패널의 holes는 구멍마다 들어 있는 값을 보여준다.
+ */
+function* pigeonholeSort(arr, yieldCompare = true) {
+  const n = arr.length;
+  let stats = { comparisons: 0, swaps: 0, writes: 0 };
+  if (n === 0) return arr;
+
+  const { min, max } = findValueRange(arr);
+  const range = max - min + 1;
+  const holes = Array.from({ length: range }, () => []);
+  yield stepEvent('auxAlloc', [], stats, { aux: 'holes', size: range });
+
+  // 각 요소를 자기 값의 구멍에 넣는다
+  for (let i = 0; i < n; i++) {
+    const hole = arr[i] - min;
+    if (yieldCompare) {
+      yield stepEvent('read', [i], stats, { bucket: hole, buckets: range });
+    }
+    holes[hole].push(arr[i]);
+    yield stepEvent('auxWrite', [hole], stats, {
+      aux: 'holes',
+      values: [arr[i]]
+    });
+  }
+
+  // 구멍 순서대로 꺼낸다
+  let position = 0;
+  for (const hole of holes) {
+    for (const value of hole) {
+      arr[position] = value;
+      stats.writes++;
+      yield stepEvent('write', [position], stats, { values: [value] });
+      position++;
+    }
+  }
+  yield stepEvent('auxAlloc', [], stats, { aux: 'holes', size: 0 });
+
+  return arr;
+}
+
+/**
+ * 버킷 정렬(Bucket Sort)
+ *
+ * 값의 범위를 같은 너비의 구간(버킷) 여러 개로 나누어 요소를 나눠 담고, 버킷을 순서대로
+ * 이어 붙인 뒤 각 버킷을 삽입 정렬로 정렬하는 알고리즘이다.
+ * 값이 고르게 퍼져 있으면 평균 O(n + k)이고, 한 버킷에 몰리면 O(n^2)이다.
+ *
+ * == 버킷 정렬의 작동 방식 ==
+ * 1. 값의 범위 [min, max]를 bucketCount개의 구간으로 나누고, 배열을 읽으며 버킷마다 요소 수를 센다.
+ * 2. 센 크기로 버킷을 만들고, 배열을 다시 읽으며 각 요소를 자기 버킷에 넣는다.
+ * 3. 버킷을 순서대로 배열에 다시 쓴다.
+ * 4. 버킷이 차지한 구간마다 삽입 정렬로 정렬한다. (insertion)
+ *
+ * @param {number[]} arr - 정렬할 배열
+ * @param {boolean} yieldCompare - 비교 이벤트 반환 여부
+ * @param {Object} options - 정렬 옵션
+ * @param {number} options.bucketCount - 버킷 수 (기본값: ceil(sqrt(n)), 보조 구조 패널에 한 줄씩 보이도록 최대 16)
+ */
+function* bucketSort(
+  arr,
+  yieldCompare = true,
+  { bucketCount = Math.min(16, Math.ceil(Math.sqrt(arr.length))) } = {}
+) {
+  const ops = createStagedOperations(arr, yieldCompare);
+  const n = arr.length;
+  const buckets = Math.max(1, Math.floor(bucketCount));
+  if (n === 0) return arr;
+
+  const { min, max } = findValueRange(arr);
+  const range = max - min + 1;
+
+  // i의 요소를 읽고, 들어갈 버킷 번호를 반환
+  function* readBucket(i) {
+    const bucket = Math.floor(((arr[i] - min) * buckets) / range);
+    yield* ops.read(i, { bucket, buckets });
+    return bucket;
+  }
+
+  // 버킷마다 요소 수를 센다
+  const count = new Array(buckets).fill(0);
+  yield* ops.auxAlloc('count', buckets);
+  for (let i = 0; i < n; i++) {
+    const bucket = yield* readBucket(i);
+    count[bucket]++;
+    yield* ops.auxWrite('count', bucket, [count[bucket]]);
+  }
+  yield* ops.auxAlloc('count', 0);
+
+  // 센 크기로 버킷을 만들고 요소를 나눠 담는다
+  const contents = count.map(() => []);
+  for (let bucket = 0; bucket < buckets; bucket++) {
+    if (count[bucket] > 0) {
+      yield* ops.auxAlloc(`bucket ${bucket}`, count[bucket]);
+    }
+  }
+  for (let i = 0; i < n; i++) {
+    const bucket = yield* readBucket(i);
+    contents[bucket].push(arr[i]);
+    yield* ops.auxWrite(`bucket ${bucket}`, contents[bucket].length - 1, [
+      arr[i]
+    ]);
+  }
+
+  // 버킷을 순서대로 배열에 쓰고 해제한다
+  let position = 0;
+  for (let bucket = 0; bucket < buckets; bucket++) {
+    if (contents[bucket].length === 0) continue;
+    yield* ops.write(position, contents[bucket]);
+    position += contents[bucket].length;
+    yield* ops.auxAlloc(`bucket ${bucket}`, 0);
+  }
+
+  // 버킷이 차지한 구간마다 삽입 정렬
+  ops.stage = 'insertion';
+  position = 0;
+  for (const content of contents) {
+    yield* insertionSortRange(ops, arr, position, position + content.length);
+    position += content.length;
+  }
+
+  return arr;
+}
+
+/**
+ * 셰어 정렬(Shear Sort)
+ *
+ * 셰어 정렬은 2차원 격자(rows × cols) 위에서 동작하는 병렬 정렬 알고리즘으로,
+ * 행 정렬과 열 정렬을 번갈아 수행하여 격자를 뱀 모양(snake) 순서로 정렬한다.
+ * 행과 열은 각각 홀짝 정렬(odd-even transposition)로 정렬하며,
+ * 행 정렬을 ceil(log2 rows) + 1번 수행하므로 O(n log n)보다 조금 느리다.
+ *
+ * == 셰어 정렬의 작동 방식 ==
+ * 1. 모든 행을 정렬한다. (짝수 행은 왼쪽→오른쪽, 홀수 행은 오른쪽→왼쪽으로 커지게)
+ * 2. 모든 열을 위→아래로 커지게 정렬한다.
+ * 3. 1-2 단계를 ceil(log2 rows)번 반복한 뒤, 마지막으로 행을 한 번 더 정렬한다.
+ *
+ * - 배열의 인덱스는 뱀 모양 순서의 위치이다. (인덱스 r * cols + k는 r행의 k번째 칸이며,
+ *   홀수 행은 오른쪽부터 센다) 따라서 격자가 정렬되면 배열도 오름차순이 되며,
+ *   snake 배치로 그리면 실제 격자에서의 행/열 비교를 볼 수 있다.
+ * - 마지막 행이 덜 찬 경우, 빈 칸은 가장 큰 값이 있는 것으로 보고 비교하지 않는다.
+ *
+ * @param {number[]} arr - 정렬할 배열
+ * @param {boolean} yieldCompare - 비교 이벤트 반환 여부
+ * @param {Object} options - 정렬 옵션
+ * @param {number} options.cols - 격자의 열 수 (기본값: ceil(sqrt(n)))
+ */
+function* shearSort(
+  arr,
+  yieldCompare = true,
+  { cols = Math.ceil(Math.sqrt(arr.length)) } = {}
+) {
+  const n = arr.length;
+  const columnCount = Math.max(1, cols);
+  const rowCount = Math.ceil(n / columnCount);
+  let stats = { comparisons: 0, swaps: 0, writes: 0 };
+
+  // row행 col열 칸의 배열 인덱스 (빈 칸이면 -1)
+  function indexAt(row, col) {
+    const index =
+      row * columnCount + (row % 2 === 0 ? col : columnCount - 1 - col);
+    return index < n ? index : -1;
+  }
+
+  // 두 요소를 비교하고, 앞쪽(i)이 더 크면 교환
+  function* compareAndSwap(i, j) {
+    stats.comparisons++;
+    if (yieldCompare) {
+      yield stepEvent('compare', [i, j], stats);
+    }
+
+    if (arr[i] > arr[j]) {
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+      stats.swaps++;
+
+      yield stepEvent('swap', [i, j], stats);
+    }
+  }
+
+  // 모든 행 정렬 (뱀 모양 순서에서는 모든 행이 인덱스 오름차순)
+  function* sortRows() {
+    for (let round = 0; round < columnCount; round++) {
+      for (let row = 0; row < rowCount; row++) {
+        const end = Math.min(n, (row + 1) * columnCount);
+        for (let i = row * columnCount + (round % 2); i + 1 < end; i += 2) {
+          yield* compareAndSwap(i, i + 1);
+        }
+      }
+    }
+  }
+
+  // 모든 열 정렬 (위 → 아래로 커지게)
+  function* sortColumns() {
+    for (let round = 0; round < rowCount; round++) {
+      for (let col = 0; col < columnCount; col++) {
+        for (let row = round % 2; row + 1 < rowCount; row += 2) {
+          const upper = indexAt(row, col);
+          const lower = indexAt(row + 1, col);
+          if (upper !== -1 && lower !== -1) {
+            yield* compareAndSwap(upper, lower);
+          }
+        }
+      }
+    }
+  }
+
+  const phases = Math.ceil(Math.log2(Math.max(1, rowCount)));
+  for (let phase = 0; phase < phases; phase++) {
+    yield* sortRows();
+    yield* sortColumns();
+  }
+  yield* sortRows();
+
+  return arr;
+}
+
+/**
+ * 📌 하이브리드 정렬(팀 정렬, 인트로 정렬, 패턴 파괴 퀵 정렬)의 공통 연산
+ * - 비교, 교환, 쓰기를 하면서 단계 이벤트를 반환하는 제너레이터들을 만든다.
+ * - ops.stage에 지금 단계(sortStages 참고)를 넣으면 이후의 모든 이벤트에 stage로 붙는다.
+ *
+ * @param {number[]} arr - 정렬할 배열
+ * @param {boolean} yieldCompare - 비교 이벤트 반환 여부
+ * @returns {Object} 연산 모음 (stats, stage, less, lessAt, read, swap, write, pivot, auxAlloc, auxWrite)
+ */
+function createStagedOperations(arr, yieldCompare) {
+  const stats = { comparisons: 0, swaps: 0, writes: 0 };
+  const event = (kind, indexes, fields = {}) =>
+    stepEvent(
+      kind,
+      indexes,
+      stats,
+      ops.stage ? { ...fields, stage: ops.stage } : fields
+    );
+
+  const ops = {
+    stats,
+    stage: null,
+
+    // a < b 비교 (indexes: 강조할 배열 위치, 값이 보조 배열에만 있으면 빠진다)
+    *less(a, b, indexes) {
+      stats.comparisons++;
+      if (yieldCompare && indexes.length > 0) {
+        yield event('compare', indexes);
+      }
+      return a < b;
+    },
+
+    // arr[i] < arr[j] 비교
+    *lessAt(i, j) {
+      return yield* ops.less(arr[i], arr[j], [i, j]);
+    },
+
+    // arr[i]를 읽는다 (fields: 분배 정렬의 bucket, buckets 등)
+    *read(i, fields) {
+      if (yieldCompare) {
+        yield event('read', [i], fields);
+      }
+    },
+
+    *swap(i, j) {
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+      stats.swaps++;
+      yield event('swap', [i, j]);
+    },
+
+    // start부터 values를 차례로 쓴다 (값이 바뀐 칸만 write 이벤트 하나로 알린다)
+    *write(start, values) {
+      const indexes = [];
+      values.forEach((value, k) => {
+        if (arr[start + k] !== value) {
+          arr[start + k] = value;
+          indexes.push(start + k);
+        }
+      });
+      if (indexes.length === 0) return;
+
+      stats.writes += indexes.length;
+      yield event('write', indexes, { values: indexes.map((k) => arr[k]) });
+    },
+
+    *pivot(i) {
+      yield event('pivot', [i]);
+    },
+
+    *auxAlloc(aux, size) {
+      yield event('auxAlloc', [], { aux, size });
+    },
+
+    *auxWrite(aux, start, values) {
+      yield event(
+        'auxWrite',
+        [...values.keys()].map((k) => start + k),
+        {
+          aux,
+          values
+        }
+      );
+    }
+  };
+  return ops;
+}
+
+// [lo, hi) 구간을 삽입 정렬 (삽입할 때마다 밀려난 구간을 write 이벤트 하나로 쓴다)
+function* insertionSortRange(ops, arr, lo, hi) {
+  for (let i = lo + 1; i < hi; i++) {
+    const key = arr[i];
+    let j = i;
+    while (j > lo && (yield* ops.less(key, arr[j - 1], [j - 1, i]))) j--;
+    yield* ops.write(j, [key, ...arr.slice(j, i)]);
+  }
+}
+
+// [lo, hi) 구간을 힙 정렬 (구간의 시작이 힙의 루트)
+function* heapSortRange(ops, arr, lo, hi) {
+  const n = hi - lo;
+
+  function* siftDown(root, size) {
+    for (;;) {
+      let child = 2 * root + 1;
+      if (child >= size) return;
+      if (child + 1 < size && (yield* ops.lessAt(lo + child, lo + child + 1))) {
+        child++;
+      }
+      if (!(yield* ops.lessAt(lo + root, lo + child))) return;
+      yield* ops.swap(lo + root, lo + child);
+      root = child;
+    }
+  }
+
+  for (let i = Math.floor(n / 2) - 1; i >= 0; i--) yield* siftDown(i, n);
+  for (let end = n - 1; end > 0; end--) {
+    yield* ops.swap(lo, lo + end);
+    yield* siftDown(0, end);
+  }
+}
+
+/**
+ * 팀 정렬(Tim Sort)
+ *
+ * 이미 정렬된 구간(런)을 찾아 병합하는 안정 정렬로, 파이썬과 V8(Array.prototype.sort)이 사용한다.
+ * 실제 데이터에 많은 부분 정렬을 활용하므로, 정렬된 입력은 O(n)에 끝나고 최악은 O(n log n)이다.
+ *
+ * == 팀 정렬의 작동 방식 ==
+ * 1. 앞에서부터 런을 찾는다. 엄격한 내림차순 런은 뒤집는다. (run)
+ * 2. 런이 minRun보다 짧으면 이진 삽입 정렬로 minRun까지 늘린다. (insertion)
+ * 3. 런을 스택에 쌓고, 스택의 런 길이가 피보나치 수열처럼 줄어들도록 인접한 런을 병합한다. (merge)
+ * 4. 병합 중 한쪽 런이 minGallop번 연속으로 이기면, 지수 탐색으로 한꺼번에 옮기는
+ *    갤로핑 모드로 바꾼다. (gallop)
+ * 5. 끝까지 읽으면 스택에 남은 런을 모두 병합한다.
+ *
+ * - 병합할 때는 두 런 중 짧은 쪽을 보조 배열 tmp에 복사한다.
+ */
+const timSort = (function () {
+  // 이보다 짧은 배열은 런 하나를 이진 삽입 정렬로 늘려서 끝낸다 (V8과 같은 값)
+  const MIN_MERGE = 64;
+  // 갤로핑 모드로 들어가는 연속 승리 횟수의 초깃값
+  const MIN_GALLOP = 7;
+
+  // n을 MIN_MERGE 미만이 될 때까지 반으로 나눈 값 (나머지가 있었으면 1을 더한다)
+  function minRunLength(n) {
+    let remainder = 0;
+    while (n >= MIN_MERGE) {
+      remainder |= n & 1;
+      n >>= 1;
+    }
+    return n + remainder;
+  }
+
+  return function* timSort(arr, yieldCompare = true) {
+    const ops = createStagedOperations(arr, yieldCompare);
+    const n = arr.length;
+    const runs = []; // 병합을 기다리는 런의 스택 ({ base, length })
+    let minGallop = MIN_GALLOP;
+
+    // lo부터 시작하는 런의 길이 (엄격한 내림차순이면 뒤집어서 오름차순으로 만든다)
+    function* countRun(lo) {
+      ops.stage = 'run';
+      let hi = lo + 1;
+      if (hi === n) return 1;
+
+      if (yield* ops.lessAt(hi, lo)) {
+        hi++;
+        while (hi < n && (yield* ops.lessAt(hi, hi - 1))) hi++;
+        for (let i = lo, j = hi - 1; i < j; i++, j--) yield* ops.swap(i, j);
+      } else {
+        hi++;
+        while (hi < n && !(yield* ops.lessAt(hi, hi - 1))) hi++;
+      }
+      return hi - lo;
+    }
+
+    // [lo, start)가 정렬된 상태에서 [start, hi)의 값을 이진 탐색한 자리에 차례로 넣는다
+    function* binaryInsertion(lo, hi, start) {
+      ops.stage = 'insertion';
+      for (let i = start; i < hi; i++) {
+        const key = arr[i];
+        let left = lo;
+        let right = i;
+        while (left < right) {
+          const mid = (left + right) >>> 1;
+          if (yield* ops.less(key, arr[mid], [mid, i])) right = mid;
+          else left = mid + 1;
+        }
+        yield* ops.write(left, [key, ...arr.slice(left, i)]);
+      }
+    }
+
+    /**
+     * 갤로핑: 정렬된 source[base, base + length)에서 key가 들어갈 위치를 찾는다.
+     * - hint부터 1, 3, 7, ...칸씩 건너뛰며 범위를 좁힌 뒤 이진 탐색한다.
+     * - right가 false면 같은 값들의 왼쪽, true면 오른쪽 위치를 base 기준으로 반환한다.
+     * - keyIndex는 key가 있는 배열 위치 (key가 보조 배열에 있으면 null)
+     */
+    function* gallop(key, keyIndex, source, base, length, hint, right) {
+      // source[position]이 key보다 앞에 와야 하는지
+      function* before(position) {
+        const indexes = [keyIndex, source === arr ? position : null].filter(
+          (index) => index !== null
+        );
+        return right
+          ? !(yield* ops.less(key, source[position], indexes))
+          : yield* ops.less(source[position], key, indexes);
+      }
+
+      let lastOffset = 0;
+      let offset = 1;
+      if (yield* before(base + hint)) {
+        const maxOffset = length - hint;
+        while (offset < maxOffset && (yield* before(base + hint + offset))) {
+          lastOffset = offset;
+          offset = offset * 2 + 1;
+        }
+        offset = Math.min(offset, maxOffset);
+        lastOffset += hint;
+        offset += hint;
+      } else {
+        const maxOffset = hint + 1;
+        while (offset < maxOffset && !(yield* before(base + hint - offset))) {
+          lastOffset = offset;
+          offset = offset * 2 + 1;
+        }
+        offset = Math.min(offset, maxOffset);
+        [lastOffset, offset] = [hint - offset, hint - lastOffset];
+      }
+
+      // source[base + lastOffset]는 key 앞, source[base + offset]은 key 뒤
+      lastOffset++;
+      while (lastOffset < offset) {
+        const mid = lastOffset + ((offset - lastOffset) >>> 1);
+        if (yield* before(base + mid)) lastOffset = mid + 1;
+        else offset = mid;
+      }
+      return offset;
+    }
+
+    // 앞쪽 런이 더 짧을 때: 앞쪽 런을 tmp에 복사하고 왼쪽부터 채운다
+    function* mergeLow(base1, length1, base2, length2) {
+      ops.stage = 'merge';
+      const tmp = arr.slice(base1, base1 + length1);
+      yield* ops.auxAlloc('tmp', length1);
+      yield* ops.auxWrite('tmp', 0, tmp);
+      let cursor1 = 0;
+      let cursor2 = base2;
+      let dest = base1;
+
+      // 뒤쪽 런의 첫 값은 앞쪽 런의 모든 값보다 작다 (mergeAt에서 잘라냈다)
+      yield* ops.write(dest++, [arr[cursor2++]]);
+      length2--;
+
+      outer: while (length2 > 0 && length1 > 1) {
+        let count1 = 0; // 앞쪽 런이 연속으로 이긴 횟수
+        let count2 = 0; // 뒤쪽 런이 연속으로 이긴 횟수
+        ops.stage = 'merge';
+        do {
+          if (yield* ops.less(arr[cursor2], tmp[cursor1], [cursor2])) {
+            yield* ops.write(dest++, [arr[cursor2++]]);
+            count2++;
+            count1 = 0;
+            if (--length2 === 0) break outer;
+          } else {
+            yield* ops.write(dest++, [tmp[cursor1++]]);
+            count1++;
+            count2 = 0;
+            if (--length1 === 1) break outer;
+          }
+        } while ((count1 | count2) < minGallop);
+
+        // 한쪽이 계속 이기므로, 이기는 쪽의 연속 구간을 갤로핑으로 찾아 한꺼번에 옮긴다
+        ops.stage = 'gallop';
+        do {
+          count1 = yield* gallop(
+            arr[cursor2],
+            cursor2,
+            tmp,
+            cursor1,
+            length1,
+            0,
+            true
+          );
+          if (count1 !== 0) {
+            yield* ops.write(dest, tmp.slice(cursor1, cursor1 + count1));
+            dest += count1;
+            cursor1 += count1;
+            length1 -= count1;
+            if (length1 <= 1) break outer;
+          }
+          yield* ops.write(dest++, [arr[cursor2++]]);
+          if (--length2 === 0) break outer;
+
+          count2 = yield* gallop(
+            tmp[cursor1],
+            null,
+            arr,
+            cursor2,
+            length2,
+            0,
+            false
+          );
+          if (count2 !== 0) {
+            yield* ops.write(dest, arr.slice(cursor2, cursor2 + count2));
+            dest += count2;
+            cursor2 += count2;
+            length2 -= count2;
+            if (length2 === 0) break outer;
+          }
+          yield* ops.write(dest++, [tmp[cursor1++]]);
+          if (--length1 === 1) break outer;
+          minGallop--;
+        } while (count1 >= MIN_GALLOP || count2 >= MIN_GALLOP);
+
+        // 갤로핑이 효과가 없었으므로 다시 들어가기 어렵게 한다
+        minGallop = Math.max(0, minGallop) + 2;
+      }
+      minGallop = Math.max(1, minGallop);
+
+      if (length1 === 1) {
+        // 앞쪽 런의 마지막 값은 뒤쪽 런의 남은 값보다 크다
+        yield* ops.write(dest, [
+          ...arr.slice(cursor2, cursor2 + length2),
+          tmp[cursor1]
+        ]);
+      } else {
+        yield* ops.write(dest, tmp.slice(cursor1, cursor1 + length1));
+      }
+      yield* ops.auxAlloc('tmp', 0);
+    }
+
+    // 뒤쪽 런이 더 짧을 때: 뒤쪽 런을 tmp에 복사하고 오른쪽부터 채운다
+    function* mergeHigh(base1, length1, base2, length2) {
+      ops.stage = 'merge';
+      const tmp = arr.slice(base2, base2 + length2);
+      yield* ops.auxAlloc('tmp', length2);
+      yield* ops.auxWrite('tmp', 0, tmp);
+      let cursor1 = base1 + length1 - 1;
+      let cursor2 = length2 - 1;
+      let dest = base2 + length2 - 1;
+
+      // 앞쪽 런의 마지막 값은 뒤쪽 런의 모든 값보다 크다 (mergeAt에서 잘라냈다)
+      yield* ops.write(dest--, [arr[cursor1--]]);
+      length1--;
+
+      outer: while (length1 > 0 && length2 > 1) {
+        let count1 = 0;
+        let count2 = 0;
+        ops.stage = 'merge';
+        do {
+          if (yield* ops.less(tmp[cursor2], arr[cursor1], [cursor1])) {
+            yield* ops.write(dest--, [arr[cursor1--]]);
+            count1++;
+            count2 = 0;
+            if (--length1 === 0) break outer;
+          } else {
+            yield* ops.write(dest--, [tmp[cursor2--]]);
+            count2++;
+            count1 = 0;
+            if (--length2 === 1) break outer;
+          }
+        } while ((count1 | count2) < minGallop);
+
+        ops.stage = 'gallop';
+        do {
+          count1 =
+            length1 -
+            (yield* gallop(
+              tmp[cursor2],
+              null,
+              arr,
+              base1,
+              length1,
+              length1 - 1,
+              true
+            ));
+          if (count1 !== 0) {
+            dest -= count1;
+            cursor1 -= count1;
+            length1 -= count1;
+            yield* ops.write(
+              dest + 1,
+              arr.slice(cursor1 + 1, cursor1 + 1 + count1)
+            );
+            if (length1 === 0) break outer;
+          }
+          yield* ops.write(dest--, [tmp[cursor2--]]);
+          if (--length2 === 1) break outer;
+
+          count2 =
+            length2 -
+            (yield* gallop(
+              arr[cursor1],
+              cursor1,
+              tmp,
+              0,
+              length2,
+              length2 - 1,
+              false
+            ));
+          if (count2 !== 0) {
+            dest -= count2;
+            cursor2 -= count2;
+            length2 -= count2;
+            yield* ops.write(
+              dest + 1,
+              tmp.slice(cursor2 + 1, cursor2 + 1 + count2)
+            );
+            if (length2 <= 1) break outer;
+          }
+          yield* ops.write(dest--, [arr[cursor1--]]);
+          if (--length1 === 0) break outer;
+          minGallop--;
+        } while (count1 >= MIN_GALLOP || count2 >= MIN_GALLOP);
+
+        minGallop = Math.max(0, minGallop) + 2;
+      }
+      minGallop = Math.max(1, minGallop);
+
+      if (length2 === 1) {
+        // 뒤쪽 런의 첫 값은 앞쪽 런의 남은 값보다 작다
+        yield* ops.write(dest - length1, [
+          tmp[cursor2],
+          ...arr.slice(cursor1 - length1 + 1, cursor1 + 1)
+        ]);
+      } else {
+        yield* ops.write(dest - length2 + 1, tmp.slice(0, length2));
+      }
+      yield* ops.auxAlloc('tmp', 0);
+    }
+
+    // 스택의 i번째와 i + 1번째 런을 병합
+    function* mergeAt(i) {
+      let { base: base1, length: length1 } = runs[i];
+      let { base: base2, length: length2 } = runs[i + 1];
+      runs.splice(i, 2, { base: base1, length: length1 + length2 });
+
+      // 앞쪽 런에서 뒤쪽 런의 첫 값보다 작거나 같은 앞부분과,
+      // 뒤쪽 런에서 앞쪽 런의 마지막 값보다 크거나 같은 뒷부분은 이미 제자리에 있다
+      ops.stage = 'gallop';
+      const skipped = yield* gallop(
+        arr[base2],
+        base2,
+        arr,
+        base1,
+        length1,
+        0,
+        true
+      );
+      base1 += skipped;
+      length1 -= skipped;
+      if (length1 === 0) return;
+
+      const last1 = base1 + length1 - 1;
+      length2 = yield* gallop(
+        arr[last1],
+        last1,
+        arr,
+        base2,
+        length2,
+        length2 - 1,
+        false
+      );
+      if (length2 === 0) return;
+
+      if (length1 <= length2) yield* mergeLow(base1, length1, base2, length2);
+      else yield* mergeHigh(base1, length1, base2, length2);
+    }
+
+    // 스택의 런 길이가 A > B + C, B > C를 만족할 때까지 병합
+    function* mergeCollapse() {
+      while (runs.length > 1) {
+        let k = runs.length - 2;
+        const length = (i) => runs[i].length;
+        if (
+          (k > 0 && length(k - 1) <= length(k) + length(k + 1)) ||
+          (k > 1 && length(k - 2) <= length(k - 1) + length(k))
+        ) {
+          if (length(k - 1) < length(k + 1)) k--;
+        } else if (length(k) > length(k + 1)) {
+          break;
+        }
+        yield* mergeAt(k);
+      }
+    }
+
+    if (n < 2) return arr;
+
+    const minRun = minRunLength(n);
+    for (let lo = 0; lo < n; ) {
+      let length = yield* countRun(lo);
+      if (length < minRun) {
+        const forced = Math.min(minRun, n - lo);
+        yield* binaryInsertion(lo, lo + forced, lo + length);
+        length = forced;
+      }
+      runs.push({ base: lo, length });
+      yield* mergeCollapse();
+      lo += length;
+    }
+
+    // 남은 런을 모두 병합
+    while (runs.length > 1) {
+      let k = runs.length - 2;
+      if (k > 0 && runs[k - 1].length < runs[k + 1].length) k--;
+      yield* mergeAt(k);
+    }
+    return arr;
+  };
+})();
+
+/**
+ * 인트로 정렬(Intro Sort)
+ *
+ * 퀵 정렬로 시작하되, 재귀 깊이가 한계를 넘으면 힙 정렬로 바꿔서 최악의 경우에도
+ * O(n log n)을 보장하는 정렬이다. C++ 표준 라이브러리(libstdc++)의 std::sort가 사용한다.
+ *
+ * == 인트로 정렬의 작동 방식 ==
+ * 1. 구간이 16개보다 길면, 세 값의 중앙값을 피벗으로 구간을 나눈다. (partition)
+ * 2. 오른쪽 구간은 재귀로, 왼쪽 구간은 반복으로 1단계를 계속한다.
+ * 3. 깊이 한계(2 * floor(log2 n))에 닿은 구간은 힙 정렬로 정렬한다. (heap)
+ * 4. 마지막에 16개 이하씩 흩어진 작은 구간들을 배열 전체의 삽입 정렬로 마무리한다. (insertion)
+ *
+ * @param {number[]} arr - 정렬할 배열
+ * @param {boolean} yieldCompare - 비교 이벤트 반환 여부
+ * @param {Object} options - 정렬 옵션
+ * @param {number} options.maxDepth - 힙 정렬로 바꾸기 전까지의 분할 깊이 (기본값: 2 * floor(log2 n))
+ */
+const introSort = (function () {
+  // 이 크기 이하의 구간은 나누지 않고 마지막 삽입 정렬에 맡긴다
+  const INSERTION_THRESHOLD = 16;
+
+  return function* introSort(
+    arr,
+    yieldCompare = true,
+    { maxDepth = 2 * Math.floor(Math.log2(Math.max(1, arr.length))) } = {}
+  ) {
+    const ops = createStagedOperations(arr, yieldCompare);
+    const n = arr.length;
+
+    // a, b, c 위치 값의 중앙값을 lo로 옮긴다
+    function* moveMedianToFirst(lo, a, b, c) {
+      let median;
+      if (yield* ops.lessAt(a, b)) {
+        if (yield* ops.lessAt(b, c)) median = b;
+        else if (yield* ops.lessAt(a, c)) median = c;
+        else median = a;
+      } else if (yield* ops.lessAt(a, c)) median = a;
+      else if (yield* ops.lessAt(b, c)) median = c;
+      else median = b;
+      yield* ops.swap(lo, median);
+    }
+
+    // lo의 피벗으로 [lo + 1, hi)를 나누고, 피벗보다 크거나 같은 쪽의 시작 위치를 반환
+    function* partition(lo, hi) {
+      ops.stage = 'partition';
+      yield* moveMedianToFirst(lo, lo + 1, lo + ((hi - lo) >> 1), hi - 1);
+      yield* ops.pivot(lo);
+
+      // 후보 중 피벗보다 크거나 같은 값이 양쪽 끝의 보초가 되므로 범위 검사가 필요 없다
+      let i = lo + 1;
+      let j = hi;
+      for (;;) {
+        while (yield* ops.lessAt(i, lo)) i++;
+        j--;
+        while (yield* ops.lessAt(lo, j)) j--;
+        if (i >= j) return i;
+        yield* ops.swap(i, j);
+        i++;
+      }
+    }
+
+    function* introSortLoop(lo, hi, depth) {
+      while (hi - lo > INSERTION_THRESHOLD) {
+        if (depth === 0) {
+          ops.stage = 'heap';
+          yield* heapSortRange(ops, arr, lo, hi);
+          return;
+        }
+        depth--;
+        const cut = yield* partition(lo, hi);
+        yield* introSortLoop(cut, hi, depth);
+        hi = cut;
+      }
+    }
+
+    if (n < 2) return arr;
+    yield* introSortLoop(0, n, maxDepth);
+
+    ops.stage = 'insertion';
+    yield* insertionSortRange(ops, arr, 0, n);
+    return arr;
+  };
+})();
+
+/**
+ * 패턴 파괴 퀵 정렬(Pattern-defeating Quicksort, pdqsort)
+ *
+ * 퀵 정렬에 삽입 정렬, 힙 정렬과 패턴 대응을 더한 정렬로, Rust의 sort_unstable이 사용한다.
+ * 무작위 입력은 퀵 정렬만큼 빠르고, 정렬되거나 역순인 입력은 O(n)에 가깝게 끝나며,
+ * 최악의 경우에도 O(n log n)이다.
+ *
+ * == 패턴 파괴 퀵 정렬의 작동 방식 ==
+ * 1. 20개 이하의 구간은 삽입 정렬로 정렬한다. (insertion)
+ * 2. 세 값(긴 구간은 아홉 값)의 중앙값을 피벗으로 고른다. 후보를 많이 바꿔야 했다면
+ *    역순일 가능성이 높으므로 구간을 뒤집는다.
+ * 3. 직전 분할이 고르고 후보가 이미 정렬되어 있었다면, 거의 정렬된 구간으로 보고
+ *    몇 개만 옮기는 삽입 정렬을 시도한다. 성공하면 끝낸다. (insertion)
+ * 4. 피벗으로 구간을 나눈다. 피벗이 바로 앞 구간의 피벗과 같으면, 피벗과 같은 값을
+ *    모두 왼쪽에 모으고 다시 나누지 않는다. (partition)
+ * 5. 분할이 한쪽으로 치우쳤으면 몇 개의 값을 무작위로 바꿔 패턴을 깨고, (pattern)
+ *    치우친 분할이 log2 n번을 넘으면 힙 정렬로 바꾼다. (heap)
+ * 6. 짧은 쪽은 재귀로, 긴 쪽은 반복으로 1단계부터 계속한다.
+ */
+const pdqSort = (function () {
+  // 이 크기 이하의 구간은 삽입 정렬로 정렬한다
+  const MAX_INSERTION = 20;
+  // 이 크기 이상의 구간은 아홉 값의 중앙값(ninther)을 피벗으로 쓴다
+  const SHORTEST_MEDIAN_OF_MEDIANS = 50;
+  // 피벗 후보를 이만큼 바꿔야 했다면 역순으로 보고 뒤집는다
+  const MAX_SWAPS = 4 * 3;
+  // 거의 정렬된 구간에서 옮겨 볼 값의 최대 개수
+  const MAX_STEPS = 5;
+  // 이보다 짧은 구간은 옮겨 보지 않는다
+  const SHORTEST_SHIFTING = 50;
+
+  return function* pdqSort(arr, yieldCompare = true) {
+    const ops = createStagedOperations(arr, yieldCompare);
+    const n = arr.length;
+
+    // 위치 두 개를 값 순서로 정렬해서 반환 (후보를 바꾼 횟수를 센다)
+    let candidateSwaps = 0;
+    function* sort2(a, b) {
+      if (yield* ops.lessAt(b, a)) {
+        candidateSwaps++;
+        return [b, a];
+      }
+      return [a, b];
+    }
+
+    // 위치 세 개 중 중앙값의 위치
+    function* median3(a, b, c) {
+      [a, b] = yield* sort2(a, b);
+      [b, c] = yield* sort2(b, c);
+      [a, b] = yield* sort2(a, b);
+      return b;
+    }
+
+    // 피벗 위치와, 구간이 이미 정렬되어 있을 가능성을 반환
+    function* choosePivot(lo, hi) {
+      ops.stage = 'partition';
+      const length = hi - lo;
+      const quarter = Math.floor(length / 4);
+      let a = lo + quarter;
+      let b = lo + quarter * 2;
+      let c = lo + quarter * 3;
+
+      candidateSwaps = 0;
+      if (length >= 8) {
+        if (length >= SHORTEST_MEDIAN_OF_MEDIANS) {
+          a = yield* median3(a - 1, a, a + 1);
+          b = yield* median3(b - 1, b, b + 1);
+          c = yield* median3(c - 1, c, c + 1);
+        }
+        b = yield* median3(a, b, c);
+      }
+
+      if (candidateSwaps < MAX_SWAPS) {
+        return { pivot: b, likelySorted: candidateSwaps === 0 };
+      }
+      for (let i = lo, j = hi - 1; i < j; i++, j--) yield* ops.swap(i, j);
+      return { pivot: lo + hi - 1 - b, likelySorted: true };
+    }
+
+    // end - 1의 값을 정렬된 [lo, end - 1)의 제자리로 옮긴다
+    function* shiftTail(lo, end) {
+      const key = arr[end - 1];
+      let j = end - 1;
+      while (j > lo && (yield* ops.less(key, arr[j - 1], [j - 1, end - 1]))) {
+        j--;
+      }
+      yield* ops.write(j, [key, ...arr.slice(j, end - 1)]);
+    }
+
+    // start의 값을 정렬된 (start, hi)의 제자리로 옮긴다
+    function* shiftHead(start, hi) {
+      const key = arr[start];
+      let j = start;
+      while (j + 1 < hi && (yield* ops.less(arr[j + 1], key, [j + 1, start]))) {
+        j++;
+      }
+      yield* ops.write(start, [...arr.slice(start + 1, j + 1), key]);
+    }
+
+    // 순서가 어긋난 값을 최대 MAX_STEPS개까지 옮겨 보고, 구간이 정렬되었는지 반환
+    function* partialInsertionSort(lo, hi) {
+      ops.stage = 'insertion';
+      let i = lo + 1;
+      for (let step = 0; step < MAX_STEPS; step++) {
+        while (i < hi && !(yield* ops.lessAt(i, i - 1))) i++;
+        if (i === hi) return true;
+        if (hi - lo < SHORTEST_SHIFTING) return false;
+
+        yield* ops.swap(i - 1, i);
+        yield* shiftTail(lo, i);
+        yield* shiftHead(i, hi);
+      }
+      return false;
+    }
+
+    // 가운데 근처의 세 값을 무작위 위치의 값과 바꾼다
+    function* breakPatterns(lo, hi) {
+      ops.stage = 'pattern';
+      const length = hi - lo;
+      const middle = lo + Math.floor(length / 4) * 2;
+      for (let k = 0; k < 3; k++) {
+        const other = lo + Math.floor(random() * length);
+        if (other !== middle - 1 + k) yield* ops.swap(middle - 1 + k, other);
+      }
+    }
+
+    // 피벗보다 작은 값을 왼쪽으로 모으고 피벗을 그 사이에 놓는다 (피벗 위치와, 이미 나뉘어 있었는지 반환)
+    function* partition(lo, hi, pivot) {
+      ops.stage = 'partition';
+      if (pivot !== lo) yield* ops.swap(lo, pivot);
+      yield* ops.pivot(lo);
+
+      let i = lo + 1;
+      let j = hi;
+      while (i < j && (yield* ops.lessAt(i, lo))) i++;
+      while (i < j && !(yield* ops.lessAt(j - 1, lo))) j--;
+      const wasPartitioned = i >= j;
+
+      // arr[i]는 피벗보다 크거나 같고 arr[j - 1]은 피벗보다 작다
+      while (i < j) {
+        yield* ops.swap(i++, --j);
+        while (i < j && (yield* ops.lessAt(i, lo))) i++;
+        while (i < j && !(yield* ops.lessAt(j - 1, lo))) j--;
+      }
+
+      const mid = i - 1;
+      if (mid !== lo) yield* ops.swap(lo, mid);
+      return { mid, wasPartitioned };
+    }
+
+    // 피벗과 같은 값을 왼쪽으로 모으고, 피벗보다 큰 쪽의 시작 위치를 반환
+    function* partitionEqual(lo, hi, pivot) {
+      ops.stage = 'partition';
+      if (pivot !== lo) yield* ops.swap(lo, pivot);
+      yield* ops.pivot(lo);
+
+      let i = lo + 1;
+      let j = hi;
+      for (;;) {
+        while (i < j && !(yield* ops.lessAt(lo, i))) i++;
+        while (i < j && (yield* ops.lessAt(lo, j - 1))) j--;
+        if (i >= j) return i;
+        yield* ops.swap(i++, --j);
+      }
+    }
+
+    // predecessor: 구간 바로 앞에 있는 이전 피벗의 위치 (구간의 모든 값보다 작거나 같다)
+    function* recurse(lo, hi, predecessor, limit) {
+      let wasBalanced = true;
+      let wasPartitioned = true;
+
+      for (;;) {
+        const length = hi - lo;
+        if (length <= MAX_INSERTION) {
+          ops.stage = 'insertion';
+          yield* insertionSortRange(ops, arr, lo, hi);
+          return;
+        }
+        if (limit === 0) {
+          ops.stage = 'heap';
+          yield* heapSortRange(ops, arr, lo, hi);
+          return;
+        }
+
+        if (!wasBalanced) {
+          yield* breakPatterns(lo, hi);
+          limit--;
+        }
+
+        const { pivot, likelySorted } = yield* choosePivot(lo, hi);
+        if (wasBalanced && wasPartitioned && likelySorted) {
+          if (yield* partialInsertionSort(lo, hi)) return;
+        }
+
+        if (predecessor !== null && !(yield* ops.lessAt(predecessor, pivot))) {
+          lo = yield* partitionEqual(lo, hi, pivot);
+          continue;
+        }
+
+        const partitioned = yield* partition(lo, hi, pivot);
+        const { mid } = partitioned;
+        wasBalanced = Math.min(mid - lo, hi - mid) >= Math.floor(length / 8);
+        wasPartitioned = partitioned.wasPartitioned;
+
+        if (mid - lo < hi - mid - 1) {
+          yield* recurse(lo, mid, predecessor, limit);
+          predecessor = mid;
+          lo = mid + 1;
+        } else {
+          yield* recurse(mid + 1, hi, mid, limit);
+          hi = mid;
+        }
+      }
+    }
+
+    if (n < 2) return arr;
+    yield* recurse(0, n, null, 32 - Math.clz32(n));
+    return arr;
+  };
+})();
+
 /**
  * 보고 정렬(Bogo Sort)
  *
@@ -1303,13 +3036,15 @@ function* lsdRadixSort(arr, yieldCompare = true) {
  * 3. 배열이 정렬될 때까지 1-2 단계를 반복한다.
  */
 function* bogoSort(arr, yieldCompare = true) {
-  let comparisons = 0;
-  let swaps = 0;
+  let stats = { comparisons: 0, swaps: 0, writes: 0 };
 
   // 배열이 정렬되었는지 확인하는 함수
-  function isSorted(arr) {
+  function* isSorted(arr) {
     for (let i = 1; i < arr.length; i++) {
-      comparisons++;
+      stats.comparisons++;
+      if (yieldCompare) {
+        yield stepEvent('compare', [i - 1, i], stats);
+      }
       if (arr[i - 1] > arr[i]) {
         return false;
       }
@@ -1318,32 +3053,357 @@ function* bogoSort(arr, yieldCompare = true) {
   }
 
   // 정렬될 때까지 반복
-  while (!isSorted(arr)) {
+  while (!(yield* isSorted(arr))) {
     // 배열을 무작위로 섞는다
     for (let i = arr.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [arr[i], arr[j]] = [arr[j], arr[i]];
-      swaps++;
-      yield {
-        array: [...arr],
-        swappedIndexes: [i, j],
-        compareIndexes: [],
-        comparisons: comparisons,
-        swaps: swaps
-      };
+      stats.swaps++;
+      yield stepEvent('swap', [i, j], stats);
     }
   }
 
   // 최종적으로 정렬된 배열을 반환한다
-  if (yieldCompare) {
-    yield {
-      array: [...arr],
-      swappedIndexes: [],
-      compareIndexes: [],
-      comparisons: comparisons,
-      swaps: swaps
-    };
+  return arr;
+}
+
+/**
+ * 📌 정렬 알고리즘 목록
+ * - 재생 목록(playlist)에서 id로 정렬 제너레이터를 찾을 때 사용한다.
+ * - isEfficient: 효율적인(O(n log n) 수준) 알고리즘 여부로, 재생 목록 항목의 기본 n과 interval을 정한다.
+ * - hasRadixBase: 진법(base) 옵션을 받는 기수 정렬 여부 (재생 목록 편집기에 진법 입력을 보여준다)
+ * - isNetwork: 비교와 교환 이벤트에 병렬 층(layer)을 붙이는 정렬 네트워크 여부
+ *   (재생 목록 편집기에 층 단위 프레임 선택을 보여준다)
+ */
+const sortAlgorithms = [
+  {
+    id: 'mergeSort',
+    generator: mergeSort,
+    name: '병합 정렬',
+    nameJPN: 'マージソート',
+    isEfficient: true
+  },
+  {
+    id: 'selectionSort',
+    generator: selectionSort,
+    name: '선택 정렬',
+    nameJPN: '選択ソート',
+    isEfficient: false
+  },
+  {
+    id: 'insertionSort',
+    generator: insertionSort,
+    name: '삽입 정렬',
+    nameJPN: '挿入ソート',
+    isEfficient: false
+  },
+  {
+    id: 'binaryInsertionSort',
+    generator: binaryInsertionSort,
+    name: '이진 삽입 정렬',
+    nameJPN: '二分挿入ソート',
+    isEfficient: false
+  },
+  {
+    id: 'quickSort',
+    generator: quickSort,
+    name: '퀵 정렬',
+    nameJPN: 'クイックソート',
+    isEfficient: true
+  },
+  {
+    id: 'bubbleSort',
+    generator: bubbleSort,
+    name: '버블 정렬',
+    nameJPN: 'バブルソート',
+    isEfficient: false
+  },
+  {
+    id: 'cocktailShakerSort',
+    generator: cocktailShakerSort,
+    name: '칵테일 쉐이커 정렬',
+    nameJPN: 'カクテルシェーカーソート',
+    isEfficient: false
+  },
+  {
+    id: 'gnomeSort',
+    generator: gnomeSort,
+    name: '놈 정렬',
+    nameJPN: 'ノームソート',
+    isEfficient: false
+  },
+  {
+    id: 'combSort',
+    generator: combSort,
+    name: '콤 정렬',
+    nameJPN: 'コムソート',
+    isEfficient: false
+  },
+  {
+    id: 'shellSort',
+    generator: shellSort,
+    name: '셸 정렬',
+    nameJPN: 'シェルソート',
+    isEfficient: false
+  },
+  {
+    id: 'heapSort',
+    generator: heapSort,
+    name: '힙 정렬',
+    nameJPN: 'ヒープソート',
+    isEfficient: true
+  },
+  {
+    id: 'oddEvenSort',
+    generator: oddEvenSort,
+    name: '홀짝 정렬',
+    nameJPN: '奇偶ソート',
+    isEfficient: false,
+    isNetwork: true
+  },
+  {
+    id: 'bitonicSort',
+    generator: bitonicSort,
+    name: '바이토닉 정렬',
+    nameJPN: 'バイトニックソート',
+    isEfficient: true,
+    isNetwork: true
+  },
+  {
+    id: 'oddEvenMergeSort',
+    generator: oddEvenMergeSort,
+    name: '배처 홀짝 병합 정렬',
+    nameJPN: 'バッチャー奇偶マージソート',
+    isEfficient: true,
+    isNetwork: true
+  },
+  {
+    id: 'pairwiseSort',
+    generator: pairwiseSort,
+    name: '쌍 정렬 네트워크',
+    nameJPN: 'ペアワイズソーティングネットワーク',
+    isEfficient: true,
+    isNetwork: true
+  },
+  {
+    id: 'cycleSort',
+    generator: cycleSort,
+    name: '사이클 정렬',
+    nameJPN: 'サイクルソート',
+    isEfficient: false
+  },
+  {
+    id: 'lsdRadixSort',
+    generator: lsdRadixSort,
+    name: 'LSD 기수 정렬',
+    nameJPN: 'LSD基数ソート',
+    isEfficient: false,
+    hasRadixBase: true
+  },
+  {
+    id: 'msdRadixSort',
+    generator: msdRadixSort,
+    name: 'MSD 기수 정렬(아메리칸 플래그)',
+    nameJPN: 'MSD基数ソート(アメリカンフラッグ)',
+    isEfficient: false,
+    hasRadixBase: true
+  },
+  {
+    id: 'countingSort',
+    generator: countingSort,
+    name: '계수 정렬',
+    nameJPN: '計数ソート',
+    isEfficient: false
+  },
+  {
+    id: 'pigeonholeSort',
+    generator: pigeonholeSort,
+    name: '비둘기집 정렬',
+    nameJPN: '鳩の巣ソート',
+    isEfficient: false
+  },
+  {
+    id: 'bucketSort',
+    generator: bucketSort,
+    name: '버킷 정렬',
+    nameJPN: 'バケットソート',
+    isEfficient: false
+  },
+  {
+    id: 'shearSort',
+    generator: shearSort,
+    name: '셰어 정렬',
+    nameJPN: 'シェアソート',
+    isEfficient: false
+  },
+  {
+    id: 'timSort',
+    generator: timSort,
+    name: '팀 정렬',
+    nameJPN: 'ティムソート',
+    isEfficient: true
+  },
+  {
+    id: 'introSort',
+    generator: introSort,
+    name: '인트로 정렬',
+    nameJPN: 'イントロソート',
+    isEfficient: true
+  },
+  {
+    id: 'pdqSort',
+    generator: pdqSort,
+    name: '패턴 파괴 퀵 정렬',
+    nameJPN: 'パターン破壊クイックソート',
+    isEfficient: true
+  },
+  {
+    id: 'bogoSort',
+    generator: bogoSort,
+    name: '보고 정렬',
+    nameJPN: 'ボゴソート',
+    isEfficient: false
   }
+];
 
-  return arr;
+/**
+ * 📌 초기 입력 분포 목록
+ * - 정렬 전에 배열(0 ~ n-1)을 어떤 상태로 만들지 결정하는 제너레이터 목록이다.
+ * - 재생 목록 항목의 distribution 값(id)으로 찾는다.
+ */
+const inputDistributions = [
+  { id: 'shuffle', generator: shuffleGenerator, name: '무작위 섞기' },
+  { id: 'sorted', generator: sortedGenerator, name: '정렬됨' },
+  { id: 'reversed', generator: reversedGenerator, name: '역순' },
+  { id: 'nearlySorted', generator: nearlySortedGenerator, name: '거의 정렬됨' },
+  { id: 'sawtooth', generator: sawtoothGenerator, name: '톱니' },
+  { id: 'organPipe', generator: organPipeGenerator, name: '오르간 파이프' },
+  { id: 'fewUnique', generator: fewUniqueGenerator, name: '적은 고유값' },
+  { id: 'gaussian', generator: gaussianGenerator, name: '가우시안' }
+];
+
+/**
+ * 📌 이름으로 제너레이터를 찾는 함수
+ * - Web Worker(worker.js)에는 함수를 메시지로 보낼 수 없으므로, 제너레이터 함수의 이름(name)으로 찾는다.
+ * - 정렬 알고리즘 목록, 입력 분포 목록과 강조 제너레이터에서 찾는다.
+ *
+ * @param {string} name - 제너레이터 함수 이름
+ * @returns {GeneratorFunction|undefined} - 제너레이터 함수 (없으면 undefined)
+ */
+function findGenerator(name) {
+  return [
+    ...sortAlgorithms.map(({ generator }) => generator),
+    ...inputDistributions.map(({ generator }) => generator),
+    accentGenerator
+  ].find((generator) => generator.name === name);
+}
+
+/**
+ * 📌 정렬 네트워크 기록 함수
+ * - 정렬 네트워크 제너레이터(isNetwork)를 n개의 선에 실행해서, 비교한 인덱스 쌍을 층(layer)별로 모은다.
+ *   (network.js가 이 기록으로 네트워크 그림을 그린다)
+ * - 입력은 역순 배열 [n-1, ..., 0]이다. 데이터와 무관하게 비교하는 네트워크(바이토닉, 배처 등)는
+ *   어떤 입력에서도 같은 비교를 하고, 정렬되면 일찍 끝나는 홀짝 정렬은 network 옵션을 켜서 n번 모두 비교한다.
+ * - 비교기는 두 값을 정렬된 순서로 내보내므로, 층이 끝난 뒤 두 선의 값으로 방향(up)을 정한다.
+ *
+ * @param {GeneratorFunction} generator - 정렬 네트워크 제너레이터 함수
+ * @param {number} n - 선(배열 요소)의 수
+ * @param {Object} [options] - 제너레이터 옵션 (예: bitonicSort의 up, network는 항상 켠다)
+ * @returns {Object[][]} - 층마다 비교기 목록 ({ i, j, up }, i < j, up이 false면 큰 값이 i로 간다)
+ */
+function recordSortingNetwork(generator, n, options = {}) {
+  const arr = Array.from({ length: n }, (_, i) => n - 1 - i);
+  const layers = [];
+  let current = 0;
+
+  // 끝난 층의 비교기마다 작은 값이 간 쪽으로 방향 정하기
+  const settle = (layer) => {
+    for (const comparator of layers[layer] ?? []) {
+      comparator.up = arr[comparator.i] < arr[comparator.j];
+    }
+  };
+
+  for (const { kind, indexes, layer } of generator(arr, true, {
+    ...options,
+    network: true
+  })) {
+    if (layer === undefined) {
+      throw new TypeError(`정렬 네트워크가 아닙니다: ${generator.name}`);
+    }
+    if (layer !== current) settle(current);
+    current = layer;
+
+    if (kind === 'compare') {
+      const [i, j] = [...indexes].sort((a, b) => a - b);
+      (layers[layer] ??= []).push({ i, j, up: true });
+    }
+  }
+  settle(current);
+
+  return Array.from(layers, (layer) => layer ?? []);
+}
+
+// 📦 Node.js에서 require/import로 사용할 수 있도록 내보내기
+//    (브라우저에서는 module이 없으므로 지금처럼 전역 스크립트로 동작한다)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    setRandomSeed,
+    getRandomState,
+    random,
+    hashSeed,
+    stepEventKinds,
+    sortStages,
+    stepEvent,
+    validateStepEvent,
+    applyStepEvent,
+    createAuxState,
+    applyAuxEvent,
+    measureSortedness,
+    DEFAULT_MAX_STEPS,
+    FAST_FORWARD_STEP_LIMIT,
+    FAST_FORWARD_BATCH_SIZE,
+    stepBudgetModes,
+    createStepRunner,
+    shuffleGenerator,
+    arrangeGenerator,
+    sortedGenerator,
+    reversedGenerator,
+    nearlySortedGenerator,
+    sawtoothGenerator,
+    organPipeGenerator,
+    fewUniqueGenerator,
+    gaussianGenerator,
+    accentGenerator,
+    mergeSort,
+    selectionSort,
+    insertionSort,
+    binaryInsertionSort,
+    quickSort,
+    bubbleSort,
+    cocktailShakerSort,
+    gnomeSort,
+    combSort,
+    shellSort,
+    heapSort,
+    oddEvenSort,
+    bitonicSort,
+    oddEvenMergeSort,
+    pairwiseSort,
+    cycleSort,
+    MAX_RADIX_BASE,
+    lsdRadixSort,
+    msdRadixSort,
+    countingSort,
+    pigeonholeSort,
+    bucketSort,
+    shearSort,
+    timSort,
+    introSort,
+    pdqSort,
+    bogoSort,
+    sortAlgorithms,
+    inputDistributions,
+    findGenerator,
+    recordSortingNetwork
+  };
 }
@@ -0,0 +1,521 @@
+// 💾 사운드 설정을 저장하는 localStorage 키
+const SYNTH_STORAGE_KEY = 'gengar.synth';
+
+// 🎹 동시에 울릴 수 있는 최대 음(voice) 수 (넘으면 가장 오래된 음을 끊고 새 음을 낸다)
+const SYNTH_VOICE_LIMIT = 16;
+
+// 🎹 음을 끊을 때 소리가 튀지 않도록 줄이는 시간 (초)
+const SYNTH_STEAL_TIME = 0.005;
+
+// 🎹 선택할 수 있는 파형
+const synthWaveforms = [
+  { id: 'sine', name: '사인파' },
+  { id: 'triangle', name: '삼각파' },
+  { id: 'square', name: '사각파' },
+  { id: 'sawtooth', name: '톱니파' }
+];
+
+// 🎼 음높이를 정하는 기준
+//    - value: 요소의 값 (arr[i]) → 데이터가 정렬되어 가는 모습이 들린다.
+//    - index: 요소의 위치 (i) → 알고리즘이 배열을 훑는 위치가 들린다.
+const pitchSources = [
+  { id: 'value', name: '값 (arr[i])' },
+  { id: 'index', name: '위치 (i)' }
+];
+
+// 🎼 음높이 범위를 나누는 방식
+//    - linear: 주파수를 균등하게 나눈다 (높은 음역이 넓게 들린다)
+//    - log: 옥타브를 균등하게 나눈다 (귀에 고르게 들린다)
+//    - pentatonic, major, chromatic: 가장 가까운 음계의 음으로 맞춘다 (steps: 한 옥타브 안의 반음 위치)
+const pitchScales = [
+  { id: 'linear', name: '선형' },
+  { id: 'log', name: '로그' },
+  { id: 'pentatonic', name: '5음계', steps: [0, 2, 4, 7, 9] },
+  { id: 'major', name: '장음계', steps: [0, 2, 4, 5, 7, 9, 11] },
+  {
+    id: 'chromatic',
+    name: '반음계',
+    steps: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+  }
+];
+
+// 🎼 음높이 범위 (A2 ~ A7, 5옥타브)
+const PITCH_MIN_FREQUENCY = 110;
+const PITCH_OCTAVES = 5;
+
+// 🎨 단계 종류별 음색 (종류별 음색을 켜면 사용)
+//    - waveform이 없으면 사운드 설정의 파형을 사용한다.
+//    - 비교/읽기는 짧게 튕기는 소리, 교환/쓰기는 길게 이어지는 소리로 구분한다.
+const soundTimbres = {
+  compare: { waveform: 'triangle', sustain: 0.15, gain: 0.7 },
+  read: { waveform: 'sine', sustain: 0.15, gain: 0.6 },
+  swap: { sustain: 0.6, gain: 1 },
+  write: { waveform: 'sawtooth', sustain: 0.5, gain: 0.7 },
+  pivot: { waveform: 'sine', sustain: 0.8, gain: 1 },
+  markSorted: { waveform: 'sine', sustain: 0.4, gain: 0.8 }
+};
+
+// 🎹 사운드 설정 (음량, 음소거, 파형, 음높이 매핑, ADSR 엔벨로프)
+let synthSettings = loadSynthSettings();
+
+function createDefaultSynthSettings() {
+  return {
+    volume: 0.5, // 마스터 음량 (0 ~ 1)
+    muted: false, // 음소거 여부
+    waveform: 'square', // 파형 (synthWaveforms의 id)
+    pitchSource: 'value', // 음높이 기준 (pitchSources의 id)
+    pitchScale: 'log', // 음높이 범위를 나누는 방식 (pitchScales의 id)
+    stereo: true, // 위치에 따라 왼쪽 ~ 오른쪽으로 소리를 나눌지
+    kindTimbres: true, // 단계 종류별로 음색을 다르게 할지 (soundTimbres)
+    envelope: {
+      attack: 0.005, // 최대 음량까지 올라가는 시간 (초)
+      decay: 0.05, // 지속 음량까지 내려가는 시간 (초)
+      sustain: 0.6, // 지속 음량 (최대 음량에 대한 비율)
+      release: 0.05 // 음이 끝난 뒤 사라지는 시간 (초)
+    }
+  };
+}
+
+// 💾 사운드 설정 불러오기 (저장된 값이 없거나 손상되었으면 기본값 사용)
+function loadSynthSettings() {
+  const defaults = createDefaultSynthSettings();
+  const pick = (options, id, fallback) =>
+    options.some((option) => option.id === id) ? id : fallback;
+  const toBoolean = (value, fallback) =>
+    typeof value === 'boolean' ? value : fallback;
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(SYNTH_STORAGE_KEY));
+    if (saved) {
+      return {
+        ...defaults,
+        volume: Number.isFinite(saved.volume)
+          ? Math.min(1, Math.max(0, saved.volume))
+          : defaults.volume,
+        muted: saved.muted === true,
+        waveform: pick(synthWaveforms, saved.waveform, defaults.waveform),
+        pitchSource: pick(
+          pitchSources,
+          saved.pitchSource,
+          defaults.pitchSource
+        ),
+        pitchScale: pick(pitchScales, saved.pitchScale, defaults.pitchScale),
+        stereo: toBoolean(saved.stereo, defaults.stereo),
+        kindTimbres: toBoolean(saved.kindTimbres, defaults.kindTimbres)
+      };
+    }
+  } catch (error) {
+    console.warn('저장된 사운드 설정을 읽을 수 없습니다.', error);
+  }
+  return defaults;
+}
+
+// 💾 사운드 설정 저장하기 (엔벨로프는 저장하지 않음)
+function saveSynthSettings() {
+  const { envelope, ...settings } = synthSettings;
+  localStorage.setItem(SYNTH_STORAGE_KEY, JSON.stringify(settings));
+}
+
+// 🎹 오디오 그래프 (처음 소리를 낼 때 만든다)
+//    음(voice) → 컴프레서 → 마스터 음량 → 스피커
+let synth = null;
+
+function getSynth() {
+  if (synth) return synth;
+
+  const context = new (window.AudioContext || window.webkitAudioContext)();
+
+  // 여러 음이 겹쳐도 소리가 찢어지지 않도록 압축
+  const compressor = context.createDynamicsCompressor();
+  compressor.threshold.setValueAtTime(-18, context.currentTime);
+  compressor.knee.setValueAtTime(12, context.currentTime);
+  compressor.ratio.setValueAtTime(6, context.currentTime);
+  compressor.attack.setValueAtTime(0.003, context.currentTime);
+  compressor.release.setValueAtTime(0.1, context.currentTime);
+
+  const master = context.createGain();
+  master.gain.setValueAtTime(synthSettings.volume, context.currentTime);
+
+  compressor.connect(master);
+  master.connect(context.destination);
+
+  synth = { context, input: compressor, master, voices: [] };
+  return synth;
+}
+
+/**
+ * 📌 음 하나를 ADSR 엔벨로프로 재생하는 함수
+ * - 음량이 0에서 시작해 attack 동안 peak까지 올라가고, decay 동안 sustain 비율까지 내려간 뒤,
+ *   duration이 끝나면 release 동안 0으로 내려간다. (갑자기 끊어서 생기는 클릭음 방지)
+ * - 동시에 울리는 음이 SYNTH_VOICE_LIMIT개를 넘으면 가장 오래된 음을 짧게 줄여서 끊는다.
+ *
+ * @param {Object} params - 함수 매개변수
+ * @param {number} params.frequency - 주파수 (Hz)
+ * @param {number} params.duration - 음의 길이 (초, release 제외)
+ * @param {number} params.peak - 최대 음량 (0 ~ 1)
+ * @param {string} [params.waveform] - 파형 (synthWaveforms의 id)
+ * @param {number} [params.sustain] - 지속 음량 비율 (기본값: 사운드 설정의 엔벨로프)
+ * @param {number} [params.pan] - 스테레오 위치 (-1: 왼쪽 ~ 1: 오른쪽)
+ */
+function playNote({
+  frequency,
+  duration,
+  peak,
+  waveform = synthSettings.waveform,
+  sustain = synthSettings.envelope.sustain,
+  pan = 0
+}) {
+  const { context, input, voices } = getSynth();
+  const { attack, decay, release } = synthSettings.envelope;
+  const start = context.currentTime;
+  const end = start + Math.max(duration, attack + decay);
+
+  if (voices.length >= SYNTH_VOICE_LIMIT) {
+    stealVoice(voices.shift());
+  }
+
+  const oscillator = context.createOscillator();
+  oscillator.type = waveform;
+  oscillator.frequency.setValueAtTime(frequency, start);
+
+  const gain = context.createGain();
+  gain.gain.setValueAtTime(0, start);
+  gain.gain.linearRampToValueAtTime(peak, start + attack);
+  gain.gain.linearRampToValueAtTime(peak * sustain, start + attack + decay);
+  gain.gain.setValueAtTime(peak * sustain, end);
+  gain.gain.linearRampToValueAtTime(0, end + release);
+
+  oscillator.connect(gain);
+
+  // 스테레오 패너가 없는 브라우저에서는 가운데에서 재생
+  if (context.createStereoPanner) {
+    const panner = context.createStereoPanner();
+    panner.pan.setValueAtTime(pan, start);
+    gain.connect(panner).connect(input);
+  } else {
+    gain.connect(input);
+  }
+  oscillator.start(start);
+  oscillator.stop(end + release);
+
+  const voice = { oscillator, gain };
+  voices.push(voice);
+  oscillator.onended = () => {
+    const index = voices.indexOf(voice);
+    if (index !== -1) voices.splice(index, 1);
+    gain.disconnect();
+  };
+}
+
+// 가장 오래된 음 끊기 (SYNTH_STEAL_TIME 동안 음량을 0으로 줄인 뒤 정지)
+function stealVoice({ oscillator, gain }) {
+  const now = getSynth().context.currentTime;
+  gain.gain.cancelScheduledValues(now);
+  gain.gain.setValueAtTime(gain.gain.value, now);
+  gain.gain.linearRampToValueAtTime(0, now + SYNTH_STEAL_TIME);
+  oscillator.stop(now + SYNTH_STEAL_TIME);
+}
+
+/**
+ * 📌 사운드 재생 함수 (정렬 과정에서 강조된 요소마다 소리 재생)
+ * - 재생할 음은 createBeepNotes로 정한다. (WAV 내보내기도 같은 음을 사용)
+ *
+ * @param {Object} params - 함수 매개변수 (createBeepNotes 참고)
+ */
+function playBeep(params) {
+  if (synthSettings.muted) return;
+  createBeepNotes(params).forEach(playNote);
+}
+
+/**
+ * 📌 강조된 요소들을 음 목록으로 바꾸는 함수
+ * - 음높이는 사운드 설정의 기준(값 또는 위치)과 방식(선형, 로그, 음계)으로 정하고,
+ *   스테레오 위치는 요소의 위치(왼쪽 ~ 오른쪽)를 따른다.
+ * - 인덱스가 SYNTH_VOICE_LIMIT개보다 많으면 고르게 골라서 그 수만큼만 재생한다.
+ * - 음이 많을수록 음 하나의 음량을 줄여서 전체 음량이 크게 달라지지 않게 한다.
+ *
+ * @param {Object} params - 함수 매개변수
+ * @param {number} params.duration - 음의 길이 (ms)
+ * @param {number} params.n - 배열 크기
+ * @param {number[]} params.indexes - 소리를 낼 인덱스
+ * @param {number[]} [params.array] - 현재 배열 (값으로 음높이를 정할 때 사용, 없으면 위치 사용)
+ * @param {string} [params.kind] - 단계 종류 (종류별 음색에 사용)
+ * @param {string} [params.type] - 파형 (지정하면 음색 설정보다 우선)
+ * @returns {Object[]} - playNote의 매개변수 목록 ({ frequency, duration, peak, waveform, sustain, pan })
+ */
+function createBeepNotes({ duration, n, indexes, array, kind, type }) {
+  const timbre = getSoundTimbre(kind);
+  const count = Math.min(indexes.length, SYNTH_VOICE_LIMIT);
+  const peak = (0.3 * timbre.gain) / Math.sqrt(count);
+
+  return Array.from({ length: count }, (_, k) => {
+    const i = indexes[Math.floor((k * indexes.length) / count)];
+    const position =
+      synthSettings.pitchSource === 'value' && array ? array[i] : i;
+
+    return {
+      frequency: calculateFrequency(n, position),
+      duration: duration / 1000,
+      peak,
+      waveform: type ?? timbre.waveform,
+      sustain: timbre.sustain,
+      pan: synthSettings.stereo && n > 1 ? (i / (n - 1)) * 2 - 1 : 0
+    };
+  });
+}
+
+// 단계 종류의 음색 (종류별 음색을 끄면 모든 종류가 설정의 파형과 엔벨로프를 사용)
+function getSoundTimbre(kind) {
+  const timbre = (synthSettings.kindTimbres && soundTimbres[kind]) || {};
+  return {
+    waveform: timbre.waveform ?? synthSettings.waveform,
+    sustain: timbre.sustain ?? synthSettings.envelope.sustain,
+    gain: timbre.gain ?? 1
+  };
+}
+
+/**
+ * 📌 0 ~ n-1 범위의 값(또는 위치)을 주파수로 바꾸는 함수
+ * - PITCH_MIN_FREQUENCY부터 PITCH_OCTAVES옥타브 위까지를 사운드 설정의 방식으로 나눈다.
+ *
+ * @param {number} n - 배열 크기
+ * @param {number} position - 값 또는 위치 (0 ~ n-1)
+ * @param {string} [scale] - 음높이 범위를 나누는 방식 (pitchScales의 id)
+ * @returns {number} - 주파수 (Hz)
+ */
+function calculateFrequency(n, position, scale = synthSettings.pitchScale) {
+  const ratio = n > 1 ? Math.min(1, Math.max(0, position / (n - 1))) : 0.5;
+  const maxFrequency = PITCH_MIN_FREQUENCY * 2 ** PITCH_OCTAVES;
+
+  if (scale === 'linear') {
+    return PITCH_MIN_FREQUENCY + (maxFrequency - PITCH_MIN_FREQUENCY) * ratio;
+  }
+  if (scale === 'log') {
+    return PITCH_MIN_FREQUENCY * 2 ** (PITCH_OCTAVES * ratio);
+  }
+
+  // 음계: 범위 안의 음계 음들 중 ratio에 해당하는 음 (마지막 음은 맨 위 옥타브의 으뜸음)
+  const { steps } = pitchScales.find(({ id }) => id === scale);
+  const note = Math.round(ratio * PITCH_OCTAVES * steps.length);
+  const octave = Math.floor(note / steps.length);
+  const semitones = octave * 12 + steps[note % steps.length];
+  return PITCH_MIN_FREQUENCY * 2 ** (semitones / 12);
+}
+
+// ────────────────────────────────────────────────────────────
+// 💿 오프라인 렌더링 (WAV 내보내기)
+// ────────────────────────────────────────────────────────────
+
+// 한 주기(phase: 0 ~ 1) 안에서 파형의 값 (-1 ~ 1)
+const offlineWaveforms = {
+  sine: (phase) => Math.sin(2 * Math.PI * phase),
+  triangle: (phase) => 1 - 4 * Math.abs(phase - 0.5),
+  square: (phase) => (phase < 0.5 ? 1 : -1),
+  sawtooth: (phase) => 2 * phase - 1
+};
+
+/**
+ * 📌 오프라인 신디사이저 생성 함수
+ * - AudioContext 없이 playNote와 같은 음(ADSR 엔벨로프, 파형, 스테레오 위치, 음 끊기)을
+ *   샘플 단위로 계산해서 스테레오 버퍼에 더한다. 음의 시작 시각은 샘플 단위로 정확하다.
+ * - 음량, 음소거 설정은 사용하지 않고, 컴프레서 대신 마지막에 최대 음량이 1을 넘으면 전체를 줄인다.
+ *
+ * @param {Object} [params] - 함수 매개변수
+ * @param {number} [params.sampleRate] - 샘플링 주파수 (Hz)
+ * @returns {Object} - 오프라인 신디사이저 ({ addNote, extend, finish })
+ */
+function createOfflineSynth({ sampleRate = 44100 } = {}) {
+  const { attack, decay, release } = synthSettings.envelope;
+  const stealSamples = Math.max(1, Math.round(SYNTH_STEAL_TIME * sampleRate));
+  const voices = []; // 울리고 있는 음 (오래된 순서)
+  let channels = [new Float32Array(sampleRate), new Float32Array(sampleRate)];
+  let length = 0; // 결과의 길이 (샘플 수)
+
+  // 버퍼가 size 샘플을 담을 수 있도록 두 배씩 늘린다
+  function reserve(size) {
+    length = Math.max(length, size);
+    if (size <= channels[0].length) return;
+
+    let capacity = channels[0].length;
+    while (capacity < size) capacity *= 2;
+    channels = channels.map((channel) => {
+      const grown = new Float32Array(capacity);
+      grown.set(channel);
+      return grown;
+    });
+  }
+
+  // 시작 후 time(초)에서 엔벨로프 음량 (playNote의 자동화 곡선과 같은 모양)
+  function envelopeAt(time, { peak, sustain, hold }) {
+    if (time < attack) return (peak * time) / attack;
+    if (time < attack + decay) {
+      return peak - (peak - peak * sustain) * ((time - attack) / decay);
+    }
+    if (time < hold) return peak * sustain;
+    return Math.max(0, peak * sustain * (1 - (time - hold) / release));
+  }
+
+  // 음 하나를 버퍼에 더하기 (stolen: 끊긴 샘플 위치, 없으면 release까지 재생)
+  function renderVoice(voice) {
+    const { start, stop, stolen, frequency, waveform, pan } = voice;
+    const end = stolen === undefined ? stop : stolen + stealSamples;
+    const stolenLevel =
+      stolen === undefined
+        ? 0
+        : envelopeAt((stolen - start) / sampleRate, voice);
+    const oscillator = offlineWaveforms[waveform] ?? offlineWaveforms.sine;
+
+    // 스테레오 패너와 같은 equal-power 방식
+    const angle = ((pan + 1) / 2) * (Math.PI / 2);
+    const [leftGain, rightGain] = [Math.cos(angle), Math.sin(angle)];
+
+    reserve(end);
+    const [left, right] = channels;
+    for (let sample = start; sample < end; sample++) {
+      const time = (sample - start) / sampleRate;
+      const level =
+        stolen !== undefined && sample >= stolen
+          ? stolenLevel * (1 - (sample - stolen) / stealSamples)
+          : envelopeAt(time, voice);
+      const value = level * oscillator((time * frequency) % 1);
+      left[sample] += value * leftGain;
+      right[sample] += value * rightGain;
+    }
+  }
+
+  /**
+   * time(초)에 음 하나를 시작한다. (음은 시작 시각 순서대로 추가해야 한다)
+   *
+   * @param {number} time - 음의 시작 시각 (초)
+   * @param {Object} note - 음 ({ frequency, duration, peak, waveform, sustain, pan }, createBeepNotes 참고)
+   */
+  function addNote(time, note) {
+    const start = Math.round(time * sampleRate);
+    const hold = Math.max(note.duration, attack + decay);
+    const stop = start + Math.round((hold + release) * sampleRate);
+
+    // 이미 끝난 음은 버퍼에 더하고, 동시에 울리는 음이 너무 많으면 가장 오래된 음을 끊는다
+    for (let index = voices.length - 1; index >= 0; index--) {
+      if (voices[index].stop <= start) renderVoice(...voices.splice(index, 1));
+    }
+    if (voices.length >= SYNTH_VOICE_LIMIT) {
+      renderVoice({ ...voices.shift(), stolen: start });
+    }
+
+    voices.push({
+      waveform: synthSettings.waveform,
+      sustain: synthSettings.envelope.sustain,
+      pan: 0,
+      ...note,
+      start,
+      stop,
+      hold
+    });
+  }
+
+  return {
+    addNote,
+    // 결과가 최소한 time(초) 길이가 되도록 뒤에 무음을 채운다
+    extend: (time) => reserve(Math.round(time * sampleRate)),
+    /**
+     * 남은 음을 모두 더하고 결과를 반환한다.
+     *
+     * @returns {{ sampleRate: number, channels: Float32Array[] }} - 왼쪽, 오른쪽 채널
+     */
+    finish() {
+      voices.splice(0).forEach(renderVoice);
+
+      const result = channels.map((channel) => channel.slice(0, length));
+      let max = 0;
+      for (const channel of result) {
+        for (const value of channel) max = Math.max(max, Math.abs(value));
+      }
+      if (max > 1) {
+        for (const channel of result) {
+          for (let i = 0; i < channel.length; i++) channel[i] /= max;
+        }
+      }
+      return { sampleRate, channels: result };
+    }
+  };
+}
+
+// ────────────────────────────────────────────────────────────
+// 🔊 음량 / 음소거 / 파형 UI
+// ────────────────────────────────────────────────────────────
+
+// 마스터 음량 적용 (음소거면 0)
+function applySynthVolume() {
+  if (!synth) return;
+  const { context, master } = synth;
+  const volume = synthSettings.muted ? 0 : synthSettings.volume;
+  master.gain.setTargetAtTime(volume, context.currentTime, 0.02);
+}
+
+function setSynthVolume(volume) {
+  synthSettings.volume = Math.min(1, Math.max(0, volume));
+  synthSettings.muted = false;
+  applySynthVolume();
+  saveSynthSettings();
+  updateSynthControls();
+}
+
+// 🔇 음소거 전환 (버튼 및 M 키)
+function toggleMute() {
+  synthSettings.muted = !synthSettings.muted;
+  applySynthVolume();
+  saveSynthSettings();
+  updateSynthControls();
+}
+
+// 🎛️ 사운드 설정 변경 (파형, 음높이 매핑, 스테레오, 종류별 음색)
+function updateSynthSettings(changes) {
+  synthSettings = { ...synthSettings, ...changes };
+  saveSynthSettings();
+}
+
+// 🖥️ 음량 UI를 현재 설정에 맞게 갱신
+function updateSynthControls() {
+  const button = document.getElementById('muteButton');
+  if (!button) return;
+
+  const { muted, volume } = synthSettings;
+  button.innerText = muted || volume === 0 ? '🔇' : '🔊';
+  document.getElementById('volume').value = muted ? 0 : volume;
+}
+
+// 처음 페이지를 열었을 때 파형 목록과 음량 UI, presetForm의 사운드 설정 초기화
+(function initSynthControls() {
+  const select = document.getElementById('waveform');
+  if (!select) return;
+
+  for (const { id, name } of synthWaveforms) {
+    select.add(new Option(name, id, false, id === synthSettings.waveform));
+  }
+  updateSynthControls();
+
+  // 음높이 기준과 방식
+  for (const [elementId, options, key] of [
+    ['pitchSource', pitchSources, 'pitchSource'],
+    ['pitchScale', pitchScales, 'pitchScale']
+  ]) {
+    const element = document.getElementById(elementId);
+    if (!element) continue;
+    for (const { id, name } of options) {
+      element.add(new Option(name, id, false, id === synthSettings[key]));
+    }
+    element.addEventListener('change', () =>
+      updateSynthSettings({ [key]: element.value })
+    );
+  }
+
+  // 스테레오, 종류별 음색
+  for (const key of ['stereo', 'kindTimbres']) {
+    const checkbox = document.getElementById(key);
+    if (!checkbox) continue;
+    checkbox.checked = synthSettings[key];
+    checkbox.addEventListener('change', () =>
+      updateSynthSettings({ [key]: checkbox.checked })
+    );
+  }
+})();
@@ -0,0 +1,89 @@
+/**
+ * 📌 헤드리스 실행기(cli.js) 테스트
+ * - runAlgorithm이 단계 예산에서 중단했는지를 바르게 알리는지 확인한다.
+ * - 브라우저와 같은 제너레이터 옵션(cols)을 넘기는지 확인한다.
+ *
+ * 실행: node --test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runAlgorithm } = require('../cli.js');
+const {
+  setRandomSeed,
+  hashSeed,
+  sortAlgorithms,
+  inputDistributions
+} = require('../strategy.js');
+
+const bubbleSort = sortAlgorithms.find(({ id }) => id === 'bubbleSort');
+const sorted = inputDistributions.find(({ id }) => id === 'sorted');
+
+// 정렬된 두 요소의 버블 정렬은 3단계(비교 한 번, 정렬 완료 표시 두 번)로 끝난다
+const run = (maxSteps) =>
+  runAlgorithm({
+    algorithm: bubbleSort,
+    distribution: sorted,
+    n: 2,
+    seed: 1,
+    round: 1,
+    maxSteps,
+    validate: true
+  });
+
+test('runAlgorithm: 마지막 단계에서 예산을 다 쓰면 중단으로 보지 않는다', () => {
+  const unlimited = run(1000);
+  assert.equal(unlimited.truncated, false);
+
+  const exact = run(unlimited.steps);
+  assert.equal(exact.steps, unlimited.steps);
+  assert.equal(exact.sorted, true);
+  assert.equal(exact.truncated, false);
+});
+
+test('runAlgorithm: 남은 단계가 있으면 중단으로 보고, 그 시점의 배열로 정렬도를 계산한다', () => {
+  const input = inputDistributions.find(({ id }) => id === 'reversed');
+  const result = runAlgorithm({
+    algorithm: bubbleSort,
+    distribution: input,
+    n: 2,
+    seed: 1,
+    round: 1,
+    maxSteps: 1,
+    validate: true
+  });
+
+  // 첫 단계(비교)에서 멈췄으므로 아직 교환 전이다
+  assert.equal(result.steps, 1);
+  assert.equal(result.truncated, true);
+  assert.equal(result.sorted, false);
+  assert.equal(result.sortedness, 0);
+});
+
+test('runAlgorithm: 셰어 정렬에 격자 열 수(cols)를 넘기고, 기본값은 브라우저 재생 목록과 같은 16이다', () => {
+  const shearSort = sortAlgorithms.find(({ id }) => id === 'shearSort');
+  const shuffle = inputDistributions.find(({ id }) => id === 'shuffle');
+  const params = {
+    algorithm: shearSort,
+    distribution: shuffle,
+    n: 192,
+    seed: 42,
+    round: 1,
+    maxSteps: 1000000,
+    validate: true
+  };
+
+  // 브라우저처럼 입력을 만들고 { cols }를 넘겨 직접 실행한 결과
+  const direct = (cols) => {
+    const arr = Array.from({ length: params.n }, (_, i) => i);
+    setRandomSeed(hashSeed(params.seed, 'input', params.round));
+    for (const event of shuffle.generator(arr));
+    setRandomSeed(hashSeed(params.seed, 'sort', params.round));
+    let last = null;
+    for (const event of shearSort.generator(arr, true, { cols })) last = event;
+    return last.comparisons;
+  };
+
+  assert.equal(runAlgorithm(params).comparisons, direct(16));
+  assert.equal(runAlgorithm({ ...params, cols: 14 }).comparisons, direct(14));
+  assert.notEqual(direct(16), direct(14));
+});
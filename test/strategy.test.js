@@ -0,0 +1,628 @@
+/**
+ * 📌 정렬 제너레이터 정확성 테스트
+ * - strategy.js의 모든 정렬 제너레이터를 화면 없이 실행하여 다음을 확인한다.
+ *   - 결과 배열이 정렬되어 있고, 입력 배열의 순열(permutation)이다.
+ *   - 누적 통계(comparisons, swaps, writes)가 줄어들지 않는다.
+ *   - 모든 이벤트의 인덱스가 배열 범위 안에 있다. (auxWrite는 보조 배열 인덱스이므로 제외)
+ *   - 입력 배열에 이벤트를 순서대로 적용하면(applyStepEvent) 매 단계의 배열과 결과를 다시 만들 수 있다.
+ * - 크기 0, 1, 2, 소수, 2의 거듭제곱과 모든 입력 분포를 조합해 실행한다.
+ *
+ * 실행: node --test
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  setRandomSeed,
+  hashSeed,
+  validateStepEvent,
+  applyStepEvent,
+  createAuxState,
+  applyAuxEvent,
+  measureSortedness,
+  FAST_FORWARD_BATCH_SIZE,
+  createStepRunner,
+  arrangeGenerator,
+  findGenerator,
+  recordSortingNetwork,
+  oddEvenSort,
+  bitonicSort,
+  shearSort,
+  timSort,
+  introSort,
+  lsdRadixSort,
+  msdRadixSort,
+  sortAlgorithms,
+  inputDistributions
+} = require('../strategy.js');
+
+const SEED = 20240501;
+
+// 0, 1, 2, 소수, 2의 거듭제곱, 그 밖의 크기
+const sizes = [
+  0, 1, 2, 3, 4, 5, 7, 8, 11, 13, 16, 17, 31, 32, 64, 97, 100, 128
+];
+
+// 보고 정렬은 기대 실행 시간이 n!에 비례하므로 작은 크기만 확인한다
+const bogoSizes = [0, 1, 2, 3, 5];
+
+// 무한 루프를 막기 위한 단계 수 제한 (정상적인 정렬은 이보다 훨씬 적다)
+const MAX_STEPS = 1000000;
+
+// 크기와 분포, 시드로 입력 배열 만들기 (브라우저와 같은 방식)
+function createInput(distribution, n, seed) {
+  const arr = Array.from({ length: n }, (_, i) => i);
+  setRandomSeed(hashSeed(seed, 'input', 1));
+  for (const event of distribution.generator(arr)) {
+    validateStepEvent(event, n);
+  }
+  return arr;
+}
+
+/**
+ * 제너레이터를 끝까지 실행하면서 모든 이벤트를 검사하는 함수
+ *
+ * @returns {{ result: number[], events: Object[], replayed: number[] }}
+ *   - 정렬된 배열, 이벤트 목록, 입력에 이벤트를 다시 적용한 배열
+ */
+function runGenerator(generator, input, seed, yieldCompare = true) {
+  const arr = [...input];
+  const n = arr.length;
+  const events = [];
+  const replayed = [...input];
+  let previous = { comparisons: 0, swaps: 0, writes: 0 };
+
+  setRandomSeed(hashSeed(seed, 'sort', 1));
+  for (const event of generator(arr, yieldCompare)) {
+    validateStepEvent(event, n);
+
+    if (event.kind !== 'auxWrite') {
+      for (const index of event.indexes) {
+        assert.ok(
+          index >= 0 && index < n,
+          `${event.kind} 이벤트의 인덱스 ${index}가 범위 [0, ${n})를 벗어남`
+        );
+      }
+    }
+
+    for (const counter of ['comparisons', 'swaps', 'writes']) {
+      assert.ok(
+        event[counter] >= previous[counter],
+        `${counter}가 ${previous[counter]}에서 ${event[counter]}로 감소함`
+      );
+    }
+
+    // 이벤트가 바꾼 위치는 제너레이터가 바꾼 배열과 같아야 한다
+    applyStepEvent(replayed, event);
+    if (event.kind === 'swap' || event.kind === 'write') {
+      for (const index of event.indexes) {
+        assert.equal(
+          replayed[index],
+          arr[index],
+          `${event.kind} 이벤트를 적용한 인덱스 ${index}의 값이 배열과 다름`
+        );
+      }
+    }
+
+    previous = event;
+    events.push(event);
+    assert.ok(events.length <= MAX_STEPS, `단계 수가 ${MAX_STEPS}를 넘음`);
+  }
+
+  return { result: arr, events, replayed };
+}
+
+function assertSortedPermutation(result, input) {
+  for (let i = 1; i < result.length; i++) {
+    assert.ok(
+      result[i - 1] <= result[i],
+      `인덱스 ${i - 1}, ${i}의 값 ${result[i - 1]}, ${
+        result[i]
+      }가 정렬되지 않음`
+    );
+  }
+  assert.deepEqual(
+    [...result].sort((a, b) => a - b),
+    [...input].sort((a, b) => a - b),
+    '결과가 입력의 순열이 아님'
+  );
+}
+
+for (const { id, generator } of sortAlgorithms) {
+  test(id, async (t) => {
+    const testSizes = id === 'bogoSort' ? bogoSizes : sizes;
+
+    for (const distribution of inputDistributions) {
+      await t.test(distribution.id, () => {
+        for (const n of testSizes) {
+          const input = createInput(distribution, n, SEED);
+          const { result, replayed } = runGenerator(generator, input, SEED);
+
+          assertSortedPermutation(result, input);
+          assert.deepEqual(
+            replayed,
+            result,
+            `n=${n}: 이벤트를 다시 적용한 배열이 결과와 다름`
+          );
+        }
+      });
+    }
+
+    await t.test('yieldCompare = false', () => {
+      const distribution = inputDistributions[0];
+      for (const n of testSizes) {
+        const input = createInput(distribution, n, SEED);
+        const { result, events } = runGenerator(generator, input, SEED, false);
+
+        assertSortedPermutation(result, input);
+        assert.ok(
+          events.every(({ kind }) => kind !== 'compare' && kind !== 'read'),
+          `n=${n}: yieldCompare가 false인데 compare/read 이벤트가 반환됨`
+        );
+      }
+    });
+
+    await t.test('같은 시드는 같은 이벤트 순서를 만든다', () => {
+      const input = createInput(inputDistributions[0], 5, SEED);
+      const first = runGenerator(generator, input, SEED).events;
+      const second = runGenerator(generator, input, SEED).events;
+      assert.deepEqual(first, second);
+    });
+  });
+}
+
+test('입력 분포는 0 ~ n-1 범위의 값으로 길이 n인 배열을 만든다', () => {
+  for (const distribution of inputDistributions) {
+    for (const n of sizes) {
+      const input = createInput(distribution, n, SEED);
+      assert.equal(input.length, n);
+      assert.ok(
+        input.every(
+          (value) => Number.isInteger(value) && value >= 0 && value < n
+        ),
+        `${distribution.id}, n=${n}: 범위를 벗어난 값이 있음`
+      );
+    }
+  }
+});
+
+test('arrangeGenerator: 중복 값이 있어도 목표 상태로 바꾸고, 큰 배열도 배열을 다시 훑지 않고 바꾼다', () => {
+  const arr = [3, 1, 3, 0, 1, 3, 2, 0];
+  const target = [0, 0, 1, 1, 2, 3, 3, 3];
+  for (const { kind, indexes } of arrangeGenerator(arr, target)) {
+    assert.ok(kind === 'swap' || kind === 'write');
+    if (kind === 'swap') assert.ok(indexes[0] < indexes[1]);
+  }
+  assert.deepEqual(arr, target);
+
+  // 역순 → 정렬: 앞쪽 절반마다 뒤쪽 끝의 값과 교환한다 (indexOf로 찾으면 n²/4번 훑는다)
+  const n = 200000;
+  const large = Array.from({ length: n }, (_, i) => n - 1 - i);
+  let swaps = 0;
+  for (const event of arrangeGenerator(
+    large,
+    Array.from({ length: n }, (_, i) => i)
+  )) {
+    swaps++;
+  }
+  assert.equal(swaps, n / 2);
+  assert.ok(large.every((value, i) => value === i));
+});
+
+test('measureSortedness: 정렬된 배열은 1, 역순은 0, 그 사이는 역순 쌍 비율로 계산한다', () => {
+  assert.equal(measureSortedness([]), 1);
+  assert.equal(measureSortedness([3]), 1);
+  assert.equal(measureSortedness([0, 1, 1, 2]), 1);
+  assert.equal(measureSortedness([4, 3, 2, 1, 0]), 0);
+  assert.equal(measureSortedness([1, 0, 2, 3]), 1 - 1 / 6);
+
+  // 모든 쌍을 직접 비교한 결과와 같다
+  for (const n of sizes) {
+    const input = createInput(inputDistributions[0], n, SEED);
+    let inversions = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        if (input[i] > input[j]) inversions++;
+      }
+    }
+    const expected = n < 2 ? 1 : 1 - inversions / ((n * (n - 1)) / 2);
+    assert.ok(Math.abs(measureSortedness(input) - expected) < 1e-12);
+    assert.equal(input.length, n, '입력 배열이 바뀜');
+  }
+});
+
+test('applyAuxEvent: 보조 배열은 만든 크기 안에서만 쓰고, 정렬이 끝나면 모두 해제된다', () => {
+  const input = createInput(inputDistributions[0], 33, SEED);
+  const peaks = {};
+
+  for (const { id, generator } of sortAlgorithms) {
+    const n = id === 'bogoSort' ? 5 : input.length;
+    const state = createAuxState();
+    const { events } = runGenerator(generator, input.slice(0, n), SEED);
+
+    for (const event of events) {
+      if (event.kind === 'auxWrite' && state.arrays.has(event.aux)) {
+        const { length } = state.arrays.get(event.aux);
+        assert.ok(
+          event.indexes.every((index) => index < length),
+          `${id}: ${event.aux}의 크기 ${length}를 넘는 auxWrite`
+        );
+      }
+      applyAuxEvent(state, event);
+    }
+
+    assert.equal(state.memory, 0, `${id}: 해제하지 않은 보조 메모리가 있음`);
+    assert.equal(state.arrays.size, 0);
+    assert.equal(state.heapSize, 0);
+    peaks[id] = state.peakMemory;
+  }
+
+  // 병합 정렬은 마지막 병합의 버퍼(n), 기수 정렬은 output(n)과 count(10)를 쓴다
+  assert.equal(peaks.mergeSort, 33);
+  assert.equal(peaks.lsdRadixSort, 33 + 10);
+  // 아메리칸 플래그 정렬은 제자리에서 나누므로 count나 next(10)만 쓰고,
+  // 계수/비둘기집 정렬은 값의 범위(n), 버킷 정렬은 모든 버킷(n)을 쓴다
+  assert.equal(peaks.msdRadixSort, 10);
+  assert.equal(peaks.countingSort, 33);
+  assert.equal(peaks.pigeonholeSort, 33);
+  assert.equal(peaks.bucketSort, 33);
+  assert.equal(peaks.heapSort, 0);
+  assert.equal(peaks.bubbleSort, 0);
+});
+
+test('applyAuxEvent: 힙 정렬은 힙 크기를 배열 전체에서 0까지 줄여 가며 알린다', () => {
+  const input = createInput(inputDistributions[0], 20, SEED);
+  const { events } = runGenerator(
+    sortAlgorithms.find(({ id }) => id === 'heapSort').generator,
+    input,
+    SEED
+  );
+  const sizes = events
+    .filter(({ kind }) => kind === 'heap')
+    .map(({ size }) => size);
+  assert.deepEqual(
+    sizes,
+    Array.from({ length: 21 }, (_, i) => 20 - i)
+  );
+});
+
+// 실행기를 count개씩 끝까지 실행하고 모든 이벤트와 마지막 응답을 반환
+function drainRunner(runner, count) {
+  const events = [];
+  for (;;) {
+    const batch = runner.run(count);
+    events.push(...batch.events);
+    if (batch.done) return { events, last: batch };
+  }
+}
+
+test('findGenerator: 목록의 모든 제너레이터를 이름으로 찾을 수 있다 (Web Worker용)', () => {
+  for (const { generator } of [...sortAlgorithms, ...inputDistributions]) {
+    assert.equal(findGenerator(generator.name), generator, generator.name);
+  }
+  assert.equal(findGenerator('없는 제너레이터'), undefined);
+});
+
+test('createStepRunner: 나누어 실행해도 제너레이터를 직접 실행한 것과 같은 이벤트를 반환한다', () => {
+  for (const { id, generator } of sortAlgorithms) {
+    const input = createInput(
+      inputDistributions[0],
+      id === 'bogoSort' ? 5 : 33,
+      SEED
+    );
+    const { events } = runGenerator(generator, input, SEED);
+
+    // 다른 실행기가 전역 난수를 사용해도 결과가 바뀌지 않는다
+    setRandomSeed(1);
+    const runner = createStepRunner({
+      generator,
+      array: [...input],
+      seed: hashSeed(SEED, 'sort', 1)
+    });
+    const batched = drainRunner(runner, 7);
+    assert.deepEqual(batched.events, events, id);
+    assert.equal(batched.last.truncation, null);
+  }
+});
+
+test('createStepRunner: 단계 예산에서 중단하면 중단한 단계와 정렬도를 반환한다', () => {
+  const input = Array.from({ length: 64 }, (_, i) => 63 - i);
+  const { events, last } = drainRunner(
+    createStepRunner({
+      generator: sortAlgorithms.find(({ id }) => id === 'bubbleSort').generator,
+      array: [...input],
+      maxSteps: 100
+    }),
+    30
+  );
+
+  const replayed = [...input];
+  events.forEach((event) => applyStepEvent(replayed, event));
+  assert.equal(events.length, 100);
+  assert.equal(last.skipped, 0);
+  assert.deepEqual(last.truncation, {
+    step: 100,
+    sortedness: measureSortedness(replayed)
+  });
+});
+
+test('createStepRunner: 빨리 감기는 남은 단계를 건너뛰고 최종 배열을 write 이벤트 하나로 반환한다', () => {
+  const input = Array.from({ length: 64 }, (_, i) => 63 - i);
+  const { events, last } = drainRunner(
+    createStepRunner({
+      generator: sortAlgorithms.find(({ id }) => id === 'bubbleSort').generator,
+      array: [...input],
+      maxSteps: 100,
+      budgetMode: 'fastForward'
+    }),
+    30
+  );
+
+  const replayed = [...input];
+  events.forEach((event) => applyStepEvent(replayed, event));
+  assert.equal(events.length, 101);
+  assert.equal(events[100].kind, 'write');
+  assert.ok(last.skipped > 0);
+  assert.equal(last.truncation, null);
+  assertSortedPermutation(replayed, input);
+});
+
+test('createStepRunner: 긴 빨리 감기는 run() 한 번에 FAST_FORWARD_BATCH_SIZE 단계씩 나누어 실행한다', () => {
+  const input = Array.from({ length: 1000 }, (_, i) => 999 - i);
+  const runner = createStepRunner({
+    generator: findGenerator('bubbleSort'),
+    array: [...input],
+    maxSteps: 100,
+    budgetMode: 'fastForward'
+  });
+
+  const replayed = [...input];
+  let previous = 0;
+  for (;;) {
+    const batch = runner.run(1000);
+    batch.events.forEach((event) => applyStepEvent(replayed, event));
+    assert.ok(batch.skipped - previous <= FAST_FORWARD_BATCH_SIZE);
+    previous = batch.skipped;
+    if (batch.done) break;
+    assert.ok(batch.events.length <= 100);
+  }
+
+  assert.ok(previous > FAST_FORWARD_BATCH_SIZE);
+  assertSortedPermutation(replayed, input);
+});
+
+test('bitonicSort: up 옵션이 false면 내림차순으로 정렬한다', () => {
+  for (const n of sizes) {
+    const input = createInput(inputDistributions[0], n, SEED);
+    const arr = [...input];
+    for (const event of bitonicSort(arr, true, { up: false })) {
+      validateStepEvent(event, n);
+    }
+    assert.deepEqual(
+      arr,
+      [...input].sort((a, b) => b - a)
+    );
+  }
+});
+
+test('shearSort: 열 수(cols)를 지정해도 정렬한다 (마지막 행이 덜 찬 격자 포함)', () => {
+  for (const n of sizes) {
+    for (const cols of [1, 2, 3, 5, 16, 200]) {
+      const input = createInput(inputDistributions[0], n, SEED);
+      const arr = [...input];
+      for (const event of shearSort(arr, true, { cols })) {
+        validateStepEvent(event, n);
+      }
+      assertSortedPermutation(arr, input);
+    }
+  }
+});
+
+test('하이브리드 정렬: 실행 중인 단계를 stage로 알리고, 알 수 없는 stage는 거부한다', () => {
+  const expected = {
+    timSort: ['run', 'insertion', 'merge', 'gallop'],
+    introSort: ['partition', 'insertion'],
+    pdqSort: ['partition', 'insertion']
+  };
+  const input = createInput(inputDistributions[0], 1000, SEED);
+
+  for (const [id, stages] of Object.entries(expected)) {
+    const seen = new Set();
+    setRandomSeed(SEED);
+    for (const event of findGenerator(id)([...input], true)) {
+      seen.add(validateStepEvent(event, input.length).stage);
+    }
+    for (const stage of stages) {
+      assert.ok(seen.has(stage), `${id}: ${stage} 단계가 없음`);
+    }
+  }
+
+  assert.throws(
+    () =>
+      validateStepEvent(
+        {
+          kind: 'compare',
+          indexes: [0, 1],
+          stage: 'unknown',
+          comparisons: 0,
+          swaps: 0,
+          writes: 0
+        },
+        2
+      ),
+    TypeError
+  );
+});
+
+test('introSort: 분할 깊이(maxDepth)에 닿으면 힙 정렬로 전환한다', () => {
+  const input = createInput(inputDistributions[0], 200, SEED);
+  const arr = [...input];
+  const stages = new Set();
+  for (const event of introSort(arr, true, { maxDepth: 0 })) {
+    stages.add(validateStepEvent(event, arr.length).stage);
+  }
+  assert.ok(stages.has('heap'));
+  assert.ok(!stages.has('partition'));
+  assertSortedPermutation(arr, input);
+});
+
+test('timSort: 정렬된 입력은 런 하나로 끝난다 (n - 1번 비교, 교환과 쓰기 없음)', () => {
+  const arr = Array.from({ length: 500 }, (_, i) => i);
+  let last = null;
+  for (const event of timSort(arr, true)) last = event;
+  assert.equal(last.comparisons, 499);
+  assert.equal(last.swaps, 0);
+  assert.equal(last.writes, 0);
+});
+
+test('기수 정렬: 진법(base)을 바꿔도 정렬하고, 읽은 요소마다 그 자릿수의 버킷을 알린다', () => {
+  const input = createInput(inputDistributions[0], 100, SEED);
+
+  for (const generator of [lsdRadixSort, msdRadixSort]) {
+    for (const base of [2, 4, 16, 256]) {
+      const arr = [...input];
+      const replayed = [...input];
+      for (const event of generator(arr, true, { base })) {
+        validateStepEvent(event, arr.length);
+        if (event.kind === 'read') {
+          assert.equal(event.buckets, base);
+          // 읽은 값의 어느 한 자릿수(최댓값의 자릿수까지, 앞자리 0 포함)가 버킷 번호와 같다
+          const value = replayed[event.indexes[0]];
+          const digits = Array.from(
+            { length: Math.floor(Math.log(99) / Math.log(base)) + 1 },
+            (_, place) => Math.floor(value / base ** place) % base
+          );
+          assert.ok(digits.includes(event.bucket), generator.name);
+        }
+        applyStepEvent(replayed, event);
+      }
+      assertSortedPermutation(arr, input);
+      assert.deepEqual(replayed, arr);
+    }
+  }
+
+  // 최솟값과 최댓값을 인수 펼치기 없이 구하므로 큰 배열에서도 호출 스택을 넘치지 않는다
+  const large = Array.from({ length: 300000 }, (_, i) => i);
+  for (const id of [
+    'lsdRadixSort',
+    'msdRadixSort',
+    'countingSort',
+    'pigeonholeSort',
+    'bucketSort'
+  ]) {
+    const generator = findGenerator(id);
+    assert.doesNotThrow(() => generator([...large], true).next(), id);
+  }
+
+  // LSD 기수 정렬은 누적 카운트를 자릿수마다 auxWrite 하나로 알린다 (세기 n + 누적 1 + 배치 n)
+  const { events } = runGenerator(lsdRadixSort, input, SEED);
+  const countWrites = events.filter(
+    ({ kind, aux }) => kind === 'auxWrite' && aux === 'count'
+  );
+  assert.equal(countWrites.length, 2 * (100 + 1 + 100));
+
+  assert.throws(
+    () =>
+      validateStepEvent(
+        {
+          kind: 'read',
+          indexes: [0],
+          bucket: 10,
+          buckets: 10,
+          comparisons: 0,
+          swaps: 0,
+          writes: 0
+        },
+        2
+      ),
+    TypeError
+  );
+});
+
+test('정렬 네트워크: 0과 1만으로 된 모든 입력을 정렬하고, 같은 층의 비교는 서로 겹치지 않는다', () => {
+  const networks = sortAlgorithms.filter(({ isNetwork }) => isNetwork);
+  assert.ok(networks.length >= 4);
+
+  for (const { id, generator } of networks) {
+    for (let n = 0; n <= 10; n++) {
+      // 0-1 원리: 모든 0/1 입력을 정렬하는 비교 네트워크는 모든 입력을 정렬한다
+      for (let bits = 0; bits < 2 ** n; bits++) {
+        const arr = Array.from({ length: n }, (_, i) => (bits >> i) & 1);
+        let layer = 0;
+        let touched = new Set();
+        for (const event of generator(arr, true)) {
+          validateStepEvent(event, n);
+          assert.ok(event.layer >= layer, `${id}: 층이 줄어듦`);
+          if (event.layer > layer) touched = new Set();
+          layer = event.layer;
+          if (event.kind !== 'compare') continue;
+          for (const index of event.indexes) {
+            assert.ok(!touched.has(index), `${id}: 같은 층에서 겹침`);
+            touched.add(index);
+          }
+        }
+        assert.deepEqual(
+          arr,
+          [...arr].sort((a, b) => a - b),
+          `${id} (n = ${n})`
+        );
+      }
+    }
+  }
+
+  assert.throws(
+    () =>
+      validateStepEvent(
+        {
+          kind: 'compare',
+          indexes: [0, 1],
+          layer: -1,
+          comparisons: 0,
+          swaps: 0,
+          writes: 0
+        },
+        2
+      ),
+    TypeError
+  );
+});
+
+test('recordSortingNetwork: 기록한 층별 비교기(방향 포함)만으로 0과 1만으로 된 모든 입력을 정렬한다', () => {
+  for (const { id, generator, isNetwork } of sortAlgorithms) {
+    if (!isNetwork) {
+      assert.throws(() => recordSortingNetwork(generator, 8), TypeError, id);
+      continue;
+    }
+
+    for (let n = 0; n <= 10; n++) {
+      const layers = recordSortingNetwork(generator, n);
+      for (const layer of layers) {
+        const wires = layer.flatMap(({ i, j }) => [i, j]);
+        assert.equal(new Set(wires).size, wires.length, `${id}: 선이 겹침`);
+        assert.ok(layer.every(({ i, j }) => 0 <= i && i < j && j < n));
+      }
+
+      for (let bits = 0; bits < 2 ** n; bits++) {
+        const arr = Array.from({ length: n }, (_, i) => (bits >> i) & 1);
+        for (const { i, j, up } of layers.flat()) {
+          if (arr[i] > arr[j] === up) [arr[i], arr[j]] = [arr[j], arr[i]];
+        }
+        assert.deepEqual(
+          arr,
+          [...arr].sort((a, b) => a - b),
+          `${id} (n = ${n})`
+        );
+      }
+    }
+  }
+
+  // 홀짝 정렬은 정렬된 뒤의 빈 층 없이 n개의 층을 기록한다 (n ≤ 2면 홀수 쌍이 없어서 n - 1개)
+  for (let n = 0; n <= 10; n++) {
+    const layers = recordSortingNetwork(oddEvenSort, n);
+    const expected = n <= 2 ? Math.max(0, n - 1) : n;
+    assert.equal(layers.length, expected, `oddEvenSort (n = ${n})`);
+  }
+
+  // 내림차순 바이토닉 정렬은 마지막 층의 비교기가 모두 큰 값을 위쪽(i)으로 보낸다
+  const descending = recordSortingNetwork(bitonicSort, 16, { up: false });
+  assert.ok(descending.at(-1).every(({ up }) => !up));
+});
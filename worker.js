@@ -0,0 +1,34 @@
+/**
+ * 📌 정렬 제너레이터 실행 Web Worker
+ * - strategy.js의 제너레이터를 메인 스레드 밖에서 실행하여, 큰 n이나 느린 알고리즘에서도
+ *   화면이 멈추지 않게 한다. (player.js의 createWorkerStepSource가 사용한다)
+ * - 워커 하나가 제너레이터 하나를 실행하며, 메인 스레드가 요청한 만큼만 단계를 실행해서 보낸다.
+ *
+ * 메시지 형식:
+ *   - 메인 → 워커
+ *     - { type: 'start', generator, array, yieldCompare, options, seed, maxSteps, budgetMode }
+ *       (generator는 제너레이터 함수 이름(findGenerator 참고), 나머지는 createStepRunner의 매개변수)
+ *     - { type: 'pull', count }: 최대 count개의 단계를 실행
+ *   - 워커 → 메인
+ *     - { type: 'steps', events, done, skipped, truncation }: pull에 대한 응답
+ *     - { type: 'error', message }: 제너레이터 실행 중 오류
+ * - 취소는 메인 스레드가 워커를 종료(terminate)하는 것으로 처리한다.
+ */
+importScripts('./strategy.js');
+
+let runner = null;
+
+self.addEventListener('message', ({ data }) => {
+  try {
+    if (data.type === 'start') {
+      const { generator: name, ...params } = data;
+      const generator = findGenerator(name);
+      if (!generator) throw new Error(`알 수 없는 제너레이터: ${name}`);
+      runner = createStepRunner({ ...params, generator });
+    } else if (data.type === 'pull') {
+      self.postMessage({ type: 'steps', ...runner.run(data.count) });
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+});